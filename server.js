@@ -8,6 +8,13 @@ require('dotenv').config();
 
 const logger = require('./src/utils/logger');
 const { connectDatabase, initializeDatabase } = require('./src/config/database');
+const searchIndexService = require('./src/services/searchIndexService');
+const searchAnalyticsService = require('./src/services/searchAnalyticsService');
+const relevanceService = require('./src/services/relevanceService');
+const synonymService = require('./src/services/synonymService');
+const searchService = require('./src/services/searchService');
+const eventBus = require('./src/services/eventBus');
+const { EVENT_RELAY } = require('./src/config/events');
 
 // Import routes
 const authRoutes = require('./src/routes/auth');
@@ -15,6 +22,7 @@ const productRoutes = require('./src/routes/products');
 const adminRoutes = require('./src/routes/admin');
 const categoryRoutes = require('./src/routes/categories');
 const brandRoutes = require('./src/routes/brands');
+const storeRoutes = require('./src/routes/stores');
 const feedbackRoutes = require('./src/routes/feedback');
 
 const app = express();
@@ -71,6 +79,7 @@ app.use('/api/products', productRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/brands', brandRoutes);
+app.use('/api/stores', storeRoutes);
 app.use('/api/feedback', feedbackRoutes);
 
 // Global error handler
@@ -124,6 +133,34 @@ const startServer = async () => {
     await initializeDatabase();
     logger.info('Database tables initialized');
 
+    // Load the active search relevance profile before indexing, then keep
+    // it in sync with changes made through other instances
+    try {
+      await relevanceService.load();
+    } catch (error) {
+      logger.warn('Using default search relevance profile:', error.message);
+    }
+    relevanceService.startPolling();
+
+    // Synonyms load on first search; afterwards changes made through other
+    // instances are polled for the same way
+    synonymService.startPolling();
+
+    // Share catalog events across instances, so writes made through one
+    // instance reach every in-process search index
+    if (EVENT_RELAY.url) {
+      eventBus.connectRelay(EVENT_RELAY);
+    } else {
+      logger.info('Event relay disabled: catalog writes only update this instance\'s search index. Set EVENT_RELAY_URL when running several instances.');
+    }
+
+    // Build the in-process search index (retried lazily on first search if it fails)
+    try {
+      await searchIndexService.build();
+    } catch (error) {
+      logger.warn('Search index will be built on first search:', error.message);
+    }
+
     // Start server
     app.listen(PORT, () => {
       logger.info(`🚀 Mobile Store API server running on port ${PORT}`);
@@ -149,15 +186,20 @@ process.on('unhandledRejection', (reason, promise) => {
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully');
-  process.exit(0);
-});
+// (buffered search analytics are written and cache and event relay
+// connections closed before exiting)
+const shutdown = (signal) => {
+  logger.info(`${signal} received, shutting down gracefully`);
+  Promise.allSettled([
+    searchAnalyticsService.flush(),
+    searchService.closeCache(),
+    eventBus.close()
+  ])
+    .finally(() => process.exit(0));
+};
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, shutting down gracefully');
-  process.exit(0);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 startServer();
 
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const logger = require('../utils/logger');
@@ -12,18 +13,28 @@ const JWT_SECRET = process.env.JWT_SECRET || 'your_super_secret_jwt_key_change_i
 const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'your_refresh_token_secret_change_in_production';
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
 const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+const MFA_CHALLENGE_EXPIRES_IN = process.env.MFA_CHALLENGE_EXPIRES_IN || '5m';
+
+// Two-factor authentication (TOTP secrets are stored encrypted with this key)
+const TOTP_ENCRYPTION_KEY = process.env.TOTP_ENCRYPTION_KEY;
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Smart Mobile Admin';
 
 // Security configurations
 const BCRYPT_SALT_ROUNDS = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
 const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
 const LOCK_TIME = process.env.LOCK_TIME || '2h'; // 2 hours
 
+// Emailed account tokens
+const PASSWORD_RESET_EXPIRES_IN = process.env.PASSWORD_RESET_EXPIRES_IN || '1h';
+const EMAIL_VERIFICATION_EXPIRES_IN = process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h';
+
 /**
- * Convert lock time string to milliseconds
- * @param {string} lockTime - Time string (e.g., '2h', '30m', '1d')
+ * Convert a duration string to milliseconds
+ * @param {string} duration - Time string (e.g., '2h', '30m', '1d')
+ * @param {number} defaultMs - Used when the string is invalid
  * @returns {number} Time in milliseconds
  */
-const parseLockTime = (lockTime) => {
+const parseDuration = (duration, defaultMs) => {
   const units = {
     's': 1000,
     'm': 60 * 1000,
@@ -31,17 +42,19 @@ const parseLockTime = (lockTime) => {
     'd': 24 * 60 * 60 * 1000
   };
 
-  const match = lockTime.match(/^(\d+)([smhd])$/);
+  const match = duration.match(/^(\d+)([smhd])$/);
   if (!match) {
-    logger.warn('Invalid lock time format, using default 2 hours', { lockTime });
-    return 2 * 60 * 60 * 1000; // 2 hours default
+    logger.warn('Invalid duration format, using default', { duration, defaultMs });
+    return defaultMs;
   }
 
   const [, value, unit] = match;
   return parseInt(value) * units[unit];
 };
 
-const LOCK_TIME_MS = parseLockTime(LOCK_TIME);
+const LOCK_TIME_MS = parseDuration(LOCK_TIME, 2 * 60 * 60 * 1000);
+const PASSWORD_RESET_EXPIRES_MS = parseDuration(PASSWORD_RESET_EXPIRES_IN, 60 * 60 * 1000);
+const EMAIL_VERIFICATION_EXPIRES_MS = parseDuration(EMAIL_VERIFICATION_EXPIRES_IN, 24 * 60 * 60 * 1000);
 
 /**
  * Hash password using bcrypt
@@ -75,9 +88,30 @@ const comparePassword = async (password, hash) => {
   }
 };
 
+/**
+ * Get the password version of a user: the time of the last password change,
+ * carried by tokens as `pwv` so a password change invalidates older tokens
+ * @param {Object} user - User object with password_changed_at
+ * @returns {number} Milliseconds since the epoch (0 if never changed)
+ */
+const getPasswordVersion = (user) => {
+  return user.password_changed_at ? new Date(user.password_changed_at).getTime() : 0;
+};
+
+/**
+ * Check whether a token was issued for the user's current password
+ * @param {Object} decoded - Decoded token payload
+ * @param {Object} user - User object with password_changed_at
+ * @returns {boolean} True if the password has not changed since
+ */
+const isPasswordVersionCurrent = (decoded, user) => {
+  return decoded.pwv === getPasswordVersion(user);
+};
+
 /**
  * Generate JWT access token
- * @param {Object} payload - Token payload (user data)
+ * @param {Object} payload - Token payload (user data, session ID and
+ *   password version)
  * @returns {string} JWT token
  */
 const generateAccessToken = (payload) => {
@@ -87,6 +121,8 @@ const generateAccessToken = (payload) => {
         id: payload.id,
         email: payload.email,
         role: payload.role,
+        sid: payload.sessionId,
+        pwv: payload.passwordVersion,
         type: 'access'
       },
       JWT_SECRET,
@@ -107,7 +143,10 @@ const generateAccessToken = (payload) => {
 
 /**
  * Generate JWT refresh token
- * @param {Object} payload - Token payload (user data)
+ * Every refresh token gets a unique ID (jti), so tokens issued in the same
+ * second still differ and can be told apart when stored
+ * @param {Object} payload - Token payload (user data, session ID and
+ *   password version)
  * @returns {string} JWT refresh token
  */
 const generateRefreshToken = (payload) => {
@@ -117,11 +156,14 @@ const generateRefreshToken = (payload) => {
         id: payload.id,
         email: payload.email,
         role: payload.role,
+        sid: payload.sessionId,
+        pwv: payload.passwordVersion,
         type: 'refresh'
       },
       JWT_REFRESH_SECRET,
       {
         expiresIn: JWT_REFRESH_EXPIRES_IN,
+        jwtid: crypto.randomUUID(),
         issuer: 'mobile-store-api',
         audience: 'mobile-store-admin'
       }
@@ -138,14 +180,18 @@ const generateRefreshToken = (payload) => {
 /**
  * Generate both access and refresh tokens
  * @param {Object} user - User object
+ * @param {Object} options - sessionId: admin session the tokens belong to
+ *   (one per login, kept through refresh token rotation)
  * @returns {Object} Token pair with metadata
  */
-const generateTokenPair = (user) => {
+const generateTokenPair = (user, options = {}) => {
   try {
     const payload = {
       id: user.id,
       email: user.email,
-      role: user.role
+      role: user.role,
+      sessionId: options.sessionId,
+      passwordVersion: getPasswordVersion(user)
     };
 
     const accessToken = generateAccessToken(payload);
@@ -232,6 +278,98 @@ const verifyRefreshToken = (token) => {
   }
 };
 
+/**
+ * Hash a token for storage (refresh and account tokens are stored hashed
+ * only)
+ * @param {string} token - Token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Generate a two-factor challenge token
+ * Issued after a correct password for an account with two-factor
+ * authentication; exchanged with a code for the real token pair
+ * @param {Object} user - User object
+ * @returns {string} JWT challenge token
+ */
+const generateChallengeToken = (user) => {
+  return jwt.sign(
+    {
+      id: user.id,
+      pwv: getPasswordVersion(user),
+      type: 'mfa_challenge'
+    },
+    JWT_SECRET,
+    {
+      expiresIn: MFA_CHALLENGE_EXPIRES_IN,
+      issuer: 'mobile-store-api',
+      audience: 'mobile-store-admin'
+    }
+  );
+};
+
+/**
+ * Verify a two-factor challenge token
+ * @param {string} token - JWT challenge token
+ * @returns {Object} Decoded token payload
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET, {
+      issuer: 'mobile-store-api',
+      audience: 'mobile-store-admin'
+    });
+
+    if (decoded.type !== 'mfa_challenge') {
+      throw new Error('Invalid token type');
+    }
+
+    return decoded;
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new Error('Challenge expired');
+    }
+    throw new Error('Invalid challenge token');
+  }
+};
+
+// AES-256 key for stored secrets; falls back to one derived from JWT_SECRET
+// (reported by validateAuthConfig)
+const SECRET_KEY = crypto
+  .createHash('sha256')
+  .update(TOTP_ENCRYPTION_KEY || `totp:${JWT_SECRET}`)
+  .digest();
+
+/**
+ * Encrypt a secret for storage (AES-256-GCM)
+ * @param {string} plaintext - Secret
+ * @returns {string} "iv:tag:ciphertext", base64 parts
+ */
+const encryptSecret = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', SECRET_KEY, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+};
+
+/**
+ * Decrypt a secret encrypted with encryptSecret
+ * @param {string} encrypted - "iv:tag:ciphertext"
+ * @returns {string} Secret
+ * @throws {Error} When the value was tampered with or the key changed
+ */
+const decryptSecret = (encrypted) => {
+  const [iv, tag, ciphertext] = encrypted.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', SECRET_KEY, iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
 /**
  * Extract token from Authorization header
  * @param {string} authHeader - Authorization header value
@@ -454,6 +592,9 @@ const getAuthConfig = () => {
   return {
     jwtExpiresIn: JWT_EXPIRES_IN,
     jwtRefreshExpiresIn: JWT_REFRESH_EXPIRES_IN,
+    mfaChallengeExpiresIn: MFA_CHALLENGE_EXPIRES_IN,
+    passwordResetExpiresIn: PASSWORD_RESET_EXPIRES_IN,
+    emailVerificationExpiresIn: EMAIL_VERIFICATION_EXPIRES_IN,
     bcryptSaltRounds: BCRYPT_SALT_ROUNDS,
     maxLoginAttempts: MAX_LOGIN_ATTEMPTS,
     lockTimeMs: LOCK_TIME_MS,
@@ -484,6 +625,11 @@ const validateAuthConfig = () => {
     issues.push('BCRYPT_SALT_ROUNDS should be at least 10 for security');
   }
 
+  // Not fatal: secrets are then encrypted with a key derived from JWT_SECRET
+  if (!TOTP_ENCRYPTION_KEY) {
+    logger.warn('TOTP_ENCRYPTION_KEY is not set, deriving the two-factor secret key from JWT_SECRET');
+  }
+
   if (issues.length > 0) {
     logger.warn('Authentication configuration issues detected', { issues });
 
@@ -526,6 +672,15 @@ module.exports = {
   verifyAccessToken,
   verifyRefreshToken,
   extractTokenFromHeader,
+  hashToken,
+  getPasswordVersion,
+  isPasswordVersionCurrent,
+  generateChallengeToken,
+  verifyChallengeToken,
+
+  // Two-factor secret functions
+  encryptSecret,
+  decryptSecret,
 
   // Account locking functions
   isAccountLocked,
@@ -546,5 +701,8 @@ module.exports = {
 
   // Constants
   maxLoginAttempts: MAX_LOGIN_ATTEMPTS,
-  lockTimeMs: LOCK_TIME_MS
+  lockTimeMs: LOCK_TIME_MS,
+  passwordResetExpiresMs: PASSWORD_RESET_EXPIRES_MS,
+  emailVerificationExpiresMs: EMAIL_VERIFICATION_EXPIRES_MS,
+  totpIssuer: TOTP_ISSUER
 };
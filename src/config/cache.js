@@ -0,0 +1,26 @@
+/**
+ * Cache Configuration
+ * Selects the search cache backend and its limits
+ *
+ * SEARCH_CACHE_BACKEND=memory keeps a per-instance LRU cache;
+ * SEARCH_CACHE_BACKEND=redis shares one cache across instances.
+ */
+
+const cacheConfig = {
+  backend: process.env.SEARCH_CACHE_BACKEND || 'memory',
+
+  // Default time-to-live for cached search results
+  ttlMs: parseInt(process.env.SEARCH_CACHE_TTL_MS) || 5 * 60 * 1000,
+
+  memory: {
+    maxEntries: parseInt(process.env.SEARCH_CACHE_MAX_ENTRIES) || 500,
+    maxBytes: parseInt(process.env.SEARCH_CACHE_MAX_BYTES) || 50 * 1024 * 1024
+  },
+
+  redis: {
+    url: process.env.REDIS_URL || 'redis://localhost:6379',
+    keyPrefix: process.env.SEARCH_CACHE_PREFIX || 'smart-mobile:'
+  }
+};
+
+module.exports = cacheConfig;
@@ -0,0 +1,53 @@
+const cacheConfig = require('./cache');
+
+/**
+ * Event Configuration
+ * Names of the events published on the internal event bus, and the relay
+ * that shares them across instances
+ *
+ * Catalog events carry { id, before, after }: the row before the write
+ * (null on create) and after it (null on delete). Inventory events are
+ * keyed by product ({ id, storeId, before, after } with store_inventory rows),
+ * since a stock change alters which searches the product matches.
+ */
+
+const CATALOG_EVENTS = {
+  PRODUCT_CREATED: 'product.created',
+  PRODUCT_UPDATED: 'product.updated',
+  PRODUCT_DELETED: 'product.deleted',
+  BRAND_CREATED: 'brand.created',
+  BRAND_UPDATED: 'brand.updated',
+  BRAND_DELETED: 'brand.deleted',
+  CATEGORY_CREATED: 'category.created',
+  CATEGORY_UPDATED: 'category.updated',
+  CATEGORY_DELETED: 'category.deleted',
+  STORE_CREATED: 'store.created',
+  STORE_UPDATED: 'store.updated',
+  STORE_DELETED: 'store.deleted',
+  INVENTORY_UPDATED: 'inventory.updated'
+};
+
+// Published by the event bus itself (local subscribers only)
+const SYSTEM_EVENTS = {
+  // The cross-instance relay reconnected; events from other instances may
+  // have been missed while it was down
+  RELAY_RECONNECTED: 'relay.reconnected'
+};
+
+// Redis pub/sub relay for running several instances: without it, writes
+// only reach the search index of the instance that handled them.
+// EVENT_RELAY_URL enables it; the redis cache backend enables it on the
+// cache's Redis unless EVENT_RELAY_URL=off
+const relayUrl = process.env.EVENT_RELAY_URL ||
+  (cacheConfig.backend === 'redis' ? cacheConfig.redis.url : null);
+
+const EVENT_RELAY = {
+  url: relayUrl && relayUrl !== 'off' ? relayUrl : null,
+  channel: `${cacheConfig.redis.keyPrefix}catalog-events`
+};
+
+module.exports = {
+  CATALOG_EVENTS,
+  SYSTEM_EVENTS,
+  EVENT_RELAY
+};
@@ -0,0 +1,43 @@
+/**
+ * Language Configuration
+ * Stopwords and stemming rules used by the search text normalizer
+ * (see src/utils/textNormalizer.js)
+ *
+ * Hindi is matched in Latin script: Devanagari is transliterated, so Hindi
+ * and Romanized Hindi ("Hinglish") queries meet the same index terms.
+ */
+
+// Languages accepted in a product's `localized` names and descriptions
+const SUPPORTED_LANGUAGES = ['en', 'hi'];
+
+// Words dropped from queries and keywords. Romanized Hindi leaves out words
+// that are also model names or English words (e.g. "se" as in iPhone SE).
+const STOPWORDS = {
+  en: [
+    'a', 'an', 'the', 'and', 'or', 'of', 'for', 'to', 'in', 'on', 'with',
+    'by', 'at', 'from', 'is', 'are'
+  ],
+  hi: [
+    'का', 'की', 'के', 'को', 'में', 'से', 'पर', 'और', 'है', 'हैं', 'था', 'थी',
+    'वाला', 'वाली', 'वाले', 'लिए', 'भी', 'तक', 'ही', 'या', 'यह', 'वह', 'कोई'
+  ],
+  'hi-Latn': [
+    'ka', 'ki', 'ke', 'ko', 'mein', 'aur', 'hai', 'hain', 'wala', 'wali',
+    'wale', 'vala', 'vali', 'vale', 'liye', 'bhi', 'koi'
+  ]
+};
+
+// Hindi inflectional suffixes (plural and oblique forms), longest first
+const HINDI_SUFFIXES = [
+  'ियों', 'ियाँ', 'ियां', 'ाओं', 'ुओं', 'ाएं', 'ाएँ', 'ों', 'ें', 'ीं', 'ाँ', 'ां'
+];
+
+// English words the plural stemmer must leave alone
+const ENGLISH_STEM_EXCEPTIONS = ['series', 'news', 'species', 'ios', 'lens', 'plus'];
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  STOPWORDS,
+  HINDI_SUFFIXES,
+  ENGLISH_STEM_EXCEPTIONS
+};
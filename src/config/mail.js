@@ -0,0 +1,32 @@
+/**
+ * Mail Configuration
+ * Selects how account emails (password reset, email verification) are sent
+ *
+ * MAIL_TRANSPORT=console logs each message (local development);
+ * MAIL_TRANSPORT=file writes each message to MAIL_FILE_DIR as an .eml file;
+ * MAIL_TRANSPORT=smtp sends through an SMTP server.
+ */
+
+const mailConfig = {
+  transport: process.env.MAIL_TRANSPORT || 'console',
+  from: process.env.MAIL_FROM || 'Smart Mobile Admin <no-reply@localhost>',
+
+  // Admin frontend; links in emails point to its pages
+  appUrl: (process.env.ADMIN_APP_URL || 'http://localhost:3000').replace(/\/+$/, ''),
+
+  file: {
+    directory: process.env.MAIL_FILE_DIR || 'logs/mail'
+  },
+
+  smtp: {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    // true for TLS from the start (port 465); otherwise STARTTLS is used when
+    // the server offers it
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  }
+};
+
+module.exports = mailConfig;
@@ -0,0 +1,143 @@
+/**
+ * Search Configuration
+ * Shared constants for search filters and facets
+ */
+
+// Price buckets (in ₹) used for filter lists and price facets
+const PRICE_RANGES = [
+  { label: '₹0 - ₹500', min: 0, max: 500 },
+  { label: '₹500 - ₹5000', min: 500, max: 5000 },
+  { label: '₹5000 - ₹10,000', min: 5000, max: 10000 },
+  { label: '₹10,000 - ₹20,000', min: 10000, max: 20000 },
+  { label: '₹20,000 - ₹40,000', min: 20000, max: 40000 },
+  { label: '₹40,000 - ₹70,000', min: 40000, max: 70000 },
+  { label: 'Over ₹70,000', min: 70000, max: 9999999 }
+];
+
+// Cumulative rating bands ("4★ & above" includes everything rated 4 or more)
+const RATING_BANDS = [
+  { label: '4★ & above', min: 4 },
+  { label: '3★ & above', min: 3 },
+  { label: '2★ & above', min: 2 },
+  { label: '1★ & above', min: 1 }
+];
+
+// Specification keys exposed as facets, with the JSON keys they may be stored under
+const FACET_SPEC_KEYS = [
+  { key: 'ram', label: 'RAM', aliases: ['ram', 'ram_gb', 'memory'] },
+  { key: 'storage', label: 'Storage', aliases: ['storage', 'storage_gb', 'internal_storage', 'rom'] },
+  { key: 'network', label: 'Network', aliases: ['network', 'connectivity'] },
+  { key: 'display_size', label: 'Display Size', aliases: ['display_size', 'screen_size', 'display'] },
+  { key: 'battery', label: 'Battery', aliases: ['battery', 'battery_mah', 'battery_capacity'] }
+];
+
+// Maximum number of values returned per specification facet
+const MAX_SPEC_FACET_VALUES = 20;
+
+// Synonym dictionary entry types (see src/services/synonymService.js)
+const SYNONYM_TYPES = ['two_way', 'one_way', 'alias'];
+
+// Search result interactions tracked per query (POST /api/products/:id/events)
+const SEARCH_INTERACTION_TYPES = ['search_click', 'add_to_cart'];
+
+// Default relevance profile, used until an admin saves one through
+// /api/admin/search/config (see src/services/relevanceService.js)
+const DEFAULT_RELEVANCE_PROFILE = {
+  // Fuzzy matching (Fuse.js); a field weight of 0 excludes the field
+  fuse: {
+    threshold: 0.4, // 0.0 = perfect match, 1.0 = match anything
+    distance: 100, // Maximum allowed distance
+    minMatchCharLength: 2,
+    weights: {
+      name: 0.4,
+      'brand.name': 0.3,
+      'category.name': 0.15,
+      description: 0.1,
+      model: 0.25,
+      keywords: 0.2,
+      localized_text: 0.15 // localized names and descriptions, transliterated
+    }
+  },
+
+  // Multipliers applied to text relevance
+  boosts: {
+    featured: 1.2,
+    bestseller: 1.15,
+    rating: 1.1,
+    ratingThreshold: 4, // rating boost applies above this average rating
+    wellStocked: 1.05,
+    wellStockedThreshold: 10, // well-stocked boost applies above this quantity
+    outOfStock: 0.5,
+    localStock: 1.25 // in stock at a store the search is scoped to (store or lat/lng)
+  },
+
+  // Click-through boosts: a product's share of the weighted interactions
+  // recorded for a query lifts its score by up to maxBoost; queries with
+  // fewer than minInteractions are ignored
+  clickThrough: {
+    clickWeight: parseFloat(process.env.SEARCH_BOOST_CLICK_WEIGHT) || 1,
+    addToCartWeight: parseFloat(process.env.SEARCH_BOOST_CART_WEIGHT) || 3,
+    maxBoost: parseFloat(process.env.SEARCH_BOOST_MAX) || 0.5,
+    minInteractions: parseInt(process.env.SEARCH_BOOST_MIN_INTERACTIONS) || 5,
+    smoothing: 10 // dampens shares while a query has few interactions
+  }
+};
+
+// Text matching modes: fuzzy (in-memory Fuse.js and term matching), fts
+// (Postgres full-text ranking over product_search_data) or auto (fts once the
+// catalog reaches autoThreshold active products). fts falls back to fuzzy
+// when it matches nothing, so typos are still tolerated.
+const SEARCH_MODES = ['fuzzy', 'fts', 'auto'];
+
+const FULL_TEXT_SEARCH = {
+  mode: SEARCH_MODES.includes(process.env.SEARCH_MODE) ? process.env.SEARCH_MODE : 'fuzzy',
+  autoThreshold: parseInt(process.env.SEARCH_FTS_MIN_PRODUCTS) || 5000,
+  maxMatches: parseInt(process.env.SEARCH_FTS_MAX_MATCHES) || 1000
+};
+
+// "Did you mean" corrections for searches without results; with autocorrect
+// on (or autocorrect=true on the request) the corrected query is searched
+// instead when it finds something
+const SPELL_CORRECTION = {
+  autocorrect: process.env.SEARCH_AUTOCORRECT === 'true',
+  refreshMs: parseInt(process.env.SEARCH_SPELLING_REFRESH_MS) || 5 * 60 * 1000, // past queries reload interval
+  maxQueries: 500 // past successful queries added to the vocabulary
+};
+
+// Product recommendations (GET /api/products/:id/similar and /also-viewed)
+const RECOMMENDATIONS = {
+  // Similarity points a candidate earns for what it shares with the product
+  similarity: {
+    category: 0.3,
+    brand: 0.25,
+    price: 0.25, // scaled by price proximity within priceWindow
+    specifications: 0.2 // scaled by the share of matching specification values
+  },
+  priceWindow: 0.5, // prices further than 50% from the product's earn nothing
+  alsoViewedDays: parseInt(process.env.RECOMMENDATIONS_VIEW_DAYS) || 30,
+  defaultLimit: 10,
+  maxLimit: 24
+};
+
+// Store availability for search and listings (store=<slug|id> or lat/lng):
+// lat/lng selects active stores within radius km, nearest first
+const LOCAL_AVAILABILITY = {
+  defaultRadiusKm: parseFloat(process.env.STORE_SEARCH_RADIUS_KM) || 25,
+  maxRadiusKm: 200,
+  storesRefreshMs: 5 * 60 * 1000 // store list reload interval
+};
+
+module.exports = {
+  PRICE_RANGES,
+  RATING_BANDS,
+  FACET_SPEC_KEYS,
+  MAX_SPEC_FACET_VALUES,
+  SYNONYM_TYPES,
+  SEARCH_INTERACTION_TYPES,
+  DEFAULT_RELEVANCE_PROFILE,
+  SEARCH_MODES,
+  FULL_TEXT_SEARCH,
+  SPELL_CORRECTION,
+  RECOMMENDATIONS,
+  LOCAL_AVAILABILITY
+};
@@ -0,0 +1,231 @@
+/**
+ * Product Specification Schema
+ * Describes the specification keys each category supports, how their values
+ * are typed and normalized, and which JSON keys they may be stored under
+ */
+
+// Unit multipliers for numeric values, relative to each field's base unit
+const UNIT_CONVERSIONS = {
+  GB: { mb: 1 / 1024, gb: 1, tb: 1024 },
+  mAh: { mah: 1, ah: 1000 },
+  in: { in: 1, inch: 1, inches: 1, '"': 1, cm: 1 / 2.54 },
+  MP: { mp: 1 },
+  Hz: { hz: 1 },
+  g: { g: 1, kg: 1000 },
+  W: { w: 1 }
+};
+
+// Specification sections, in display order (product comparison tables)
+const SPEC_SECTIONS = [
+  { key: 'performance', label: 'Performance' },
+  { key: 'display', label: 'Display' },
+  { key: 'battery', label: 'Battery' },
+  { key: 'camera', label: 'Camera' },
+  { key: 'design', label: 'Design' },
+  { key: 'connectivity', label: 'Connectivity' },
+  { key: 'general', label: 'General' }
+];
+
+/**
+ * Specification fields
+ * type: 'number' fields accept range operators, 'string' fields equality only
+ * better: which end of a numeric field is best when products are compared
+ */
+const SPEC_FIELDS = {
+  ram_gb: {
+    label: 'RAM',
+    type: 'number',
+    unit: 'GB',
+    section: 'performance',
+    better: 'higher',
+    aliases: ['ram', 'ram_gb', 'memory']
+  },
+  storage_gb: {
+    label: 'Storage',
+    type: 'number',
+    unit: 'GB',
+    section: 'performance',
+    better: 'higher',
+    aliases: ['storage', 'storage_gb', 'internal_storage', 'rom']
+  },
+  display_size_in: {
+    label: 'Display Size',
+    type: 'number',
+    unit: 'in',
+    section: 'display',
+    aliases: ['display_size', 'display_size_in', 'screen_size', 'display']
+  },
+  refresh_rate_hz: {
+    label: 'Refresh Rate',
+    type: 'number',
+    unit: 'Hz',
+    section: 'display',
+    better: 'higher',
+    aliases: ['refresh_rate', 'refresh_rate_hz']
+  },
+  battery_mah: {
+    label: 'Battery',
+    type: 'number',
+    unit: 'mAh',
+    section: 'battery',
+    better: 'higher',
+    aliases: ['battery', 'battery_mah', 'battery_capacity']
+  },
+  rear_camera_mp: {
+    label: 'Rear Camera',
+    type: 'number',
+    unit: 'MP',
+    section: 'camera',
+    better: 'higher',
+    aliases: ['camera', 'rear_camera', 'rear_camera_mp', 'main_camera']
+  },
+  front_camera_mp: {
+    label: 'Front Camera',
+    type: 'number',
+    unit: 'MP',
+    section: 'camera',
+    better: 'higher',
+    aliases: ['front_camera', 'front_camera_mp', 'selfie_camera']
+  },
+  weight_g: {
+    label: 'Weight',
+    type: 'number',
+    unit: 'g',
+    section: 'design',
+    better: 'lower',
+    aliases: ['weight', 'weight_g']
+  },
+  charging_w: {
+    label: 'Charging',
+    type: 'number',
+    unit: 'W',
+    section: 'battery',
+    better: 'higher',
+    aliases: ['charging', 'charging_w', 'fast_charging', 'wattage', 'output']
+  },
+  network: {
+    label: 'Network',
+    type: 'string',
+    section: 'connectivity',
+    aliases: ['network', 'connectivity']
+  },
+  processor: {
+    label: 'Processor',
+    type: 'string',
+    section: 'performance',
+    aliases: ['processor', 'chipset', 'cpu']
+  },
+  os: {
+    label: 'Operating System',
+    type: 'string',
+    section: 'performance',
+    aliases: ['os', 'operating_system']
+  },
+  color: {
+    label: 'Color',
+    type: 'string',
+    section: 'design',
+    aliases: ['color', 'colour']
+  },
+  accessory_type: {
+    label: 'Accessory Type',
+    type: 'string',
+    section: 'general',
+    aliases: ['type', 'accessory_type']
+  },
+  compatibility: {
+    label: 'Compatibility',
+    type: 'string',
+    section: 'general',
+    aliases: ['compatibility', 'compatible_with']
+  }
+};
+
+// Specification fields available per category slug
+const CATEGORY_SPEC_SCHEMAS = {
+  smartphone: [
+    'ram_gb', 'storage_gb', 'display_size_in', 'refresh_rate_hz', 'battery_mah',
+    'rear_camera_mp', 'front_camera_mp', 'weight_g', 'charging_w',
+    'network', 'processor', 'os', 'color'
+  ],
+  tablet: [
+    'ram_gb', 'storage_gb', 'display_size_in', 'refresh_rate_hz', 'battery_mah',
+    'rear_camera_mp', 'front_camera_mp', 'weight_g', 'charging_w',
+    'network', 'processor', 'os', 'color'
+  ],
+  accessory: [
+    'accessory_type', 'compatibility', 'charging_w', 'battery_mah', 'weight_g', 'color'
+  ]
+};
+
+/**
+ * Normalize a specification key (case-insensitive, spaces as underscores)
+ * @param {string} key - Raw key
+ * @returns {string} Normalized key
+ */
+const normalizeSpecKey = (key) => {
+  return String(key).toLowerCase().trim().replace(/[\s-]+/g, '_');
+};
+
+/**
+ * Resolve a key or alias to its field name
+ * @param {string} key - Field name or alias
+ * @returns {string|null} Field name or null if unknown
+ */
+const resolveSpecField = (key) => {
+  const normalized = normalizeSpecKey(key);
+
+  if (SPEC_FIELDS[normalized]) {
+    return normalized;
+  }
+
+  const match = Object.entries(SPEC_FIELDS).find(([, field]) => field.aliases.includes(normalized));
+  return match ? match[0] : null;
+};
+
+/**
+ * Get the fields allowed for a category
+ * @param {string} categorySlug - Category slug (all fields when omitted or unknown)
+ * @returns {Array<string>} Field names
+ */
+const getCategorySpecFields = (categorySlug) => {
+  return CATEGORY_SPEC_SCHEMAS[categorySlug] || Object.keys(SPEC_FIELDS);
+};
+
+/**
+ * Parse a numeric specification value into the field's base unit
+ * @param {string|number} value - Raw value (e.g. "8GB", "1 TB", 5000)
+ * @param {Object} field - Field definition
+ * @returns {number|null} Numeric value or null if unparseable
+ */
+const parseSpecNumber = (value, field) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+
+  const match = String(value).trim().match(/^(-?\d+(?:\.\d+)?)\s*([a-zA-Z"]*)/);
+  if (!match) {
+    return null;
+  }
+
+  const number = parseFloat(match[1]);
+  const unit = match[2].toLowerCase();
+  const conversions = UNIT_CONVERSIONS[field.unit] || {};
+
+  if (!unit || conversions[unit] === undefined) {
+    return number;
+  }
+
+  return number * conversions[unit];
+};
+
+module.exports = {
+  SPEC_SECTIONS,
+  SPEC_FIELDS,
+  CATEGORY_SPEC_SCHEMAS,
+  UNIT_CONVERSIONS,
+  normalizeSpecKey,
+  resolveSpecField,
+  getCategorySpecFields,
+  parseSpecNumber
+};
@@ -1,8 +1,39 @@
 const supabaseService = require("../services/supabaseService");
 const authConfig = require("../config/auth");
 const searchService = require("../services/searchService");
+const synonymService = require("../services/synonymService");
+const searchAnalyticsService = require("../services/searchAnalyticsService");
+const relevanceService = require("../services/relevanceService");
+const sessionService = require("../services/sessionService");
+const twoFactorService = require("../services/twoFactorService");
 const logger = require("../utils/logger");
 
+/**
+ * Reload the synonym dictionary and drop cached results built with the old one
+ */
+async function reloadSynonyms() {
+  try {
+    await synonymService.load();
+  } catch (error) {
+    logger.warn("Search synonyms reload failed", { error: error.message });
+  }
+  await searchService.clearCache();
+}
+
+/**
+ * Load an admin account
+ * @param {String} id - Admin ID
+ * @returns {Object|null} Admin, or null if it cannot be read
+ */
+async function findAdmin(id) {
+  try {
+    const result = await supabaseService.getAdminById(id);
+    return result.data || null;
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Admin Controller
  * Handles admin-specific operations and dashboard functionality
@@ -151,12 +182,13 @@ class AdminController {
       }
 
       // Add search cache stats
-      const cacheStats = searchService.getCacheStats();
-      const popularSearches = searchService.getPopularSearches(10);
+      const cacheStats = await searchService.getCacheStats();
+      const popularSearches = await searchService.getPopularSearches(10);
 
       const dashboardData = {
         ...stats.data,
         cache_stats: cacheStats,
+        search_index: searchService.getIndexStats(),
         popular_searches: popularSearches,
         last_updated: new Date().toISOString(),
       };
@@ -186,6 +218,12 @@ class AdminController {
     try {
       const adminData = req.body;
 
+      // Two-factor authentication is set up by the admin themselves
+      delete adminData.totp_secret;
+      delete adminData.totp_enabled;
+      delete adminData.totp_enabled_at;
+      delete adminData.totp_last_used_step;
+
       // Hash password
       adminData.password = await authConfig.hashPassword(adminData.password);
 
@@ -211,8 +249,9 @@ class AdminController {
         });
       }
 
-      // Remove password from response
+      // Remove secrets from response
       delete result.data.password;
+      delete result.data.totp_secret;
 
       logger.info("Admin created", {
         newAdminId: result.data.id,
@@ -237,13 +276,200 @@ class AdminController {
     }
   }
 
+  /**
+   * Deactivate an admin account and end its sessions (Super Admin only)
+   * POST /api/admin/admins/:id/deactivate
+   */
+  async deactivateAdmin(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (id === req.user.id) {
+        return res.status(400).json({
+          status: "error",
+          message: "You cannot deactivate your own account",
+        });
+      }
+
+      if (!(await findAdmin(id))) {
+        return res.status(404).json({
+          status: "error",
+          message: "Admin not found",
+        });
+      }
+
+      const result = await supabaseService.updateAdmin(id, {
+        is_active: false,
+      });
+      const revoked = await sessionService.revokeAllSessions(
+        id,
+        "account_deactivated"
+      );
+
+      delete result.data.password;
+      delete result.data.totp_secret;
+
+      logger.info("Admin deactivated", {
+        targetAdminId: id,
+        revokedSessions: revoked,
+        adminId: req.user.id,
+      });
+
+      res.status(200).json({
+        status: "success",
+        data: result.data,
+        message: "Admin deactivated successfully",
+      });
+    } catch (error) {
+      logger.error("AdminController.deactivateAdmin error", {
+        error: error.message,
+        targetAdminId: req.params.id,
+        adminId: req.user?.id,
+      });
+      res.status(500).json({
+        status: "error",
+        message: "Failed to deactivate admin",
+      });
+    }
+  }
+
+  /**
+   * List the active sessions of an admin (Super Admin only)
+   * GET /api/admin/admins/:id/sessions
+   */
+  async getAdminSessions(req, res) {
+    try {
+      const sessions = await sessionService.listSessions(
+        req.params.id,
+        req.user.sessionId
+      );
+
+      res.status(200).json({
+        status: "success",
+        data: sessions,
+        message: `Found ${sessions.length} active sessions`,
+      });
+    } catch (error) {
+      logger.error("AdminController.getAdminSessions error", {
+        error: error.message,
+        targetAdminId: req.params.id,
+        adminId: req.user?.id,
+      });
+      res.status(500).json({
+        status: "error",
+        message: "Failed to get sessions",
+      });
+    }
+  }
+
+  /**
+   * Revoke all sessions of an admin, e.g. a compromised account
+   * (Super Admin only)
+   * DELETE /api/admin/admins/:id/sessions
+   */
+  async revokeAdminSessions(req, res) {
+    try {
+      const revoked = await sessionService.revokeAllSessions(
+        req.params.id,
+        "revoked_by_admin"
+      );
+
+      logger.info("Admin sessions revoked by super admin", {
+        targetAdminId: req.params.id,
+        revoked,
+        adminId: req.user.id,
+      });
+
+      res.status(200).json({
+        status: "success",
+        data: { revoked },
+        message: "Sessions revoked successfully",
+      });
+    } catch (error) {
+      logger.error("AdminController.revokeAdminSessions error", {
+        error: error.message,
+        targetAdminId: req.params.id,
+        adminId: req.user?.id,
+      });
+      res.status(500).json({
+        status: "error",
+        message: "Failed to revoke sessions",
+      });
+    }
+  }
+
+  /**
+   * Get the two-factor policy (Super Admin only)
+   * GET /api/admin/security/two-factor
+   */
+  async getTwoFactorPolicy(req, res) {
+    try {
+      const policy = await twoFactorService.getPolicy();
+
+      res.status(200).json({
+        status: "success",
+        data: policy,
+      });
+    } catch (error) {
+      logger.error("AdminController.getTwoFactorPolicy error", {
+        error: error.message,
+        adminId: req.user?.id,
+      });
+      res.status(500).json({
+        status: "error",
+        message: "Failed to get two-factor policy",
+      });
+    }
+  }
+
+  /**
+   * Require (or stop requiring) two-factor authentication for admin roles
+   * (Super Admin only)
+   * PUT /api/admin/security/two-factor
+   */
+  async updateTwoFactorPolicy(req, res) {
+    try {
+      const { required } = req.body;
+
+      // Keeps the super admin from locking themselves out of admin features
+      if (required) {
+        const admin = await findAdmin(req.user.id);
+
+        if (!admin || !admin.totp_enabled) {
+          return res.status(400).json({
+            status: "error",
+            message:
+              "Enable two-factor authentication on your own account before requiring it",
+          });
+        }
+      }
+
+      const policy = await twoFactorService.setPolicy(required, req.user.id);
+
+      res.status(200).json({
+        status: "success",
+        data: policy,
+        message: "Two-factor policy updated successfully",
+      });
+    } catch (error) {
+      logger.error("AdminController.updateTwoFactorPolicy error", {
+        error: error.message,
+        adminId: req.user?.id,
+      });
+      res.status(500).json({
+        status: "error",
+        message: "Failed to update two-factor policy",
+      });
+    }
+  }
+
   /**
    * Clear search cache (Admin only)
    * POST /api/admin/cache/clear
    */
   async clearSearchCache(req, res) {
     try {
-      searchService.clearCache();
+      await searchService.clearCache();
 
       logger.info("Search cache cleared", { adminId: req.user.id });
 
@@ -269,7 +495,7 @@ class AdminController {
    */
   async getSearchCacheStats(req, res) {
     try {
-      const cacheStats = searchService.getCacheStats();
+      const cacheStats = await searchService.getCacheStats();
 
       res.status(200).json({
         status: "success",
@@ -288,6 +514,398 @@ class AdminController {
     }
   }
 
+  /**
+   * Get search synonyms (Admin only)
+   * GET /api/admin/search/synonyms
+   */
+  async getSynonyms(req, res) {
+    try {
+      const result = await supabaseService.getSynonyms();
+
+      if (!result.success) {
+        return res.status(500).json({
+          status: "error",
+          message: "Failed to fetch synonyms",
+        });
+      }
+
+      res.status(200).json({
+        status: "success",
+        data: {
+          synonyms: result.data,
+          dictionary: synonymService.getStats(),
+        },
+        message: "Synonyms retrieved successfully",
+      });
+    } catch (error) {
+      logger.error("AdminController.getSynonyms error", {
+        error: error.message,
+        adminId: req.user?.id,
+      });
+      res.status(500).json({
+        status: "error",
+        message: "Failed to fetch synonyms",
+      });
+    }
+  }
+
+  /**
+   * Create search synonym (Admin only)
+   * POST /api/admin/search/synonyms
+   */
+  async createSynonym(req, res) {
+    try {
+      const { term, synonyms, type, is_active } = req.body;
+
+      const result = await supabaseService.createSynonym({
+        term,
+        synonyms,
+        type: type || "two_way",
+        is_active: is_active !== undefined ? is_active : true,
+        created_by: req.user.id,
+      });
+
+      if (!result.success) {
+        return res.status(400).json({
+          status: "error",
+          message: "Failed to create synonym",
+        });
+      }
+
+      await reloadSynonyms();
+
+      logger.info("Search synonym created", {
+        synonymId: result.data.id,
+        adminId: req.user.id,
+      });
+
+      res.status(201).json({
+        status: "success",
+        data: result.data,
+        message: "Synonym created successfully",
+      });
+    } catch (error) {
+      logger.error("AdminController.createSynonym error", {
+        error: error.message,
+        adminId: req.user?.id,
+      });
+      res.status(500).json({
+        status: "error",
+        message: "Failed to create synonym",
+      });
+    }
+  }
+
+  /**
+   * Update search synonym (Admin only)
+   * PUT /api/admin/search/synonyms/:id
+   */
+  async updateSynonym(req, res) {
+    try {
+      const { term, synonyms, type, is_active } = req.body;
+      const updateData = { term, synonyms, type, is_active };
+
+      Object.keys(updateData).forEach(
+        (key) => updateData[key] === undefined && delete updateData[key]
+      );
+
+      const result = await supabaseService.updateSynonym(
+        req.params.id,
+        updateData
+      );
+
+      if (!result.success) {
+        return res.status(400).json({
+          status: "error",
+          message: "Failed to update synonym",
+        });
+      }
+
+      await reloadSynonyms();
+
+      res.status(200).json({
+        status: "success",
+        data: result.data,
+        message: "Synonym updated successfully",
+      });
+    } catch (error) {
+      logger.error("AdminController.updateSynonym error", {
+        error: error.message,
+        synonymId: req.params.id,
+        adminId: req.user?.id,
+      });
+      res.status(500).json({
+        status: "error",
+        message: "Failed to update synonym",
+      });
+    }
+  }
+
+  /**
+   * Delete search synonym (Admin only)
+   * DELETE /api/admin/search/synonyms/:id
+   */
+  async deleteSynonym(req, res) {
+    try {
+      const result = await supabaseService.deleteSynonym(req.params.id);
+
+      if (!result.success) {
+        return res.status(400).json({
+          status: "error",
+          message: "Failed to delete synonym",
+        });
+      }
+
+      await reloadSynonyms();
+
+      res.status(200).json({
+        status: "success",
+        message: "Synonym deleted successfully",
+      });
+    } catch (error) {
+      logger.error("AdminController.deleteSynonym error", {
+        error: error.message,
+        synonymId: req.params.id,
+        adminId: req.user?.id,
+      });
+      res.status(500).json({
+        status: "error",
+        message: "Failed to delete synonym",
+      });
+    }
+  }
+
+  /**
+   * Get the active search relevance profile and its history (Admin only)
+   * GET /api/admin/search/config
+   */
+  async getSearchConfig(req, res) {
+    try {
+      const history = await relevanceService.getHistory();
+
+      res.status(200).json({
+        status: "success",
+        data: {
+          active: relevanceService.getActive(),
+          history,
+        },
+        message: "Search configuration retrieved successfully",
+      });
+    } catch (error) {
+      logger.error("AdminController.getSearchConfig error", {
+        error: error.message,
+        adminId: req.user?.id,
+      });
+      res.status(500).json({
+        status: "error",
+        message: "Failed to fetch search configuration",
+      });
+    }
+  }
+
+  /**
+   * Save relevance settings as a new active profile version (Admin only)
+   * PUT /api/admin/search/config
+   */
+  async updateSearchConfig(req, res) {
+    try {
+      const { settings, notes } = req.body;
+      const profile = await relevanceService.update(
+        settings,
+        notes,
+        req.user.id
+      );
+
+      logger.info("Search relevance profile updated", {
+        version: profile.version,
+        adminId: req.user.id,
+      });
+
+      res.status(200).json({
+        status: "success",
+        data: profile,
+        message: `Search configuration version ${profile.version} activated`,
+      });
+    } catch (error) {
+      logger.error("AdminController.updateSearchConfig error", {
+        error: error.message,
+        adminId: req.user?.id,
+      });
+      res.status(500).json({
+        status: "error",
+        message: "Failed to update search configuration",
+      });
+    }
+  }
+
+  /**
+   * Re-activate an earlier relevance profile version (Admin only)
+   * POST /api/admin/search/config/rollback
+   */
+  async rollbackSearchConfig(req, res) {
+    try {
+      const version = req.body.version
+        ? parseInt(req.body.version)
+        : undefined;
+      const profile = await relevanceService.rollback(version);
+
+      if (!profile) {
+        return res.status(404).json({
+          status: "error",
+          message: version
+            ? `Search configuration version ${version} not found`
+            : "No earlier search configuration to roll back to",
+        });
+      }
+
+      logger.info("Search relevance profile rolled back", {
+        version: profile.version,
+        adminId: req.user.id,
+      });
+
+      res.status(200).json({
+        status: "success",
+        data: profile,
+        message: `Search configuration version ${profile.version} activated`,
+      });
+    } catch (error) {
+      logger.error("AdminController.rollbackSearchConfig error", {
+        error: error.message,
+        adminId: req.user?.id,
+      });
+      res.status(500).json({
+        status: "error",
+        message: "Failed to roll back search configuration",
+      });
+    }
+  }
+
+  /**
+   * Run a query against draft relevance settings (Admin only)
+   * POST /api/admin/search/config/preview
+   */
+  async previewSearchConfig(req, res) {
+    try {
+      const { settings, query, brand, category, limit } = req.body;
+      const preview = await searchService.previewSearch(
+        {
+          query,
+          brand,
+          category,
+          limit: parseInt(limit) || 20,
+          offset: 0,
+        },
+        settings
+      );
+
+      res.status(200).json({
+        status: "success",
+        data: preview,
+        message: `Previewed ${preview.results.length} results`,
+      });
+    } catch (error) {
+      logger.error("AdminController.previewSearchConfig error", {
+        error: error.message,
+        adminId: req.user?.id,
+      });
+      res.status(500).json({
+        status: "error",
+        message: "Failed to preview search configuration",
+      });
+    }
+  }
+
+  /**
+   * Get most frequent search queries (Admin only)
+   * GET /api/admin/search/analytics/top-queries
+   */
+  async getTopSearchQueries(req, res) {
+    try {
+      const { from, to, limit } = req.query;
+      const report = await searchAnalyticsService.getTopQueries({
+        from,
+        to,
+        limit: parseInt(limit) || 20,
+      });
+
+      res.status(200).json({
+        status: "success",
+        data: report,
+        message: `Found ${report.queries.length} queries`,
+      });
+    } catch (error) {
+      logger.error("AdminController.getTopSearchQueries error", {
+        error: error.message,
+        adminId: req.user?.id,
+      });
+      res.status(500).json({
+        status: "error",
+        message: "Failed to fetch top search queries",
+      });
+    }
+  }
+
+  /**
+   * Get search queries that returned no results (Admin only)
+   * GET /api/admin/search/analytics/zero-results
+   */
+  async getZeroResultQueries(req, res) {
+    try {
+      const { from, to, limit } = req.query;
+      const report = await searchAnalyticsService.getZeroResultQueries({
+        from,
+        to,
+        limit: parseInt(limit) || 20,
+      });
+
+      res.status(200).json({
+        status: "success",
+        data: report,
+        message: `Found ${report.queries.length} zero-result queries`,
+      });
+    } catch (error) {
+      logger.error("AdminController.getZeroResultQueries error", {
+        error: error.message,
+        adminId: req.user?.id,
+      });
+      res.status(500).json({
+        status: "error",
+        message: "Failed to fetch zero-result queries",
+      });
+    }
+  }
+
+  /**
+   * Get search volume over time (Admin only)
+   * GET /api/admin/search/analytics/trends
+   */
+  async getSearchTrends(req, res) {
+    try {
+      const { from, to, interval, query } = req.query;
+      const report = await searchAnalyticsService.getTrends({
+        from,
+        to,
+        interval,
+        query,
+      });
+
+      res.status(200).json({
+        status: "success",
+        data: report,
+        message: "Search trends retrieved successfully",
+      });
+    } catch (error) {
+      logger.error("AdminController.getSearchTrends error", {
+        error: error.message,
+        adminId: req.user?.id,
+      });
+      res.status(500).json({
+        status: "error",
+        message: "Failed to fetch search trends",
+      });
+    }
+  }
+
   /**
    * Test database health (Admin only)
    * GET /api/admin/health/database
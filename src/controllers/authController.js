@@ -1,7 +1,96 @@
 const authConfig = require('../config/auth');
 const supabaseService = require('../services/supabaseService');
+const tokenService = require('../services/tokenService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const accountEmailService = require('../services/accountEmailService');
 const logger = require('../utils/logger');
 
+/**
+ * Count a failed login (wrong password or two-factor code) and lock the
+ * account after too many
+ * @param {Object} admin - Admin
+ * @returns {number} Failed attempts so far
+ */
+async function recordFailedLogin(admin) {
+  const attempts = (admin.login_attempts || 0) + 1;
+  let lockedUntil = null;
+
+  if (attempts >= authConfig.maxLoginAttempts) {
+    lockedUntil = authConfig.calculateLockExpiry();
+  }
+
+  await supabaseService.updateAdminLoginAttempts(admin.id, attempts, lockedUntil);
+  return attempts;
+}
+
+/**
+ * Finish a login: reset failed attempts, start a session and send its tokens
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} admin - Authenticated admin
+ */
+async function completeLogin(req, res, admin) {
+  // Reset login attempts on successful login
+  await supabaseService.resetAdminLoginAttempts(admin.id);
+
+  // Start a session for this device and generate its tokens
+  const { tokens: tokenPair } = await tokenService.startSession(admin, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  logger.info('Admin login successful', { 
+    adminId: admin.id, 
+    email: admin.email,
+    ip: req.ip 
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Login successful',
+    data: {
+      admin: {
+        id: admin.id,
+        email: admin.email,
+        first_name: admin.first_name,
+        last_name: admin.last_name,
+        role: admin.role,
+        avatar_url: admin.avatar_url
+      },
+      tokens: tokenPair,
+      // Admin features stay unavailable until two-factor setup is done
+      two_factor_setup_required: await twoFactorService.isSetupRequired(admin)
+    }
+  });
+}
+
+/**
+ * Load the current admin (two-factor and email changes)
+ * @param {String} id - Admin ID
+ * @returns {Object|null} Admin, or null if it cannot be read
+ */
+async function findAdmin(id) {
+  try {
+    const result = await supabaseService.getAdminById(id);
+    return result.data || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Remove secrets and login state from an admin before sending it
+ */
+function removeSensitiveFields(admin) {
+  delete admin.password;
+  delete admin.login_attempts;
+  delete admin.locked_until;
+  delete admin.totp_secret;
+  delete admin.totp_last_used_step;
+  return admin;
+}
+
 /**
  * Authentication Controller
  * Handles admin authentication and authorization
@@ -54,20 +143,12 @@ class AuthController {
       const passwordValid = await authConfig.comparePassword(password, admin.password);
 
       if (!passwordValid) {
-        // Increment login attempts
-        const newAttempts = (admin.login_attempts || 0) + 1;
-        let lockedUntil = null;
-
-        if (newAttempts >= authConfig.maxLoginAttempts) {
-          lockedUntil = authConfig.calculateLockExpiry();
-        }
-
-        await supabaseService.updateAdminLoginAttempts(admin.id, newAttempts, lockedUntil);
+        const attempts = await recordFailedLogin(admin);
 
         logger.warn('Admin login failed - invalid password', { 
           email, 
           adminId: admin.id, 
-          attempts: newAttempts 
+          attempts
         });
 
         return res.status(401).json({
@@ -76,33 +157,22 @@ class AuthController {
         });
       }
 
-      // Reset login attempts on successful login
-      await supabaseService.resetAdminLoginAttempts(admin.id);
-
-      // Generate tokens
-      const tokenPair = authConfig.generateTokenPair(admin);
+      // Accounts with two-factor authentication finish the login with a code
+      // (login attempts are only reset once the code is verified)
+      if (admin.totp_enabled) {
+        logger.info('Admin login - two-factor challenge issued', { adminId: admin.id });
+
+        return res.status(200).json({
+          status: 'success',
+          message: 'Two-factor authentication required',
+          data: {
+            two_factor_required: true,
+            challengeToken: authConfig.generateChallengeToken(admin)
+          }
+        });
+      }
 
-      logger.info('Admin login successful', { 
-        adminId: admin.id, 
-        email: admin.email,
-        ip: req.ip 
-      });
-
-      res.status(200).json({
-        status: 'success',
-        message: 'Login successful',
-        data: {
-          admin: {
-            id: admin.id,
-            email: admin.email,
-            first_name: admin.first_name,
-            last_name: admin.last_name,
-            role: admin.role,
-            avatar_url: admin.avatar_url
-          },
-          tokens: tokenPair
-        }
-      });
+      await completeLogin(req, res, admin);
 
     } catch (error) {
       logger.error('Admin login error', { error: error.message, email: req.body.email });
@@ -115,6 +185,8 @@ class AuthController {
 
   /**
    * Refresh access token
+   * The refresh token is rotated: it cannot be used again, and reusing it
+   * revokes every token issued from the same login
    */
   async refreshToken(req, res) {
     try {
@@ -127,39 +199,22 @@ class AuthController {
         });
       }
 
-      // Verify refresh token
-      const decoded = authConfig.verifyRefreshToken(refreshToken);
-
-      // Get admin to verify token is still valid
-      const adminResult = await supabaseService.getAdminById(decoded.id);
-
-      if (!adminResult.success || !adminResult.data) {
-        return res.status(401).json({
-          status: 'error',
-          message: 'Invalid refresh token'
-        });
-      }
-
-      const admin = adminResult.data;
+      const result = await tokenService.rotateRefreshToken(refreshToken);
 
-      // Check if account is still active
-      if (!admin.is_active) {
+      if (!result.success) {
         return res.status(401).json({
           status: 'error',
-          message: 'Account has been deactivated'
+          message: result.message
         });
       }
 
-      // Generate new token pair
-      const tokenPair = authConfig.generateTokenPair(admin);
-
-      logger.info('Token refreshed', { adminId: admin.id });
+      logger.info('Token refreshed', { adminId: result.data.admin.id });
 
       res.status(200).json({
         status: 'success',
         message: 'Token refreshed successfully',
         data: {
-          tokens: tokenPair
+          tokens: result.data.tokens
         }
       });
 
@@ -188,12 +243,8 @@ class AuthController {
         });
       }
 
-      const admin = adminResult.data;
-
       // Remove sensitive information
-      delete admin.password;
-      delete admin.login_attempts;
-      delete admin.locked_until;
+      const admin = removeSensitiveFields(adminResult.data);
 
       res.status(200).json({
         status: 'success',
@@ -223,6 +274,20 @@ class AuthController {
       delete updateData.is_active;
       delete updateData.login_attempts;
       delete updateData.locked_until;
+      delete updateData.totp_secret;
+      delete updateData.totp_enabled;
+      delete updateData.totp_enabled_at;
+      delete updateData.totp_last_used_step;
+      delete updateData.email_verified;
+
+      // A new email address has to be verified again
+      if (updateData.email) {
+        const current = await findAdmin(adminId);
+
+        if (current && current.email !== updateData.email) {
+          updateData.email_verified = false;
+        }
+      }
 
       const result = await supabaseService.updateAdmin(adminId, updateData);
 
@@ -234,10 +299,7 @@ class AuthController {
       }
 
       // Remove sensitive information from response
-      const admin = result.data;
-      delete admin.password;
-      delete admin.login_attempts;
-      delete admin.locked_until;
+      const admin = removeSensitiveFields(result.data);
 
       logger.info('Admin profile updated', { adminId });
 
@@ -305,11 +367,21 @@ class AuthController {
         });
       }
 
+      // Tokens issued before the change stop working: other sessions are
+      // revoked and this one continues with a new token pair
+      await sessionService.revokeAllSessions(adminId, 'password_changed', {
+        exceptSessionId: req.user.sessionId
+      });
+      const { tokens } = await tokenService.issueTokens(result.data, req.user.sessionId);
+
       logger.info('Admin password changed', { adminId });
 
       res.status(200).json({
         status: 'success',
-        message: 'Password changed successfully'
+        message: 'Password changed successfully',
+        data: {
+          tokens
+        }
       });
 
     } catch (error) {
@@ -322,13 +394,135 @@ class AuthController {
   }
 
   /**
-   * Admin logout (optional - mainly for logging)
+   * Request a password reset link by email
+   * POST /api/auth/forgot-password
+   * The response is the same whether or not the email belongs to an admin
+   */
+  async forgotPassword(req, res) {
+    const { email } = req.body;
+
+    // Not awaited, so the response time does not reveal it either
+    accountEmailService.requestPasswordReset(email).catch((error) => {
+      logger.error('Password reset request error', { error: error.message });
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  }
+
+  /**
+   * Set a new password with the token from a reset link
+   * POST /api/auth/reset-password
+   * Signs the admin out of every session
+   */
+  async resetPassword(req, res) {
+    try {
+      const { token, new_password } = req.body;
+
+      const result = await accountEmailService.resetPassword(token, new_password);
+
+      if (!result.success) {
+        return res.status(400).json({
+          status: 'error',
+          message: result.message
+        });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Password has been reset. Please log in with your new password.'
+      });
+
+    } catch (error) {
+      logger.error('Reset password error', { error: error.message });
+      res.status(500).json({
+        status: 'error',
+        message: 'Failed to reset password'
+      });
+    }
+  }
+
+  /**
+   * Email a verification link to the current admin
+   * POST /api/auth/verify-email/send
+   */
+  async sendVerificationEmail(req, res) {
+    try {
+      const admin = await findAdmin(req.user.id);
+
+      if (!admin) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Admin not found'
+        });
+      }
+
+      const result = await accountEmailService.sendEmailVerification(admin);
+
+      if (!result.success) {
+        return res.status(400).json({
+          status: 'error',
+          message: result.message
+        });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Verification email sent'
+      });
+
+    } catch (error) {
+      logger.error('Send verification email error', { error: error.message, adminId: req.user?.id });
+      res.status(500).json({
+        status: 'error',
+        message: 'Failed to send verification email'
+      });
+    }
+  }
+
+  /**
+   * Verify an email address with the token from a verification link
+   * POST /api/auth/verify-email
+   */
+  async verifyEmail(req, res) {
+    try {
+      const result = await accountEmailService.verifyEmail(req.body.token);
+
+      if (!result.success) {
+        return res.status(400).json({
+          status: 'error',
+          message: result.message
+        });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Email verified successfully',
+        data: result.data
+      });
+
+    } catch (error) {
+      logger.error('Verify email error', { error: error.message });
+      res.status(500).json({
+        status: 'error',
+        message: 'Failed to verify email'
+      });
+    }
+  }
+
+  /**
+   * Admin logout
+   * Revokes the session of the access token, so neither its access nor its
+   * refresh token can be used again
    */
   async logout(req, res) {
     try {
       const adminId = req.user?.id;
 
       if (adminId) {
+        await sessionService.revokeSession(adminId, req.user.sessionId, 'logout');
         logger.info('Admin logout', { adminId });
       }
 
@@ -346,6 +540,347 @@ class AuthController {
     }
   }
 
+  /**
+   * Log out everywhere: revoke all sessions of the admin
+   * POST /api/auth/logout-all (keep_current: keep the session of the request)
+   */
+  async logoutAll(req, res) {
+    try {
+      const adminId = req.user.id;
+      const keepCurrent = req.body.keep_current === true || req.body.keep_current === 'true';
+
+      const revoked = await sessionService.revokeAllSessions(adminId, 'logout_all', {
+        exceptSessionId: keepCurrent ? req.user.sessionId : null
+      });
+
+      res.status(200).json({
+        status: 'success',
+        message: keepCurrent ? 'Logged out of all other sessions' : 'Logged out of all sessions',
+        data: { revoked }
+      });
+
+    } catch (error) {
+      logger.error('Admin logout all error', { error: error.message, adminId: req.user?.id });
+      res.status(500).json({
+        status: 'error',
+        message: 'Logout failed'
+      });
+    }
+  }
+
+  /**
+   * List the active sessions of the current admin
+   * GET /api/auth/sessions
+   */
+  async getSessions(req, res) {
+    try {
+      const sessions = await sessionService.listSessions(req.user.id, req.user.sessionId);
+
+      res.status(200).json({
+        status: 'success',
+        data: sessions,
+        message: `Found ${sessions.length} active sessions`
+      });
+
+    } catch (error) {
+      logger.error('Get admin sessions error', { error: error.message, adminId: req.user?.id });
+      res.status(500).json({
+        status: 'error',
+        message: 'Failed to get sessions'
+      });
+    }
+  }
+
+  /**
+   * Revoke one session of the current admin
+   * DELETE /api/auth/sessions/:id
+   */
+  async revokeSession(req, res) {
+    try {
+      const revoked = await sessionService.revokeSession(req.user.id, req.params.id, 'revoked_by_user');
+
+      if (!revoked) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Session not found'
+        });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Session revoked successfully'
+      });
+
+    } catch (error) {
+      logger.error('Revoke admin session error', {
+        error: error.message,
+        adminId: req.user?.id,
+        sessionId: req.params.id
+      });
+      res.status(500).json({
+        status: 'error',
+        message: 'Failed to revoke session'
+      });
+    }
+  }
+
+  /**
+   * Second login step for accounts with two-factor authentication
+   * POST /api/auth/login/2fa (challenge_token, and code or recovery_code)
+   */
+  async verifyTwoFactorLogin(req, res) {
+    try {
+      const { challenge_token, code, recovery_code } = req.body;
+
+      let decoded;
+      try {
+        decoded = authConfig.verifyChallengeToken(challenge_token);
+      } catch (error) {
+        return res.status(401).json({
+          status: 'error',
+          message: error.message
+        });
+      }
+
+      const admin = await findAdmin(decoded.id);
+
+      // The challenge is void if the password or two-factor setup changed
+      if (!admin || !admin.is_active || !admin.totp_enabled ||
+          !authConfig.isPasswordVersionCurrent(decoded, admin)) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'Invalid challenge token'
+        });
+      }
+
+      if (authConfig.isAccountLocked(admin)) {
+        logger.warn('Two-factor login failed - account locked', { adminId: admin.id });
+        return res.status(423).json({
+          status: 'error',
+          message: 'Account temporarily locked due to too many failed attempts'
+        });
+      }
+
+      const method = await twoFactorService.verifyLogin(admin, {
+        code,
+        recoveryCode: recovery_code
+      });
+
+      if (!method) {
+        const attempts = await recordFailedLogin(admin);
+        logger.warn('Two-factor login failed - invalid code', { adminId: admin.id, attempts });
+
+        return res.status(401).json({
+          status: 'error',
+          message: 'Invalid two-factor code'
+        });
+      }
+
+      await completeLogin(req, res, admin);
+
+    } catch (error) {
+      logger.error('Two-factor login error', { error: error.message });
+      res.status(500).json({
+        status: 'error',
+        message: 'Login failed. Please try again.'
+      });
+    }
+  }
+
+  /**
+   * Two-factor status of the current admin
+   * GET /api/auth/2fa
+   */
+  async getTwoFactorStatus(req, res) {
+    try {
+      const admin = await findAdmin(req.user.id);
+
+      if (!admin) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Admin not found'
+        });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: await twoFactorService.getStatus(admin)
+      });
+
+    } catch (error) {
+      logger.error('Get two-factor status error', { error: error.message, adminId: req.user?.id });
+      res.status(500).json({
+        status: 'error',
+        message: 'Failed to get two-factor status'
+      });
+    }
+  }
+
+  /**
+   * Start two-factor setup: returns the secret and its otpauth:// URI (to
+   * show as a QR code)
+   * POST /api/auth/2fa/setup
+   */
+  async setupTwoFactor(req, res) {
+    try {
+      const admin = await findAdmin(req.user.id);
+
+      if (!admin) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Admin not found'
+        });
+      }
+
+      const result = await twoFactorService.beginSetup(admin);
+
+      if (!result.success) {
+        return res.status(409).json({
+          status: 'error',
+          message: result.message
+        });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Scan the QR code with an authenticator app, then confirm with a code',
+        data: result.data
+      });
+
+    } catch (error) {
+      logger.error('Two-factor setup error', { error: error.message, adminId: req.user?.id });
+      res.status(500).json({
+        status: 'error',
+        message: 'Failed to start two-factor setup'
+      });
+    }
+  }
+
+  /**
+   * Enable two-factor authentication with a code from the app; returns the
+   * recovery codes (shown once)
+   * POST /api/auth/2fa/enable
+   */
+  async enableTwoFactor(req, res) {
+    try {
+      const admin = await findAdmin(req.user.id);
+
+      if (!admin) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Admin not found'
+        });
+      }
+
+      const result = await twoFactorService.enable(admin, req.body.code);
+
+      if (!result.success) {
+        return res.status(400).json({
+          status: 'error',
+          message: result.message
+        });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe.',
+        data: result.data
+      });
+
+    } catch (error) {
+      logger.error('Enable two-factor error', { error: error.message, adminId: req.user?.id });
+      res.status(500).json({
+        status: 'error',
+        message: 'Failed to enable two-factor authentication'
+      });
+    }
+  }
+
+  /**
+   * Disable two-factor authentication (password and code required)
+   * POST /api/auth/2fa/disable
+   */
+  async disableTwoFactor(req, res) {
+    try {
+      const { password, code } = req.body;
+      const admin = await findAdmin(req.user.id);
+
+      if (!admin) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Admin not found'
+        });
+      }
+
+      if (!(await authConfig.comparePassword(password, admin.password))) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Password is incorrect'
+        });
+      }
+
+      const result = await twoFactorService.disable(admin, code);
+
+      if (!result.success) {
+        return res.status(400).json({
+          status: 'error',
+          message: result.message
+        });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Two-factor authentication disabled'
+      });
+
+    } catch (error) {
+      logger.error('Disable two-factor error', { error: error.message, adminId: req.user?.id });
+      res.status(500).json({
+        status: 'error',
+        message: 'Failed to disable two-factor authentication'
+      });
+    }
+  }
+
+  /**
+   * Replace the recovery codes
+   * POST /api/auth/2fa/recovery-codes
+   */
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const admin = await findAdmin(req.user.id);
+
+      if (!admin) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Admin not found'
+        });
+      }
+
+      const result = await twoFactorService.regenerateRecoveryCodes(admin, req.body.code);
+
+      if (!result.success) {
+        return res.status(400).json({
+          status: 'error',
+          message: result.message
+        });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        message: 'New recovery codes generated; the previous ones no longer work',
+        data: result.data
+      });
+
+    } catch (error) {
+      logger.error('Regenerate recovery codes error', { error: error.message, adminId: req.user?.id });
+      res.status(500).json({
+        status: 'error',
+        message: 'Failed to generate recovery codes'
+      });
+    }
+  }
+
   /**
    * Verify token (for frontend to check if token is still valid)
    */
@@ -1,6 +1,22 @@
 const supabaseService = require('../services/supabaseService');
+const eventBus = require('../services/eventBus');
+const { CATALOG_EVENTS } = require('../config/events');
 const logger = require('../utils/logger');
 
+/**
+ * Load a brand before a write so event subscribers can see what changed
+ * @param {String} id - Brand ID
+ * @returns {Object|null} Brand, or null if it cannot be read
+ */
+async function findBrand(id) {
+  try {
+    const result = await supabaseService.getBrandById(id);
+    return result.data || null;
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Brand Controller
  * Handles brand management
@@ -93,6 +109,12 @@ class BrandController {
         adminId: req.user.id 
       });
 
+      await eventBus.publish(CATALOG_EVENTS.BRAND_CREATED, {
+        id: result.data.id,
+        before: null,
+        after: result.data
+      });
+
       res.status(201).json({
         status: 'success',
         data: result.data,
@@ -121,6 +143,7 @@ class BrandController {
       const { id } = req.params;
       const updateData = req.body;
 
+      const before = await findBrand(id);
       const result = await supabaseService.updateBrand(id, updateData);
 
       if (!result.success) {
@@ -135,6 +158,12 @@ class BrandController {
         adminId: req.user.id 
       });
 
+      await eventBus.publish(CATALOG_EVENTS.BRAND_UPDATED, {
+        id,
+        before,
+        after: result.data
+      });
+
       res.status(200).json({
         status: 'success',
         data: result.data,
@@ -162,6 +191,7 @@ class BrandController {
   async deleteBrand(req, res) {
     try {
       const { id } = req.params;
+      const before = await findBrand(id);
       const result = await supabaseService.deleteBrand(id);
 
       if (!result.success) {
@@ -176,6 +206,12 @@ class BrandController {
         adminId: req.user.id 
       });
 
+      await eventBus.publish(CATALOG_EVENTS.BRAND_DELETED, {
+        id,
+        before,
+        after: null
+      });
+
       res.status(200).json({
         status: 'success',
         message: 'Brand deleted successfully'
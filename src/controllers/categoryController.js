@@ -1,6 +1,22 @@
 const supabaseService = require('../services/supabaseService');
+const eventBus = require('../services/eventBus');
+const { CATALOG_EVENTS } = require('../config/events');
 const logger = require('../utils/logger');
 
+/**
+ * Load a category before a write so event subscribers can see what changed
+ * @param {String} id - Category ID
+ * @returns {Object|null} Category, or null if it cannot be read
+ */
+async function findCategory(id) {
+  try {
+    const result = await supabaseService.getCategoryById(id);
+    return result.data || null;
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Category Controller
  * Handles category management
@@ -93,6 +109,12 @@ class CategoryController {
         adminId: req.user.id 
       });
 
+      await eventBus.publish(CATALOG_EVENTS.CATEGORY_CREATED, {
+        id: result.data.id,
+        before: null,
+        after: result.data
+      });
+
       res.status(201).json({
         status: 'success',
         data: result.data,
@@ -121,6 +143,7 @@ class CategoryController {
       const { id } = req.params;
       const updateData = req.body;
 
+      const before = await findCategory(id);
       const result = await supabaseService.updateCategory(id, updateData);
 
       if (!result.success) {
@@ -135,6 +158,12 @@ class CategoryController {
         adminId: req.user.id 
       });
 
+      await eventBus.publish(CATALOG_EVENTS.CATEGORY_UPDATED, {
+        id,
+        before,
+        after: result.data
+      });
+
       res.status(200).json({
         status: 'success',
         data: result.data,
@@ -162,6 +191,7 @@ class CategoryController {
   async deleteCategory(req, res) {
     try {
       const { id } = req.params;
+      const before = await findCategory(id);
       const result = await supabaseService.deleteCategory(id);
 
       if (!result.success) {
@@ -176,6 +206,12 @@ class CategoryController {
         adminId: req.user.id 
       });
 
+      await eventBus.publish(CATALOG_EVENTS.CATEGORY_DELETED, {
+        id,
+        before,
+        after: null
+      });
+
       res.status(200).json({
         status: 'success',
         message: 'Category deleted successfully'
@@ -1,5 +1,18 @@
 const productService = require("../services/productService");
 const searchService = require("../services/searchService");
+const searchAnalyticsService = require("../services/searchAnalyticsService");
+const recommendationService = require("../services/recommendationService");
+const storeService = require("../services/storeService");
+const { parseSpecFilters } = require("../utils/specFilters");
+const { parseSort } = require("../utils/sortSpec");
+const { parseSearchQuery } = require("../utils/queryParser");
+const { RECOMMENDATIONS } = require("../config/search");
+const {
+  CURSOR_MISMATCH_MESSAGE,
+  decodeCursor,
+  cursorMatchesScope,
+} = require("../utils/cursor");
+const { sendValidationErrors } = require("../middleware/validation");
 const logger = require("../utils/logger");
 
 /**
@@ -7,8 +20,10 @@ const logger = require("../utils/logger");
  * Handles all product-related HTTP requests
  */
 function normalizeSearchParams(query) {
+  const text = query.query || query.q || "";
+
   return {
-    query: query.query || query.q || "",
+    query: text,
     brand: query.brand,
     category: query.category,
     minPrice:
@@ -29,11 +44,92 @@ function normalizeSearchParams(query) {
         : query.in_stock === "true",
     sortBy: query.sortBy || query.sort_by || "relevance",
     sortOrder: query.sortOrder || query.sort_order || "desc",
+    sort: parseSort(query),
     limit:
       query.limit !== undefined ? Math.min(parseInt(query.limit), 100) : 50,
     offset: query.offset !== undefined ? parseInt(query.offset) : 0,
+    cursor: query.cursor ? decodeCursor(query.cursor) : null,
+    autocorrect:
+      query.autocorrect !== undefined
+        ? query.autocorrect === "true" || query.autocorrect === true
+        : undefined,
+    specFilters: parseSpecFilters(query, { category: query.category }).filters,
+    parsedQuery: parseSearchQuery(text).parsedQuery,
+  };
+}
+
+/**
+ * Reject a cursor issued for a different query, filters or sort
+ * @returns {Boolean} True when a 400 response was sent
+ */
+function rejectMismatchedCursor(req, res, cursor, scope) {
+  if (!cursor || cursorMatchesScope(cursor, scope)) return false;
+
+  sendValidationErrors(req, res, [
+    {
+      field: "cursor",
+      message: CURSOR_MISMATCH_MESSAGE,
+      value: req.query.cursor,
+    },
+  ]);
+  return true;
+}
+
+/**
+ * Resolve the store scope of a request (store, or lat with lng/long and
+ * radius); an unknown store is rejected
+ * @returns {Object|null} { stores } (null stores without a scope), or null
+ *   when a 400 response was sent
+ */
+async function resolveStoreScope(req, res) {
+  const { store, lat, radius } = req.query;
+  const lng = req.query.lng !== undefined ? req.query.lng : req.query.long;
+  const result = await storeService.resolveScope({
+    store,
+    lat: lat !== undefined ? parseFloat(lat) : undefined,
+    lng: lng !== undefined ? parseFloat(lng) : undefined,
+    radiusKm: radius !== undefined ? parseFloat(radius) : undefined,
+  });
+
+  if (!result.success) {
+    sendValidationErrors(req, res, [
+      { field: "store", message: result.message, value: store },
+    ]);
+    return null;
+  }
+
+  return { stores: result.data };
+}
+
+/**
+ * Listing options shared by product, category and brand listings
+ */
+function getListingOptions(query) {
+  return {
+    page: query.page || 1,
+    limit: query.limit || 50,
+    sort: parseSort(query, { defaultField: "date" }),
+    cursor: query.cursor ? decodeCursor(query.cursor) : null,
+  };
+}
+
+/**
+ * Parse recommendation query parameters
+ */
+function getRecommendationOptions(query) {
+  return {
+    limit: parseInt(query.limit) || RECOMMENDATIONS.defaultLimit,
+    inStock: query.in_stock === "true",
   };
 }
+
+/**
+ * Whether the authenticated user (if any) is an admin
+ */
+function isAdmin(user) {
+  return !!user && ["admin", "super_admin"].includes(user.role);
+}
+
 class ProductController {
   /**
    * Get all products with filtering and pagination
@@ -41,11 +137,12 @@ class ProductController {
    */
   async getProducts(req, res) {
     try {
+      const storeScope = await resolveStoreScope(req, res);
+      if (!storeScope) return;
+
       const options = {
-        page: req.query.page || 1,
-        limit: req.query.limit || 50,
-        sortBy: req.query.sort_by || "created_at",
-        sortOrder: req.query.sort_order || "desc",
+        ...getListingOptions(req.query),
+        stores: storeScope.stores,
         brand_id: req.query.brand_id,
         category_id: req.query.category_id,
         is_featured:
@@ -60,8 +157,20 @@ class ProductController {
           req.query.in_stock !== undefined
             ? req.query.in_stock === "true"
             : undefined,
+        specFilters: parseSpecFilters(req.query).filters,
       };
 
+      if (
+        rejectMismatchedCursor(
+          req,
+          res,
+          options.cursor,
+          productService.getCursorScope(options)
+        )
+      ) {
+        return;
+      }
+
       const result = await productService.getProducts(options);
 
       if (!result.success) {
@@ -127,15 +236,38 @@ class ProductController {
   /**
    * Search products using advanced search algorithm
    * GET /api/products/search
+   * Admins may pass explain=true for a per-result scoring breakdown
    */
   async searchProducts(req, res) {
     try {
-      const searchParams = normalizeSearchParams(req.query);
-      const result = await searchService.searchProducts(searchParams);
+      const storeScope = await resolveStoreScope(req, res);
+      if (!storeScope) return;
+
+      const searchParams = {
+        ...normalizeSearchParams(req.query),
+        stores: storeScope.stores,
+        // Ranking breakdowns are only shown to admins
+        explain: req.query.explain === "true" && isAdmin(req.user),
+      };
+      if (
+        rejectMismatchedCursor(
+          req,
+          res,
+          searchParams.cursor,
+          searchService.getCursorScope(searchParams)
+        )
+      ) {
+        return;
+      }
+
+      const result = await searchService.searchProducts(searchParams, {
+        session: searchAnalyticsService.getSessionHash(req),
+      });
       res.status(200).json({
         status: "success",
         data: result.results,
         metadata: result.metadata,
+        facets: result.facets,
         message: `Found ${result.metadata.total} products`,
       });
     } catch (error) {
@@ -190,7 +322,7 @@ class ProductController {
   async getPopularSearches(req, res) {
     try {
       const limit = Math.min(parseInt(req.query.limit) || 10, 50);
-      const popularSearches = searchService.getPopularSearches(limit);
+      const popularSearches = await searchService.getPopularSearches(limit);
 
       res.status(200).json({
         status: "success",
@@ -349,6 +481,19 @@ class ProductController {
         });
       }
 
+      // Count the view for popularity ranking and also-viewed
+      // recommendations without delaying the response
+      productService
+        .recordProductEvent(id, "view", {
+          session: searchAnalyticsService.getSessionHash(req),
+        })
+        .catch((error) => {
+          logger.warn("Failed to record product view", {
+            error: error.message,
+            productId: id,
+          });
+        });
+
       res.status(200).json({
         status: "success",
         data: result.data,
@@ -367,6 +512,151 @@ class ProductController {
     }
   }
 
+  /**
+   * Compare 2-4 products side by side
+   * GET /api/products/compare?ids=<id>,<id>
+   */
+  async compareProducts(req, res) {
+    try {
+      // Split into distinct IDs by validateProductComparison
+      const { ids } = req.query;
+      const result = await productService.compareProducts(ids);
+
+      if (!result.success) {
+        return res.status(404).json({
+          status: "error",
+          message: result.message,
+          missing: result.missing,
+        });
+      }
+
+      res.status(200).json({
+        status: "success",
+        data: result.data,
+        message: `Compared ${ids.length} products`,
+      });
+    } catch (error) {
+      logger.error("ProductController.compareProducts error", {
+        error: error.message,
+        ids: req.query.ids,
+      });
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to compare products",
+      });
+    }
+  }
+
+  /**
+   * Get products similar to a product
+   * GET /api/products/:id/similar
+   */
+  async getSimilarProducts(req, res) {
+    try {
+      const result = await recommendationService.getSimilarProducts(
+        req.params.id,
+        getRecommendationOptions(req.query)
+      );
+
+      if (!result.success) {
+        return res.status(404).json({
+          status: "error",
+          message: result.message,
+        });
+      }
+
+      res.status(200).json({
+        status: "success",
+        data: result.results,
+        metadata: result.metadata,
+        message: `Found ${result.results.length} similar products`,
+      });
+    } catch (error) {
+      logger.error("ProductController.getSimilarProducts error", {
+        error: error.message,
+        productId: req.params.id,
+      });
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to get similar products",
+      });
+    }
+  }
+
+  /**
+   * Get products viewed in the same sessions as a product
+   * GET /api/products/:id/also-viewed
+   */
+  async getAlsoViewedProducts(req, res) {
+    try {
+      const result = await recommendationService.getAlsoViewedProducts(
+        req.params.id,
+        getRecommendationOptions(req.query)
+      );
+
+      if (!result.success) {
+        return res.status(404).json({
+          status: "error",
+          message: result.message,
+        });
+      }
+
+      res.status(200).json({
+        status: "success",
+        data: result.results,
+        metadata: result.metadata,
+        message: `Found ${result.results.length} also-viewed products`,
+      });
+    } catch (error) {
+      logger.error("ProductController.getAlsoViewedProducts error", {
+        error: error.message,
+        productId: req.params.id,
+      });
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to get also-viewed products",
+      });
+    }
+  }
+
+  /**
+   * Record a product interaction used for popularity ranking
+   * POST /api/products/:id/events
+   */
+  async recordProductEvent(req, res) {
+    try {
+      const { id } = req.params;
+      const { type, search_id: searchId } = req.body;
+
+      const recorded = await productService.recordProductEvent(id, type, {
+        searchId,
+      });
+
+      // Duplicates and products the search did not return are accepted but
+      // not counted, so retried requests are harmless
+      res.status(202).json({
+        status: "success",
+        data: { recorded },
+        message: recorded ? "Event recorded" : "Event ignored",
+      });
+    } catch (error) {
+      logger.error("ProductController.recordProductEvent error", {
+        error: error.message,
+        productId: req.params.id,
+        type: req.body.type,
+        searchId: req.body.search_id,
+      });
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to record event",
+      });
+    }
+  }
+
   /**
    * Get products by category
    * GET /api/products/category/:categoryId
@@ -374,13 +664,25 @@ class ProductController {
   async getProductsByCategory(req, res) {
     try {
       const { categoryId } = req.params;
+      const storeScope = await resolveStoreScope(req, res);
+      if (!storeScope) return;
+
       const options = {
-        page: req.query.page || 1,
-        limit: req.query.limit || 50,
-        sortBy: req.query.sort_by || "created_at",
-        sortOrder: req.query.sort_order || "desc",
+        ...getListingOptions(req.query),
+        stores: storeScope.stores,
       };
 
+      if (
+        rejectMismatchedCursor(
+          req,
+          res,
+          options.cursor,
+          productService.getCursorScope({ ...options, category_id: categoryId })
+        )
+      ) {
+        return;
+      }
+
       const result = await productService.getProductsByCategory(
         categoryId,
         options
@@ -419,13 +721,25 @@ class ProductController {
   async getProductsByBrand(req, res) {
     try {
       const { brandId } = req.params;
+      const storeScope = await resolveStoreScope(req, res);
+      if (!storeScope) return;
+
       const options = {
-        page: req.query.page || 1,
-        limit: req.query.limit || 50,
-        sortBy: req.query.sort_by || "created_at",
-        sortOrder: req.query.sort_order || "desc",
+        ...getListingOptions(req.query),
+        stores: storeScope.stores,
       };
 
+      if (
+        rejectMismatchedCursor(
+          req,
+          res,
+          options.cursor,
+          productService.getCursorScope({ ...options, brand_id: brandId })
+        )
+      ) {
+        return;
+      }
+
       const result = await productService.getProductsByBrand(brandId, options);
 
       if (!result.success) {
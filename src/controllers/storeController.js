@@ -0,0 +1,344 @@
+const supabaseService = require('../services/supabaseService');
+const storeService = require('../services/storeService');
+const eventBus = require('../services/eventBus');
+const { CATALOG_EVENTS } = require('../config/events');
+const logger = require('../utils/logger');
+
+/**
+ * Load a store before a write so event subscribers can see what changed
+ * @param {String} id - Store ID
+ * @returns {Object|null} Store, or null if it cannot be read
+ */
+async function findStore(id) {
+  try {
+    const result = await supabaseService.getStoreById(id);
+    return result.data || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Load a product before an inventory write
+ * @param {String} id - Product ID
+ * @returns {Object|null} Product, or null if it cannot be read
+ */
+async function findProduct(id) {
+  try {
+    const result = await supabaseService.getProductById(id);
+    return result.data || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Store Controller
+ * Handles stores and their per-store inventory
+ */
+class StoreController {
+  /**
+   * Get all stores, or the stores near a location (nearest first)
+   * GET /api/stores?lat=&lng=&radius=
+   */
+  async getStores(req, res) {
+    try {
+      const { lat, radius } = req.query;
+      const lng = req.query.lng !== undefined ? req.query.lng : req.query.long;
+
+      if (lat !== undefined && lng !== undefined) {
+        const result = await storeService.resolveScope({
+          lat: parseFloat(lat),
+          lng: parseFloat(lng),
+          radiusKm: radius !== undefined ? parseFloat(radius) : undefined
+        });
+
+        return res.status(200).json({
+          status: 'success',
+          data: result.data,
+          message: `Found ${result.data.length} stores nearby`
+        });
+      }
+
+      const includeInactive = req.user?.role === 'super_admin' && req.query.include_inactive === 'true';
+      const result = await supabaseService.getStores(includeInactive);
+
+      res.status(200).json({
+        status: 'success',
+        data: result.data,
+        message: `Found ${result.data.length} stores`
+      });
+
+    } catch (error) {
+      logger.error('StoreController.getStores error', { error: error.message });
+      res.status(500).json({
+        status: 'error',
+        message: 'Failed to fetch stores'
+      });
+    }
+  }
+
+  /**
+   * Get store by ID
+   * GET /api/stores/:id
+   */
+  async getStoreById(req, res) {
+    try {
+      const { id } = req.params;
+      const store = await findStore(id);
+
+      if (!store) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Store not found'
+        });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: store,
+        message: 'Store retrieved successfully'
+      });
+
+    } catch (error) {
+      logger.error('StoreController.getStoreById error', {
+        error: error.message,
+        storeId: req.params.id
+      });
+      res.status(500).json({
+        status: 'error',
+        message: 'Failed to fetch store'
+      });
+    }
+  }
+
+  /**
+   * Create new store (Admin only)
+   * POST /api/stores
+   */
+  async createStore(req, res) {
+    try {
+      const result = await supabaseService.createStore(req.body);
+
+      logger.info('Store created', {
+        storeId: result.data.id,
+        adminId: req.user.id
+      });
+
+      await eventBus.publish(CATALOG_EVENTS.STORE_CREATED, {
+        id: result.data.id,
+        before: null,
+        after: result.data
+      });
+
+      res.status(201).json({
+        status: 'success',
+        data: result.data,
+        message: 'Store created successfully'
+      });
+
+    } catch (error) {
+      logger.error('StoreController.createStore error', {
+        error: error.message,
+        storeData: req.body,
+        adminId: req.user?.id
+      });
+      res.status(500).json({
+        status: 'error',
+        message: 'Failed to create store'
+      });
+    }
+  }
+
+  /**
+   * Update store (Admin only)
+   * PUT /api/stores/:id
+   */
+  async updateStore(req, res) {
+    try {
+      const { id } = req.params;
+      const before = await findStore(id);
+
+      if (!before) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Store not found'
+        });
+      }
+
+      const result = await supabaseService.updateStore(id, req.body);
+
+      logger.info('Store updated', {
+        storeId: id,
+        adminId: req.user.id
+      });
+
+      await eventBus.publish(CATALOG_EVENTS.STORE_UPDATED, {
+        id,
+        before,
+        after: result.data
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: result.data,
+        message: 'Store updated successfully'
+      });
+
+    } catch (error) {
+      logger.error('StoreController.updateStore error', {
+        error: error.message,
+        storeId: req.params.id,
+        updateData: req.body,
+        adminId: req.user?.id
+      });
+      res.status(500).json({
+        status: 'error',
+        message: 'Failed to update store'
+      });
+    }
+  }
+
+  /**
+   * Delete store and its inventory (Admin only)
+   * DELETE /api/stores/:id
+   */
+  async deleteStore(req, res) {
+    try {
+      const { id } = req.params;
+      const before = await findStore(id);
+
+      if (!before) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Store not found'
+        });
+      }
+
+      await supabaseService.deleteStore(id);
+
+      logger.info('Store deleted', {
+        storeId: id,
+        adminId: req.user.id
+      });
+
+      await eventBus.publish(CATALOG_EVENTS.STORE_DELETED, {
+        id,
+        before,
+        after: null
+      });
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Store deleted successfully'
+      });
+
+    } catch (error) {
+      logger.error('StoreController.deleteStore error', {
+        error: error.message,
+        storeId: req.params.id,
+        adminId: req.user?.id
+      });
+      res.status(500).json({
+        status: 'error',
+        message: 'Failed to delete store'
+      });
+    }
+  }
+
+  /**
+   * Get the inventory of a store (Admin only)
+   * GET /api/stores/:id/inventory
+   */
+  async getInventory(req, res) {
+    try {
+      const { id } = req.params;
+      const store = await findStore(id);
+
+      if (!store) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Store not found'
+        });
+      }
+
+      const result = await supabaseService.getStoreInventory(id);
+
+      res.status(200).json({
+        status: 'success',
+        data: result.data,
+        message: `Found ${result.data.length} inventory items`
+      });
+
+    } catch (error) {
+      logger.error('StoreController.getInventory error', {
+        error: error.message,
+        storeId: req.params.id
+      });
+      res.status(500).json({
+        status: 'error',
+        message: 'Failed to fetch inventory'
+      });
+    }
+  }
+
+  /**
+   * Set the stock of a product at a store (Admin only)
+   * PUT /api/stores/:id/inventory/:productId
+   */
+  async updateInventory(req, res) {
+    try {
+      const { id, productId } = req.params;
+      const { stock_quantity: stockQuantity } = req.body;
+
+      const [store, product] = await Promise.all([
+        findStore(id),
+        findProduct(productId)
+      ]);
+
+      if (!store || !product) {
+        return res.status(404).json({
+          status: 'error',
+          message: store ? 'Product not found' : 'Store not found'
+        });
+      }
+
+      const before = await supabaseService.getStoreInventoryItem(id, productId);
+      const result = await supabaseService.setStoreInventory(id, productId, stockQuantity);
+
+      logger.info('Store inventory updated', {
+        storeId: id,
+        productId,
+        stockQuantity,
+        adminId: req.user.id
+      });
+
+      await eventBus.publish(CATALOG_EVENTS.INVENTORY_UPDATED, {
+        id: productId,
+        storeId: id,
+        before: before.data || null,
+        after: result.data
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: result.data,
+        message: 'Inventory updated successfully'
+      });
+
+    } catch (error) {
+      logger.error('StoreController.updateInventory error', {
+        error: error.message,
+        storeId: req.params.id,
+        productId: req.params.productId,
+        adminId: req.user?.id
+      });
+      res.status(500).json({
+        status: 'error',
+        message: 'Failed to update inventory'
+      });
+    }
+  }
+}
+
+module.exports = new StoreController();
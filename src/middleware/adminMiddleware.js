@@ -1,5 +1,23 @@
 const logger = require('../utils/logger');
 
+/**
+ * Reject admins who still have to set up required two-factor authentication
+ * (they can only use /api/auth, where the setup endpoints are)
+ * @returns {boolean} True if a response was sent
+ */
+const rejectPendingTwoFactorSetup = (req, res) => {
+  if (!req.user.twoFactorSetupRequired) {
+    return false;
+  }
+
+  res.status(403).json({
+    status: 'error',
+    message: 'Two-factor authentication must be set up before using admin features',
+    code: 'TWO_FACTOR_SETUP_REQUIRED'
+  });
+  return true;
+};
+
 /**
  * Check if user has admin role
  */
@@ -26,6 +44,10 @@ const requireAdmin = (req, res, next) => {
     });
   }
 
+  if (rejectPendingTwoFactorSetup(req, res)) {
+    return;
+  }
+
   next();
 };
 
@@ -54,6 +76,10 @@ const requireSuperAdmin = (req, res, next) => {
     });
   }
 
+  if (rejectPendingTwoFactorSetup(req, res)) {
+    return;
+  }
+
   next();
 };
 
@@ -69,6 +95,10 @@ const requirePermission = (permission) => {
       });
     }
 
+    if (rejectPendingTwoFactorSetup(req, res)) {
+      return;
+    }
+
     // Super admin has all permissions
     if (req.user.role === 'super_admin') {
       return next();
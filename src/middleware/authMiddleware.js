@@ -1,5 +1,7 @@
 const authConfig = require('../config/auth');
 const { getSupabaseAdmin } = require('../config/database');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
 const logger = require('../utils/logger');
 
 /**
@@ -44,12 +46,44 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Reject tokens issued before the last password change
+    if (!authConfig.isPasswordVersionCurrent(decoded, admin)) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Password has been changed, please log in again',
+        code: 'PASSWORD_CHANGED'
+      });
+    }
+
+    // Reject tokens of revoked (logged out) and expired sessions
+    const session = decoded.sid
+      ? await sessionService.getActiveSession(decoded.sid, admin.id)
+      : null;
+
+    if (!session) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Session has been revoked',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
+    sessionService.touchSession(session).catch((error) => {
+      logger.warn('Failed to record session activity', {
+        error: error.message,
+        sessionId: session.id
+      });
+    });
+
     // Attach user info to request
     req.user = {
       id: admin.id,
       email: admin.email,
       role: admin.role,
-      permissions: admin.permissions || {}
+      permissions: admin.permissions || {},
+      sessionId: session.id,
+      // Checked by the admin role middleware
+      twoFactorSetupRequired: await twoFactorService.isSetupRequired(admin)
     };
 
     next();
@@ -94,12 +128,22 @@ const optionalAuthentication = async (req, res, next) => {
         .eq('is_active', true)
         .single();
 
-      if (admin && !authConfig.isAccountLocked(admin)) {
+      const session = admin && decoded.sid && authConfig.isPasswordVersionCurrent(decoded, admin)
+        ? await sessionService.getActiveSession(decoded.sid, admin.id)
+        : null;
+
+      // Admins with pending two-factor setup get no admin extras either
+      if (
+        session &&
+        !authConfig.isAccountLocked(admin) &&
+        !(await twoFactorService.isSetupRequired(admin))
+      ) {
         req.user = {
           id: admin.id,
           email: admin.email,
           role: admin.role,
-          permissions: admin.permissions || {}
+          permissions: admin.permissions || {},
+          sessionId: session.id
         };
       }
     }
@@ -1,6 +1,37 @@
 const { body, param, query, validationResult } = require('express-validator');
+const supabaseService = require('../services/supabaseService');
+const { parseSpecFilters } = require('../utils/specFilters');
+const { validateRelevanceProfile } = require('../utils/relevanceProfile');
+const { SORT_FIELDS, findInvalidSortFields } = require('../utils/sortSpec');
+const { decodeCursor } = require('../utils/cursor');
+const { parseSearchQuery } = require('../utils/queryParser');
+const {
+  SYNONYM_TYPES,
+  SEARCH_INTERACTION_TYPES,
+  RECOMMENDATIONS,
+  LOCAL_AVAILABILITY
+} = require('../config/search');
+const { SUPPORTED_LANGUAGES } = require('../config/languages');
 const logger = require('../utils/logger');
 
+/**
+ * Send a 400 response for formatted validation errors
+ * @param {Array} formattedErrors - Errors as { field, message, value }
+ */
+const sendValidationErrors = (req, res, formattedErrors) => {
+  logger.warn('Validation failed', { 
+    errors: formattedErrors,
+    endpoint: req.originalUrl,
+    method: req.method
+  });
+
+  return res.status(400).json({
+    status: 'error',
+    message: 'Validation failed',
+    errors: formattedErrors
+  });
+};
+
 /**
  * Handle validation errors
  */
@@ -14,17 +45,48 @@ const handleValidationErrors = (req, res, next) => {
       value: error.value
     }));
 
-    logger.warn('Validation failed', { 
-      errors: formattedErrors,
-      endpoint: req.originalUrl,
-      method: req.method
-    });
-
-    return res.status(400).json({
-      status: 'error',
-      message: 'Validation failed',
-      errors: formattedErrors
-    });
+    return sendValidationErrors(req, res, formattedErrors);
+  }
+
+  next();
+};
+
+/**
+ * Specification filter validation (spec.<key><operator><value>)
+ * Filters are checked against the spec schema of the requested category,
+ * given as a slug (category) or an ID (category_id)
+ */
+const validateSpecFilters = async (req, res, next) => {
+  let category = req.query.category;
+
+  if (!category && req.query.category_id) {
+    try {
+      const result = await supabaseService.getCategoryById(req.query.category_id);
+      category = result.data?.slug;
+    } catch (error) {
+      // Unknown category: validate against every known specification
+      logger.debug('Spec filter category lookup failed', { error: error.message });
+    }
+  }
+
+  const { errors } = parseSpecFilters(req.query, { category });
+
+  if (errors.length > 0) {
+    return sendValidationErrors(req, res, errors);
+  }
+
+  next();
+};
+
+/**
+ * Advanced search syntax validation (phrases, exclusions, field scopes and
+ * ranges in query or q)
+ */
+const validateSearchQuery = (req, res, next) => {
+  const { errors } = parseSearchQuery(req.query.query || req.query.q || '');
+
+  if (errors.length > 0) {
+    return sendValidationErrors(req, res, errors);
   }
 
   next();
@@ -175,6 +237,35 @@ const validateProduct = [
       return true;
     }),
 
+  body('localized')
+    .optional()
+    .custom((value) => {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('Localized content must be an object keyed by language code');
+      }
+
+      Object.entries(value).forEach(([language, translation]) => {
+        if (!SUPPORTED_LANGUAGES.includes(language)) {
+          throw new Error(`Unsupported language: ${language} (supported: ${SUPPORTED_LANGUAGES.join(', ')})`);
+        }
+        if (!translation || typeof translation !== 'object' || Array.isArray(translation)) {
+          throw new Error(`Localized content for ${language} must be an object`);
+        }
+
+        const { name, description, ...unknown } = translation;
+        if (Object.keys(unknown).length > 0) {
+          throw new Error('Localized content supports name and description only');
+        }
+        if (name !== undefined && (typeof name !== 'string' || name.length > 255)) {
+          throw new Error(`Localized name (${language}) must be a string of at most 255 characters`);
+        }
+        if (description !== undefined && (typeof description !== 'string' || description.length > 5000)) {
+          throw new Error(`Localized description (${language}) must be a string of at most 5000 characters`);
+        }
+      });
+      return true;
+    }),
+
   body('images')
     .optional()
     .isArray()
@@ -265,6 +356,100 @@ const validateUUID = (paramName = 'id') => [
   handleValidationErrors
 ];
 
+/**
+ * Sort validation shared by product listing and search
+ * Accepts sort=-rating,price or the legacy sort_by/sort_order pair
+ */
+const sortValidators = [
+  query('sort')
+    .optional()
+    .custom((value) => {
+      const invalid = findInvalidSortFields(value);
+      if (invalid.length > 0) {
+        throw new Error(`Unknown sort field(s): ${invalid.join(', ') || '(empty)'}. Allowed: ${Object.keys(SORT_FIELDS).join(', ')}`);
+      }
+      return true;
+    }),
+
+  query('sort_by')
+    .optional()
+    .custom((value) => {
+      if (findInvalidSortFields(value).length > 0 || String(value).includes(',')) {
+        throw new Error(`sort_by must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+      }
+      return true;
+    }),
+
+  query('sort_order')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('sort_order must be either asc or desc')
+];
+
+// Whether a cursor matches the query, filters and sort is checked by the
+// controller, which knows how they are normalized
+const cursorValidator = query('cursor')
+  .optional()
+  .isLength({ min: 1, max: 2048 })
+  .withMessage('Cursor must be between 1 and 2048 characters')
+  .bail()
+  .custom((value) => {
+    if (!decodeCursor(value)) {
+      throw new Error('Invalid cursor');
+    }
+    return true;
+  });
+
+// Location of a request: lat with lng (or long) and an optional radius in km
+const locationValidators = [
+  query('lat')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('lat must be a latitude between -90 and 90'),
+
+  query(['lng', 'long'])
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('lng must be a longitude between -180 and 180'),
+
+  query('radius')
+    .optional()
+    .isFloat({ min: 0.1, max: LOCAL_AVAILABILITY.maxRadiusKm })
+    .withMessage(`Radius must be between 0.1 and ${LOCAL_AVAILABILITY.maxRadiusKm} km`),
+
+  query('lat')
+    .custom((value, { req }) => {
+      const lng = req.query.lng !== undefined ? req.query.lng : req.query.long;
+      if ((value === undefined) !== (lng === undefined)) {
+        throw new Error('lat and lng must be given together');
+      }
+      return true;
+    })
+];
+
+/**
+ * Store scope validation shared by product listing and search
+ * Accepts store=<slug|id>, or a location
+ */
+const storeScopeValidators = [
+  query('store')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 150 })
+    .withMessage('Store must be between 1 and 150 characters'),
+
+  ...locationValidators
+];
+
+/**
+ * Store location validation (nearby stores)
+ */
+const validateStoreLocation = [
+  ...locationValidators,
+
+  handleValidationErrors
+];
+
 /**
  * Product search validation
  */
@@ -302,15 +487,7 @@ const validateProductSearch = [
     .isBoolean()
     .withMessage('in_stock must be a boolean'),
 
-  query('sort_by')
-    .optional()
-    .isIn(['relevance', 'price', 'name', 'rating', 'date', 'stock'])
-    .withMessage('sort_by must be one of: relevance, price, name, rating, date, stock'),
-
-  query('sort_order')
-    .optional()
-    .isIn(['asc', 'desc'])
-    .withMessage('sort_order must be either asc or desc'),
+  ...sortValidators,
 
   query('limit')
     .optional()
@@ -322,7 +499,23 @@ const validateProductSearch = [
     .isInt({ min: 0 })
     .withMessage('Offset must be a non-negative integer'),
 
-  handleValidationErrors
+  cursorValidator,
+
+  query('explain')
+    .optional()
+    .isBoolean()
+    .withMessage('explain must be a boolean'),
+
+  query('autocorrect')
+    .optional()
+    .isBoolean()
+    .withMessage('autocorrect must be a boolean'),
+
+  ...storeScopeValidators,
+
+  handleValidationErrors,
+  validateSearchQuery,
+  validateSpecFilters
 ];
 
 /**
@@ -339,9 +532,281 @@ const validatePagination = [
     .isInt({ min: 1, max: 100 })
     .withMessage('Limit must be between 1 and 100'),
 
+  cursorValidator,
+
+  ...sortValidators,
+
+  ...storeScopeValidators,
+
+  handleValidationErrors
+];
+
+/**
+ * Product event validation (popularity and click-through tracking)
+ */
+const validateProductEvent = [
+  body('type')
+    .isIn(SEARCH_INTERACTION_TYPES)
+    .withMessage(`Event type must be one of: ${SEARCH_INTERACTION_TYPES.join(', ')}`),
+
+  body('search_id')
+    .isUUID()
+    .withMessage('search_id must be the searchId returned with search results'),
+
+  handleValidationErrors
+];
+
+/**
+ * Product comparison validation (ids=<uuid>,<uuid>,...)
+ * Normalizes ids into an array of distinct IDs
+ */
+const validateProductComparison = [
+  query('ids')
+    .customSanitizer(value => {
+      const list = Array.isArray(value) ? value.join(',') : String(value || '');
+      return [...new Set(list.split(',').map(id => id.trim()).filter(Boolean))];
+    })
+    .custom(ids => ids.length >= 2 && ids.length <= 4)
+    .withMessage('Compare between 2 and 4 distinct products'),
+
+  query('ids.*')
+    .isUUID()
+    .withMessage('Invalid product ID format'),
+
+  handleValidationErrors
+];
+
+/**
+ * Product recommendation validation (similar and also-viewed products)
+ */
+const validateRecommendations = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: RECOMMENDATIONS.maxLimit })
+    .withMessage(`Limit must be between 1 and ${RECOMMENDATIONS.maxLimit}`),
+
+  query('in_stock')
+    .optional()
+    .isBoolean()
+    .withMessage('in_stock must be a boolean'),
+
+  handleValidationErrors
+];
+
+/**
+ * Store validation
+ * @param {Object} options - partial: allow omitting fields (updates)
+ */
+const validateStore = ({ partial = false } = {}) => {
+  const field = (chain) => (partial ? chain.optional() : chain);
+
+  return [
+    field(body('name'))
+      .trim()
+      .notEmpty()
+      .withMessage('Store name is required')
+      .isLength({ min: 1, max: 150 })
+      .withMessage('Store name must be between 1 and 150 characters'),
+
+    body('address')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Address must not exceed 500 characters'),
+
+    body('city')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('City must not exceed 100 characters'),
+
+    body('phone')
+      .optional()
+      .trim()
+      .isLength({ max: 30 })
+      .withMessage('Phone must not exceed 30 characters'),
+
+    field(body('latitude'))
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be between -90 and 90'),
+
+    field(body('longitude'))
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be between -180 and 180'),
+
+    body('is_active')
+      .optional()
+      .isBoolean()
+      .withMessage('is_active must be a boolean'),
+
+    handleValidationErrors
+  ];
+};
+
+/**
+ * Store inventory validation
+ */
+const validateStoreInventory = [
+  body('stock_quantity')
+    .isInt({ min: 0 })
+    .withMessage('Stock quantity must be a non-negative integer')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+/**
+ * Search synonym validation
+ * @param {Object} options - partial: allow omitting fields (updates)
+ */
+const validateSynonym = ({ partial = false } = {}) => {
+  const field = (chain) => (partial ? chain.optional() : chain);
+
+  return [
+    field(body('term'))
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Term is required')
+      .isLength({ max: 100 })
+      .withMessage('Term must not exceed 100 characters'),
+
+    field(body('synonyms'))
+      .isArray({ min: 1, max: 50 })
+      .withMessage('Synonyms must be an array of 1 to 50 entries'),
+
+    body('synonyms.*')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Synonyms must be non-empty strings')
+      .isLength({ max: 100 })
+      .withMessage('Synonyms must not exceed 100 characters'),
+
+    body('type')
+      .optional()
+      .isIn(SYNONYM_TYPES)
+      .withMessage(`Type must be one of: ${SYNONYM_TYPES.join(', ')}`),
+
+    body('is_active')
+      .optional()
+      .isBoolean()
+      .withMessage('is_active must be a boolean'),
+
+    handleValidationErrors
+  ];
+};
+
+/**
+ * Search analytics report validation (date range, limit, trend interval)
+ */
+const validateSearchAnalyticsQuery = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date')
+    .custom((to, { req }) => !req.query.from || new Date(req.query.from) < new Date(to))
+    .withMessage('to must be after from'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('interval')
+    .optional()
+    .isIn(['hour', 'day', 'week', 'month'])
+    .withMessage('Interval must be one of: hour, day, week, month'),
+
+  query('query')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Query must not exceed 200 characters'),
+
   handleValidationErrors
 ];
 
+/**
+ * Relevance profile settings validation (nested JSON in req.body.settings)
+ * @param {Object} options - required: settings must be present
+ */
+const validateRelevanceSettings = ({ required = true } = {}) => {
+  return (req, res, next) => {
+    const { settings } = req.body;
+
+    if (settings === undefined && !required) {
+      return next();
+    }
+
+    const errors = validateRelevanceProfile(settings);
+    if (errors.length > 0) {
+      return sendValidationErrors(req, res, errors);
+    }
+
+    next();
+  };
+};
+
+/**
+ * Search relevance profile update validation
+ */
+const validateRelevanceUpdate = [
+  body('notes')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Notes must not exceed 500 characters'),
+
+  handleValidationErrors,
+  validateRelevanceSettings()
+];
+
+/**
+ * Search relevance profile rollback validation
+ */
+const validateRelevanceRollback = [
+  body('version')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer'),
+
+  handleValidationErrors
+];
+
+/**
+ * Search relevance preview validation
+ */
+const validateRelevancePreview = [
+  body('query')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Search query must be between 1 and 255 characters'),
+
+  body('brand')
+    .optional()
+    .isString()
+    .withMessage('Brand must be a string'),
+
+  body('category')
+    .optional()
+    .isString()
+    .withMessage('Category must be a string'),
+
+  body('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  handleValidationErrors,
+  validateRelevanceSettings({ required: false })
+];
+
 /**
  * Admin profile update validation
  */
@@ -368,13 +833,9 @@ const validateAdminProfileUpdate = [
 ];
 
 /**
- * Password change validation
+ * New password and its confirmation (password change and reset)
  */
-const validatePasswordChange = [
-  body('current_password')
-    .notEmpty()
-    .withMessage('Current password is required'),
-
+const newPasswordValidators = [
   body('new_password')
     .isLength({ min: 8 })
     .withMessage('New password must be at least 8 characters long')
@@ -387,11 +848,143 @@ const validatePasswordChange = [
         throw new Error('Password confirmation does not match new password');
       }
       return true;
+    })
+];
+
+/**
+ * Password change validation
+ */
+const validatePasswordChange = [
+  body('current_password')
+    .notEmpty()
+    .withMessage('Current password is required'),
+
+  ...newPasswordValidators,
+
+  handleValidationErrors
+];
+
+/**
+ * Forgot password validation
+ */
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+
+  handleValidationErrors
+];
+
+/**
+ * Password reset validation
+ */
+const validatePasswordReset = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+
+  ...newPasswordValidators,
+
+  handleValidationErrors
+];
+
+/**
+ * Email verification validation
+ */
+const validateEmailVerification = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required'),
+
+  handleValidationErrors
+];
+
+/**
+ * Log out everywhere validation
+ */
+const validateLogoutAll = [
+  body('keep_current')
+    .optional()
+    .isBoolean()
+    .withMessage('keep_current must be a boolean'),
+
+  handleValidationErrors
+];
+
+/**
+ * Two-factor code (TOTP from an authenticator app)
+ */
+const twoFactorCode = (field = 'code') =>
+  body(field)
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Two-factor code must be 6 digits');
+
+/**
+ * Two-factor login validation (a code or a recovery code)
+ */
+const validateTwoFactorLogin = [
+  body('challenge_token')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+
+  twoFactorCode().optional(),
+
+  body('recovery_code')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 32 })
+    .withMessage('Recovery code must be between 1 and 32 characters'),
+
+  body('code')
+    .custom((value, { req }) => {
+      if (!value && !req.body.recovery_code) {
+        throw new Error('A two-factor code or a recovery code is required');
+      }
+      return true;
     }),
 
   handleValidationErrors
 ];
 
+/**
+ * Two-factor code validation
+ */
+const validateTwoFactorCode = [
+  twoFactorCode(),
+
+  handleValidationErrors
+];
+
+/**
+ * Disable two-factor authentication validation
+ */
+const validateTwoFactorDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  twoFactorCode(),
+
+  handleValidationErrors
+];
+
+/**
+ * Two-factor policy validation
+ */
+const validateTwoFactorPolicy = [
+  body('required')
+    .isBoolean()
+    .withMessage('required must be a boolean')
+    .toBoolean(),
+
+  handleValidationErrors
+];
+
 module.exports = {
   validateAdminLogin,
   validateAdminRegistration,
@@ -401,7 +994,29 @@ module.exports = {
   validateUUID,
   validateProductSearch,
   validatePagination,
+  validateSpecFilters,
+  validateSearchQuery,
+  validateProductEvent,
+  validateProductComparison,
+  validateRecommendations,
+  validateStore,
+  validateStoreLocation,
+  validateStoreInventory,
+  validateSynonym,
+  validateSearchAnalyticsQuery,
+  validateRelevanceUpdate,
+  validateRelevanceRollback,
+  validateRelevancePreview,
   validateAdminProfileUpdate,
   validatePasswordChange,
-  handleValidationErrors
+  validateLogoutAll,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateEmailVerification,
+  validateTwoFactorLogin,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
+  validateTwoFactorPolicy,
+  handleValidationErrors,
+  sendValidationErrors
 };
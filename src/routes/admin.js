@@ -8,7 +8,16 @@ const {
   requireSuperAdmin,
   logAdminAction,
 } = require("../middleware/adminMiddleware");
-const { validateAdminRegistration } = require("../middleware/validation");
+const {
+  validateAdminRegistration,
+  validateSynonym,
+  validateSearchAnalyticsQuery,
+  validateRelevanceUpdate,
+  validateRelevanceRollback,
+  validateRelevancePreview,
+  validateTwoFactorPolicy,
+  validateUUID,
+} = require("../middleware/validation");
 
 /**
  * Admin Routes
@@ -67,6 +76,101 @@ router.get(
   adminController.getSearchCacheStats
 );
 
+// Search synonym dictionary
+router.get(
+  "/search/synonyms",
+  authenticateToken,
+  requireAdmin,
+  adminController.getSynonyms
+);
+
+router.post(
+  "/search/synonyms",
+  authenticateToken,
+  requireAdmin,
+  validateSynonym(),
+  logAdminAction("create_synonym", "search_synonym"),
+  adminController.createSynonym
+);
+
+router.put(
+  "/search/synonyms/:id",
+  authenticateToken,
+  requireAdmin,
+  validateUUID(),
+  validateSynonym({ partial: true }),
+  logAdminAction("update_synonym", "search_synonym"),
+  adminController.updateSynonym
+);
+
+router.delete(
+  "/search/synonyms/:id",
+  authenticateToken,
+  requireAdmin,
+  validateUUID(),
+  logAdminAction("delete_synonym", "search_synonym"),
+  adminController.deleteSynonym
+);
+
+// Search relevance profile
+router.get(
+  "/search/config",
+  authenticateToken,
+  requireAdmin,
+  adminController.getSearchConfig
+);
+
+router.put(
+  "/search/config",
+  authenticateToken,
+  requireAdmin,
+  validateRelevanceUpdate,
+  logAdminAction("update_search_config", "search_config"),
+  adminController.updateSearchConfig
+);
+
+router.post(
+  "/search/config/rollback",
+  authenticateToken,
+  requireAdmin,
+  validateRelevanceRollback,
+  logAdminAction("rollback_search_config", "search_config"),
+  adminController.rollbackSearchConfig
+);
+
+router.post(
+  "/search/config/preview",
+  authenticateToken,
+  requireAdmin,
+  validateRelevancePreview,
+  adminController.previewSearchConfig
+);
+
+// Search analytics reports
+router.get(
+  "/search/analytics/top-queries",
+  authenticateToken,
+  requireAdmin,
+  validateSearchAnalyticsQuery,
+  adminController.getTopSearchQueries
+);
+
+router.get(
+  "/search/analytics/zero-results",
+  authenticateToken,
+  requireAdmin,
+  validateSearchAnalyticsQuery,
+  adminController.getZeroResultQueries
+);
+
+router.get(
+  "/search/analytics/trends",
+  authenticateToken,
+  requireAdmin,
+  validateSearchAnalyticsQuery,
+  adminController.getSearchTrends
+);
+
 router.get(
   "/health/database",
   authenticateToken,
@@ -84,6 +188,48 @@ router.post(
   adminController.createAdmin
 );
 
+router.post(
+  "/admins/:id/deactivate",
+  authenticateToken,
+  requireSuperAdmin,
+  validateUUID(),
+  logAdminAction("deactivate_admin", "admin"),
+  adminController.deactivateAdmin
+);
+
+router.get(
+  "/admins/:id/sessions",
+  authenticateToken,
+  requireSuperAdmin,
+  validateUUID(),
+  adminController.getAdminSessions
+);
+
+router.delete(
+  "/admins/:id/sessions",
+  authenticateToken,
+  requireSuperAdmin,
+  validateUUID(),
+  logAdminAction("revoke_admin_sessions", "admin"),
+  adminController.revokeAdminSessions
+);
+
+router.get(
+  "/security/two-factor",
+  authenticateToken,
+  requireSuperAdmin,
+  adminController.getTwoFactorPolicy
+);
+
+router.put(
+  "/security/two-factor",
+  authenticateToken,
+  requireSuperAdmin,
+  validateTwoFactorPolicy,
+  logAdminAction("update_two_factor_policy", "system"),
+  adminController.updateTwoFactorPolicy
+);
+
 router.get(
   "/system/info",
   authenticateToken,
@@ -3,7 +3,19 @@ const router = express.Router();
 
 const authController = require('../controllers/authController');
 const { authenticateToken } = require('../middleware/authMiddleware');
-const { validateAdminLogin, validatePasswordChange, validateAdminProfileUpdate } = require('../middleware/validation');
+const {
+  validateAdminLogin,
+  validatePasswordChange,
+  validateAdminProfileUpdate,
+  validateLogoutAll,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateEmailVerification,
+  validateTwoFactorLogin,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
+  validateUUID
+} = require('../middleware/validation');
 
 /**
  * Authentication Routes
@@ -12,13 +24,26 @@ const { validateAdminLogin, validatePasswordChange, validateAdminProfileUpdate }
 
 // Public routes
 router.post('/login', validateAdminLogin, authController.login);
+router.post('/login/2fa', validateTwoFactorLogin, authController.verifyTwoFactorLogin);
 router.post('/refresh', authController.refreshToken);
+router.post('/forgot-password', validateForgotPassword, authController.forgotPassword);
+router.post('/reset-password', validatePasswordReset, authController.resetPassword);
+router.post('/verify-email', validateEmailVerification, authController.verifyEmail);
 
 // Protected routes (require authentication)
 router.get('/profile', authenticateToken, authController.getProfile);
 router.put('/profile', authenticateToken, validateAdminProfileUpdate, authController.updateProfile);
 router.post('/change-password', authenticateToken, validatePasswordChange, authController.changePassword);
+router.post('/verify-email/send', authenticateToken, authController.sendVerificationEmail);
 router.post('/logout', authenticateToken, authController.logout);
+router.post('/logout-all', authenticateToken, validateLogoutAll, authController.logoutAll);
+router.get('/sessions', authenticateToken, authController.getSessions);
+router.delete('/sessions/:id', authenticateToken, validateUUID(), authController.revokeSession);
+router.get('/2fa', authenticateToken, authController.getTwoFactorStatus);
+router.post('/2fa/setup', authenticateToken, authController.setupTwoFactor);
+router.post('/2fa/enable', authenticateToken, validateTwoFactorCode, authController.enableTwoFactor);
+router.post('/2fa/disable', authenticateToken, validateTwoFactorDisable, authController.disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticateToken, validateTwoFactorCode, authController.regenerateRecoveryCodes);
 router.get('/verify', authenticateToken, authController.verifyToken);
 
 module.exports = router;
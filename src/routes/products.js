@@ -2,13 +2,17 @@ const express = require('express');
 const router = express.Router();
 
 const productController = require('../controllers/productController');
-const { authenticateToken } = require('../middleware/authMiddleware');
+const { authenticateToken, optionalAuthentication } = require('../middleware/authMiddleware');
 const { requireAdmin, logAdminAction } = require('../middleware/adminMiddleware');
 const { 
   validateProduct, 
   validateUUID, 
   validateProductSearch, 
-  validatePagination 
+  validatePagination,
+  validateSpecFilters,
+  validateProductEvent,
+  validateProductComparison,
+  validateRecommendations
 } = require('../middleware/validation');
 
 /**
@@ -17,18 +21,22 @@ const {
  */
 
 // Public routes (no authentication required)
-router.get('/', validatePagination, productController.getProducts);
+router.get('/', validatePagination, validateSpecFilters, productController.getProducts);
 router.get('/all', productController.getAllProducts);
-router.get('/search', validateProductSearch, productController.searchProducts);
+router.get('/search', optionalAuthentication, validateProductSearch, productController.searchProducts);
 router.get('/search/suggestions', productController.getSearchSuggestions);
 router.get('/search/popular', productController.getPopularSearches);
 router.get('/search/filters', productController.getSearchFilters);
 router.get('/featured', productController.getFeaturedProducts);
 router.get('/bestsellers', productController.getBestsellerProducts);
 router.get('/new', productController.getNewProducts);
+router.get('/compare', validateProductComparison, productController.compareProducts);
 router.get('/category/:categoryId', validateUUID('categoryId'), validatePagination, productController.getProductsByCategory);
 router.get('/brand/:brandId', validateUUID('brandId'), validatePagination, productController.getProductsByBrand);
 router.get('/:id', validateUUID(), productController.getProductById);
+router.get('/:id/similar', validateUUID(), validateRecommendations, productController.getSimilarProducts);
+router.get('/:id/also-viewed', validateUUID(), validateRecommendations, productController.getAlsoViewedProducts);
+router.post('/:id/events', validateUUID(), validateProductEvent, productController.recordProductEvent);
 
 // Admin routes (require authentication and admin role)
 router.post('/', 
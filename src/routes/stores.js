@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+
+const storeController = require('../controllers/storeController');
+const { authenticateToken, optionalAuthentication } = require('../middleware/authMiddleware');
+const { requireAdmin, logAdminAction } = require('../middleware/adminMiddleware');
+const {
+  validateStore,
+  validateStoreLocation,
+  validateStoreInventory,
+  validateUUID
+} = require('../middleware/validation');
+
+/**
+ * Store Routes
+ * Base path: /api/stores
+ */
+
+// Public routes with optional authentication (for admin-specific features)
+router.get('/', optionalAuthentication, validateStoreLocation, storeController.getStores);
+router.get('/:id', validateUUID(), storeController.getStoreById);
+
+// Admin routes (require authentication and admin role)
+router.post('/',
+  authenticateToken,
+  requireAdmin,
+  validateStore(),
+  logAdminAction('create_store', 'store'),
+  storeController.createStore
+);
+
+router.put('/:id',
+  authenticateToken,
+  requireAdmin,
+  validateUUID(),
+  validateStore({ partial: true }),
+  logAdminAction('update_store', 'store'),
+  storeController.updateStore
+);
+
+router.delete('/:id',
+  authenticateToken,
+  requireAdmin,
+  validateUUID(),
+  logAdminAction('delete_store', 'store'),
+  storeController.deleteStore
+);
+
+router.get('/:id/inventory',
+  authenticateToken,
+  requireAdmin,
+  validateUUID(),
+  storeController.getInventory
+);
+
+router.put('/:id/inventory/:productId',
+  authenticateToken,
+  requireAdmin,
+  validateUUID(),
+  validateUUID('productId'),
+  validateStoreInventory,
+  logAdminAction('update_store_inventory', 'store'),
+  storeController.updateInventory
+);
+
+module.exports = router;
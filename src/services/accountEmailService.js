@@ -0,0 +1,263 @@
+const crypto = require("crypto");
+const authConfig = require("../config/auth");
+const mailConfig = require("../config/mail");
+const supabaseService = require("./supabaseService");
+const sessionService = require("./sessionService");
+const { createMailer } = require("./mail");
+const logger = require("../utils/logger");
+
+const PASSWORD_RESET = "password_reset";
+const EMAIL_VERIFICATION = "email_verification";
+
+/**
+ * Escape text for an HTML email body
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Describe a token lifetime for an email ("1 hour", "24 hours")
+ */
+function describeDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60 || minutes % 60 !== 0) {
+    return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+  }
+
+  const hours = minutes / 60;
+  return `${hours} hour${hours === 1 ? "" : "s"}`;
+}
+
+/**
+ * Build an email with a single action link, as text and HTML
+ * @param {Object} content - { admin, intro, action, url, expiresMs, outro }
+ * @returns {Object} { text, html }
+ */
+function buildActionEmail({ admin, intro, action, url, expiresMs, outro }) {
+  const greeting = admin.first_name ? `Hi ${admin.first_name},` : "Hi,";
+  const expiry = `This link expires in ${describeDuration(
+    expiresMs
+  )} and can be used once.`;
+
+  const text = [
+    greeting,
+    "",
+    intro,
+    "",
+    `${action}: ${url}`,
+    "",
+    expiry,
+    ...(outro ? ["", outro] : []),
+  ].join("\n");
+
+  const html = [
+    `<p>${escapeHtml(greeting)}</p>`,
+    `<p>${escapeHtml(intro)}</p>`,
+    `<p><a href="${escapeHtml(url)}">${escapeHtml(action)}</a></p>`,
+    `<p>${escapeHtml(expiry)}</p>`,
+    outro ? `<p>${escapeHtml(outro)}</p>` : "",
+  ].join("\n");
+
+  return { text, html };
+}
+
+/**
+ * Account Email Service
+ * Password reset and email verification for admins, through links with
+ * single-use tokens sent by email
+ *
+ * Tokens are random, stored hashed in admin_account_tokens with an expiry and
+ * the address they were sent to, and consumed atomically. Issuing a token
+ * voids the earlier unused ones of the same purpose.
+ */
+class AccountEmailService {
+  constructor() {
+    this.mailer = createMailer();
+  }
+
+  /**
+   * Email a password reset link, if the email belongs to an active admin
+   * Callers must respond the same way either way, so the response does not
+   * reveal whether the account exists
+   * @param {String} email - Email address entered
+   */
+  async requestPasswordReset(email) {
+    const admin = await this.findAdminByEmail(email);
+
+    if (!admin || !admin.is_active) {
+      logger.info("Password reset requested for unknown or inactive account");
+      return;
+    }
+
+    const token = await this.issueToken(
+      admin,
+      PASSWORD_RESET,
+      authConfig.passwordResetExpiresMs
+    );
+
+    await this.mailer.send({
+      to: admin.email,
+      subject: "Reset your password",
+      ...buildActionEmail({
+        admin,
+        intro: "We received a request to reset the password of your admin account.",
+        action: "Reset password",
+        url: `${mailConfig.appUrl}/reset-password?token=${token}`,
+        expiresMs: authConfig.passwordResetExpiresMs,
+        outro: "If you did not ask for this, you can ignore this email; your password stays the same.",
+      }),
+    });
+
+    logger.info("Password reset email sent", { adminId: admin.id });
+  }
+
+  /**
+   * Set a new password with a reset token
+   * Unlocks the account and revokes all sessions, so tokens issued with the
+   * old password stop working
+   * @param {String} token - Token from the reset link
+   * @param {String} newPassword - New password
+   * @returns {Object} { success } or { success: false, message }
+   */
+  async resetPassword(token, newPassword) {
+    const admin = await this.consumeToken(token, PASSWORD_RESET);
+
+    if (!admin || !admin.is_active) {
+      return { success: false, message: "Invalid or expired reset token" };
+    }
+
+    await supabaseService.updateAdmin(admin.id, {
+      password: await authConfig.hashPassword(newPassword),
+      password_changed_at: new Date().toISOString(),
+      login_attempts: 0,
+      locked_until: null,
+    });
+    await supabaseService.invalidateAccountTokens(admin.id, PASSWORD_RESET);
+    const revoked = await sessionService.revokeAllSessions(
+      admin.id,
+      "password_reset"
+    );
+
+    logger.info("Admin password reset", { adminId: admin.id, revoked });
+    return { success: true };
+  }
+
+  /**
+   * Email a verification link to an admin's current address
+   * @param {Object} admin - Admin
+   * @returns {Object} { success } or { success: false, message }
+   */
+  async sendEmailVerification(admin) {
+    if (admin.email_verified) {
+      return { success: false, message: "Email is already verified" };
+    }
+
+    const token = await this.issueToken(
+      admin,
+      EMAIL_VERIFICATION,
+      authConfig.emailVerificationExpiresMs
+    );
+
+    await this.mailer.send({
+      to: admin.email,
+      subject: "Verify your email address",
+      ...buildActionEmail({
+        admin,
+        intro: `Confirm that ${admin.email} is the email address of your admin account.`,
+        action: "Verify email address",
+        url: `${mailConfig.appUrl}/verify-email?token=${token}`,
+        expiresMs: authConfig.emailVerificationExpiresMs,
+      }),
+    });
+
+    logger.info("Verification email sent", { adminId: admin.id });
+    return { success: true };
+  }
+
+  /**
+   * Mark an admin's email verified with a verification token
+   * @param {String} token - Token from the verification link
+   * @returns {Object} { success, data: { email } } or
+   *   { success: false, message }
+   */
+  async verifyEmail(token) {
+    const admin = await this.consumeToken(token, EMAIL_VERIFICATION);
+
+    if (!admin) {
+      return {
+        success: false,
+        message: "Invalid or expired verification token",
+      };
+    }
+
+    await supabaseService.updateAdmin(admin.id, { email_verified: true });
+
+    logger.info("Admin email verified", { adminId: admin.id });
+    return { success: true, data: { email: admin.email } };
+  }
+
+  /**
+   * Create a token, voiding the earlier unused ones of the same purpose
+   * @param {Object} admin - Admin
+   * @param {String} purpose - PASSWORD_RESET or EMAIL_VERIFICATION
+   * @param {Number} expiresMs - Lifetime
+   * @returns {String} Token (only its hash is stored)
+   */
+  async issueToken(admin, purpose, expiresMs) {
+    const token = crypto.randomBytes(32).toString("base64url");
+
+    await supabaseService.invalidateAccountTokens(admin.id, purpose);
+    await supabaseService.createAccountToken({
+      admin_id: admin.id,
+      purpose,
+      token_hash: authConfig.hashToken(token),
+      email: admin.email,
+      expires_at: new Date(Date.now() + expiresMs).toISOString(),
+    });
+
+    return token;
+  }
+
+  /**
+   * Use a token and load its admin
+   * @param {String} token - Token from a link
+   * @param {String} purpose - PASSWORD_RESET or EMAIL_VERIFICATION
+   * @returns {Object|null} Admin, or null when the token is unknown, used or
+   *   expired, or the admin's email changed since it was sent
+   */
+  async consumeToken(token, purpose) {
+    const result = await supabaseService.consumeAccountToken(
+      authConfig.hashToken(String(token)),
+      purpose
+    );
+    const record = result.data;
+    if (!record) return null;
+
+    const adminResult = await supabaseService.getAdminById(record.admin_id);
+    const admin = adminResult.data;
+
+    if (!admin || admin.email !== record.email) return null;
+    return admin;
+  }
+
+  /**
+   * Find an admin by email
+   * @param {String} email - Email address
+   * @returns {Object|null} Admin, or null if there is none
+   */
+  async findAdminByEmail(email) {
+    try {
+      const result = await supabaseService.getAdminByEmail(email);
+      return result.data || null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new AccountEmailService();
@@ -0,0 +1,45 @@
+const cacheConfig = require("../../config/cache");
+const MemoryCacheAdapter = require("./memoryCacheAdapter");
+const logger = require("../../utils/logger");
+
+/**
+ * Cache adapters
+ * Every adapter implements the same async interface:
+ *   get(key), set(key, value, { ttlMs, tags }), delete(key),
+ *   invalidateTags(tags), clear(), getStats(), close()
+ */
+const adapters = {
+  memory: (options) =>
+    new MemoryCacheAdapter({ ...cacheConfig.memory, ...options }),
+  redis: (options) => {
+    // Loaded on demand so the memory backend does not need ioredis
+    const RedisCacheAdapter = require("./redisCacheAdapter");
+    return new RedisCacheAdapter({ ...cacheConfig.redis, ...options });
+  },
+};
+
+/**
+ * Create a cache for the configured backend
+ * @param {Object} options - Adapter options
+ * @param {String} options.namespace - Key namespace (e.g. "search")
+ * @param {Number} options.ttlMs - Default time-to-live
+ * @returns {Object} Cache adapter
+ */
+function createCache(options = {}) {
+  const backend = options.backend || cacheConfig.backend;
+  const create = adapters[backend];
+
+  if (!create) {
+    throw new Error(
+      `Unknown cache backend: ${backend} (expected ${Object.keys(
+        adapters
+      ).join(" or ")})`
+    );
+  }
+
+  logger.info("Cache initialized", { backend, namespace: options.namespace });
+
+  return create({ ttlMs: cacheConfig.ttlMs, ...options });
+}
+
+module.exports = { createCache };
@@ -0,0 +1,181 @@
+/**
+ * Memory Cache Adapter
+ * Process-local LRU cache with per-entry TTL and entry/byte limits
+ *
+ * Entries live in a Map, whose iteration order is insertion order: reading
+ * an entry re-inserts it, so the first key is always the least recently used.
+ * Tags are indexed so invalidateTags() never scans the whole cache.
+ */
+class MemoryCacheAdapter {
+  /**
+   * @param {Object} options - Cache options
+   * @param {String} options.namespace - Key namespace
+   * @param {Number} options.ttlMs - Default time-to-live
+   * @param {Number} options.maxEntries - Maximum number of entries
+   * @param {Number} options.maxBytes - Maximum total size of cached values
+   */
+  constructor({ namespace = "cache", ttlMs, maxEntries, maxBytes }) {
+    this.namespace = namespace;
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+
+    this.entries = new Map(); // key -> { value, size, expiresAt, tags }
+    this.tagIndex = new Map(); // tag -> Set of keys
+    this.bytes = 0;
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      evictions: 0,
+      expirations: 0,
+      invalidations: 0,
+    };
+  }
+
+  /**
+   * Get a cached value
+   * @param {String} key - Cache key
+   * @returns {*} Cached value or null
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    if (Date.now() > entry.expiresAt) {
+      this.removeEntry(key);
+      this.stats.expirations++;
+      this.stats.misses++;
+      return null;
+    }
+
+    // Mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    this.stats.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Cache a value
+   * Values larger than the whole cache are not stored
+   * @param {String} key - Cache key
+   * @param {*} value - JSON-serializable value
+   * @param {Object} options - { ttlMs } overrides the default TTL; { tags }
+   *   lists tags for invalidateTags()
+   */
+  async set(key, value, options = {}) {
+    const size = Buffer.byteLength(JSON.stringify(value));
+    if (size > this.maxBytes) return;
+
+    const tags = options.tags || [];
+
+    this.removeEntry(key);
+    this.entries.set(key, {
+      value,
+      size,
+      expiresAt: Date.now() + (options.ttlMs || this.ttlMs),
+      tags,
+    });
+    this.bytes += size;
+
+    tags.forEach((tag) => {
+      if (!this.tagIndex.has(tag)) this.tagIndex.set(tag, new Set());
+      this.tagIndex.get(tag).add(key);
+    });
+
+    // Evict least recently used entries until within limits
+    while (
+      this.entries.size > this.maxEntries ||
+      this.bytes > this.maxBytes
+    ) {
+      this.removeEntry(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Delete a cached value
+   */
+  async delete(key) {
+    this.removeEntry(key);
+  }
+
+  /**
+   * Delete every value carrying any of the given tags
+   * @param {Array<String>} tags - Tags to invalidate
+   * @returns {Number} Number of deleted values
+   */
+  async invalidateTags(tags) {
+    const keys = new Set();
+
+    tags.forEach((tag) => {
+      (this.tagIndex.get(tag) || []).forEach((key) => keys.add(key));
+    });
+
+    keys.forEach((key) => this.removeEntry(key));
+    this.stats.invalidations += keys.size;
+
+    return keys.size;
+  }
+
+  /**
+   * Delete every cached value
+   */
+  async clear() {
+    this.entries.clear();
+    this.tagIndex.clear();
+    this.bytes = 0;
+  }
+
+  /**
+   * Remove an entry, release its size and drop it from the tag index
+   */
+  removeEntry(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+
+    entry.tags.forEach((tag) => {
+      const keys = this.tagIndex.get(tag);
+      if (!keys) return;
+
+      keys.delete(key);
+      if (keys.size === 0) this.tagIndex.delete(tag);
+    });
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object} Hit/miss counts and ratio, size and limits
+   */
+  async getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      backend: "memory",
+      namespace: this.namespace,
+      ...this.stats,
+      hitRatio: lookups > 0 ? this.stats.hits / lookups : 0,
+      entries: this.entries.size,
+      tags: this.tagIndex.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      ttlMs: this.ttlMs,
+    };
+  }
+
+  /**
+   * Release resources (nothing to release in memory)
+   */
+  async close() {}
+}
+
+module.exports = MemoryCacheAdapter;
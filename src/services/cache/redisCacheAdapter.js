@@ -0,0 +1,230 @@
+const Redis = require("ioredis");
+const logger = require("../../utils/logger");
+
+const SCAN_BATCH_SIZE = 500;
+const TAG_PREFIX = "tag:"; // cache keys are base64, so they never contain ":"
+
+/**
+ * Redis Cache Adapter
+ * Cache shared by every instance through a Redis-protocol server (Redis,
+ * Valkey, KeyDB, ...). Values are stored as JSON with a per-entry TTL; size
+ * limits and LRU eviction are left to the server's maxmemory policy. Each tag
+ * is a set of the keys carrying it, kept at least as long as those keys.
+ *
+ * Cache errors never fail a request: reads degrade to misses and writes are
+ * dropped, with a warning logged.
+ */
+class RedisCacheAdapter {
+  /**
+   * @param {Object} options - Cache options
+   * @param {String} options.namespace - Key namespace
+   * @param {Number} options.ttlMs - Default time-to-live
+   * @param {String} options.url - Redis connection URL
+   * @param {String} options.keyPrefix - Prefix shared by all keys of this app
+   */
+  constructor({ namespace = "cache", ttlMs, url, keyPrefix = "" }) {
+    this.namespace = namespace;
+    this.ttlMs = ttlMs;
+    this.prefix = `${keyPrefix}${namespace}:`;
+    this.stats = { hits: 0, misses: 0, errors: 0, invalidations: 0 };
+
+    this.client = new Redis(url, {
+      keyPrefix: this.prefix,
+      maxRetriesPerRequest: 1,
+      enableOfflineQueue: false, // fail fast instead of queueing while down
+    });
+
+    this.client.on("error", (error) => {
+      logger.warn("Redis cache connection error", { error: error.message });
+    });
+  }
+
+  /**
+   * Get a cached value
+   * @param {String} key - Cache key
+   * @returns {*} Cached value or null
+   */
+  async get(key) {
+    try {
+      const raw = await this.client.get(key);
+
+      if (raw === null) {
+        this.stats.misses++;
+        return null;
+      }
+
+      this.stats.hits++;
+      return JSON.parse(raw);
+    } catch (error) {
+      this.handleError("get", error);
+      this.stats.misses++;
+      return null;
+    }
+  }
+
+  /**
+   * Cache a value
+   * @param {String} key - Cache key
+   * @param {*} value - JSON-serializable value
+   * @param {Object} options - { ttlMs } overrides the default TTL; { tags }
+   *   lists tags for invalidateTags()
+   */
+  async set(key, value, options = {}) {
+    const ttlMs = options.ttlMs || this.ttlMs;
+    const tagTtlMs = Math.max(ttlMs, this.ttlMs);
+
+    try {
+      const transaction = this.client
+        .multi()
+        .set(key, JSON.stringify(value), "PX", ttlMs);
+
+      (options.tags || []).forEach((tag) => {
+        transaction
+          .sadd(`${TAG_PREFIX}${tag}`, key)
+          .pexpire(`${TAG_PREFIX}${tag}`, tagTtlMs);
+      });
+
+      await transaction.exec();
+    } catch (error) {
+      this.handleError("set", error);
+    }
+  }
+
+  /**
+   * Delete a cached value
+   */
+  async delete(key) {
+    try {
+      await this.client.del(key);
+    } catch (error) {
+      this.handleError("delete", error);
+    }
+  }
+
+  /**
+   * Delete every value carrying any of the given tags, for all instances
+   * @param {Array<String>} tags - Tags to invalidate
+   * @returns {Number} Number of deleted values
+   */
+  async invalidateTags(tags) {
+    if (tags.length === 0) return 0;
+
+    try {
+      const tagKeys = tags.map((tag) => `${TAG_PREFIX}${tag}`);
+      const pipeline = this.client.pipeline();
+      tagKeys.forEach((tagKey) => pipeline.smembers(tagKey));
+
+      const members = await pipeline.exec();
+      const keys = [
+        ...new Set(members.flatMap(([error, tagged]) => (error ? [] : tagged))),
+      ];
+
+      await this.unlinkAll([...keys, ...tagKeys]);
+      this.stats.invalidations += keys.length;
+
+      return keys.length;
+    } catch (error) {
+      this.handleError("invalidateTags", error);
+      return 0;
+    }
+  }
+
+  /**
+   * Delete every value in this namespace, for all instances
+   */
+  async clear() {
+    try {
+      // SCAN returns full keys, but commands re-apply the key prefix
+      const keys = (await this.scanKeys()).map((key) =>
+        key.slice(this.prefix.length)
+      );
+      await this.unlinkAll(keys);
+    } catch (error) {
+      this.handleError("clear", error);
+    }
+  }
+
+  /**
+   * Delete keys (without the prefix) in batches
+   */
+  async unlinkAll(keys) {
+    for (let i = 0; i < keys.length; i += SCAN_BATCH_SIZE) {
+      await this.client.unlink(...keys.slice(i, i + SCAN_BATCH_SIZE));
+    }
+  }
+
+  /**
+   * List every key in this namespace
+   * @returns {Array<String>} Full keys, including the prefix
+   */
+  async scanKeys() {
+    const keys = [];
+    let cursor = "0";
+
+    // keyPrefix is not applied to SCAN patterns
+    do {
+      const [nextCursor, batch] = await this.client.scan(
+        cursor,
+        "MATCH",
+        `${this.prefix}*`,
+        "COUNT",
+        SCAN_BATCH_SIZE
+      );
+      cursor = nextCursor;
+      keys.push(...batch);
+    } while (cursor !== "0");
+
+    return keys;
+  }
+
+  /**
+   * Get cache statistics
+   * Hits and misses are counted by this instance; entries are shared
+   * @returns {Object} Hit/miss counts and ratio, entries and server memory
+   */
+  async getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    const stats = {
+      backend: "redis",
+      namespace: this.namespace,
+      ...this.stats,
+      hitRatio: lookups > 0 ? this.stats.hits / lookups : 0,
+      ttlMs: this.ttlMs,
+      status: this.client.status,
+    };
+
+    try {
+      const keys = await this.scanKeys();
+      const tagKeys = keys.filter((key) =>
+        key.startsWith(`${this.prefix}${TAG_PREFIX}`)
+      );
+      stats.entries = keys.length - tagKeys.length;
+      stats.tags = tagKeys.length;
+
+      const memory = await this.client.info("memory");
+      const usedMemory = memory.match(/used_memory:(\d+)/);
+      stats.serverMemoryBytes = usedMemory ? parseInt(usedMemory[1]) : null;
+    } catch (error) {
+      this.handleError("stats", error);
+    }
+
+    return stats;
+  }
+
+  /**
+   * Close the connection
+   */
+  async close() {
+    await this.client.quit().catch(() => this.client.disconnect());
+  }
+
+  handleError(operation, error) {
+    this.stats.errors++;
+    logger.warn("Redis cache operation failed", {
+      operation,
+      error: error.message,
+    });
+  }
+}
+
+module.exports = RedisCacheAdapter;
@@ -0,0 +1,180 @@
+const crypto = require("crypto");
+const { SYSTEM_EVENTS } = require("../config/events");
+const logger = require("../utils/logger");
+
+/**
+ * Event Bus
+ * Publish/subscribe for domain events (see config/events)
+ *
+ * publish() waits for every local subscriber, so a write is reflected in
+ * search before its response is sent. A failing subscriber is logged and
+ * never fails the publisher or the other subscribers.
+ *
+ * With a relay connected (Redis pub/sub, see connectRelay) events are also
+ * delivered to the subscribers of every other instance. Pub/sub does not
+ * keep messages, so after the relay reconnects SYSTEM_EVENTS.RELAY_RECONNECTED
+ * is published locally for subscribers to resynchronize.
+ */
+class EventBus {
+  constructor() {
+    this.handlers = new Map(); // event name (or "*") -> Set of handlers
+    this.instanceId = crypto.randomUUID();
+    this.relay = null; // { publisher, subscriber, channel }
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {String} event - Event name, or "*" for every event
+   * @param {Function} handler - async ({ event, publishedAt, ...payload })
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(event, handler) {
+    if (!this.handlers.has(event)) {
+      this.handlers.set(event, new Set());
+    }
+    this.handlers.get(event).add(handler);
+
+    return () => this.handlers.get(event).delete(handler);
+  }
+
+  /**
+   * Publish an event to its subscribers, here and (through the relay) on
+   * the other instances
+   * @param {String} event - Event name
+   * @param {Object} payload - Event payload
+   * @returns {Number} Number of local subscribers that failed
+   */
+  async publish(event, payload = {}) {
+    const message = {
+      ...payload,
+      event,
+      publishedAt: new Date().toISOString(),
+    };
+
+    const failures = await this.dispatch(message);
+
+    if (this.relay) {
+      try {
+        await this.relay.publisher.publish(
+          this.relay.channel,
+          JSON.stringify({ origin: this.instanceId, message })
+        );
+      } catch (error) {
+        logger.warn("Event relay publish failed", {
+          event,
+          id: payload.id,
+          error: error.message,
+        });
+      }
+    }
+
+    return failures;
+  }
+
+  /**
+   * Deliver an event to the subscribers of this instance
+   * @param {Object} message - Event message ({ event, publishedAt, ...payload })
+   * @returns {Number} Number of subscribers that failed
+   */
+  async dispatch(message) {
+    const { event } = message;
+    const handlers = [
+      ...(this.handlers.get(event) || []),
+      ...(this.handlers.get("*") || []),
+    ];
+
+    const outcomes = await Promise.allSettled(
+      handlers.map(async (handler) => handler(message))
+    );
+    const failures = outcomes.filter(
+      (outcome) => outcome.status === "rejected"
+    );
+
+    failures.forEach((failure) => {
+      logger.error("Event subscriber failed", {
+        event,
+        id: message.id,
+        error: failure.reason?.message,
+      });
+    });
+
+    logger.debug("Event published", {
+      event,
+      id: message.id,
+      subscribers: handlers.length,
+    });
+
+    return failures.length;
+  }
+
+  /**
+   * Share events with other instances through Redis pub/sub
+   * @param {Object} options - { url, channel }
+   */
+  connectRelay({ url, channel }) {
+    if (this.relay) return;
+
+    // Loaded on demand so single-instance setups do not need ioredis
+    const Redis = require("ioredis");
+    const publisher = new Redis(url, { maxRetriesPerRequest: 1 });
+    const subscriber = new Redis(url);
+    let connected = false;
+
+    [publisher, subscriber].forEach((client) => {
+      client.on("error", (error) => {
+        logger.warn("Event relay connection error", { error: error.message });
+      });
+    });
+
+    // ioredis resubscribes on reconnect; events published meanwhile are lost
+    subscriber.on("ready", () => {
+      if (connected) {
+        logger.warn("Event relay reconnected, resynchronizing");
+        this.dispatch({
+          event: SYSTEM_EVENTS.RELAY_RECONNECTED,
+          publishedAt: new Date().toISOString(),
+        });
+      }
+      connected = true;
+    });
+
+    subscriber.on("message", (receivedChannel, raw) => {
+      if (receivedChannel !== channel) return;
+
+      let envelope;
+      try {
+        envelope = JSON.parse(raw);
+      } catch (error) {
+        logger.warn("Malformed relayed event ignored", { error: error.message });
+        return;
+      }
+      if (envelope.origin === this.instanceId) return;
+
+      this.dispatch({ ...envelope.message, relayed: true });
+    });
+
+    subscriber.subscribe(channel).catch((error) => {
+      logger.warn("Event relay subscribe failed", { error: error.message });
+    });
+
+    this.relay = { publisher, subscriber, channel };
+    logger.info("Event relay connected", { channel });
+  }
+
+  /**
+   * Disconnect the relay
+   */
+  async close() {
+    if (!this.relay) return;
+
+    const { publisher, subscriber } = this.relay;
+    this.relay = null;
+    await Promise.allSettled(
+      [publisher, subscriber].map((client) =>
+        client.quit().catch(() => client.disconnect())
+      )
+    );
+  }
+}
+
+module.exports = new EventBus();
@@ -0,0 +1,40 @@
+const crypto = require("crypto");
+const logger = require("../../utils/logger");
+
+/**
+ * Console Mail Adapter
+ * Local development transport: messages are logged instead of sent, so links
+ * in them (password reset, email verification) can be copied from the log
+ */
+class ConsoleMailAdapter {
+  /**
+   * @param {Object} options - Mailer options
+   * @param {String} options.from - Sender address
+   */
+  constructor({ from }) {
+    this.from = from;
+  }
+
+  /**
+   * "Send" a message by logging it
+   * @param {Object} message - { to, subject, text, html }
+   * @returns {Object} { messageId }
+   */
+  async send({ to, subject, text }) {
+    const messageId = crypto.randomUUID();
+
+    logger.info("Email (console transport)", {
+      messageId,
+      from: this.from,
+      to,
+      subject,
+      text,
+    });
+
+    return { messageId };
+  }
+
+  async close() {}
+}
+
+module.exports = ConsoleMailAdapter;
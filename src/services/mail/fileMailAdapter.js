@@ -0,0 +1,86 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const logger = require("../../utils/logger");
+
+/**
+ * Encode a header value that is not plain ASCII (RFC 2047)
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+}
+
+/**
+ * File Mail Adapter
+ * Local development transport: each message is written to a directory as an
+ * .eml file, which mail clients open as is
+ */
+class FileMailAdapter {
+  /**
+   * @param {Object} options - Mailer options
+   * @param {String} options.from - Sender address
+   * @param {String} options.directory - Output directory (relative to the
+   *   working directory unless absolute)
+   */
+  constructor({ from, directory }) {
+    this.from = from;
+    this.directory = path.resolve(process.cwd(), directory);
+  }
+
+  /**
+   * Write a message to the output directory
+   * @param {Object} message - { to, subject, text, html }
+   * @returns {Object} { messageId, path }
+   */
+  async send({ to, subject, text, html }) {
+    const id = crypto.randomUUID();
+    const messageId = `<${id}@smart-mobile.local>`;
+    const headers = [
+      `From: ${this.from}`,
+      `To: ${to}`,
+      `Subject: ${encodeHeader(subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: ${messageId}`,
+      "MIME-Version: 1.0",
+    ];
+
+    let body;
+    if (html) {
+      const boundary = `alt-${id}`;
+      headers.push(
+        `Content-Type: multipart/alternative; boundary="${boundary}"`
+      );
+      body = [
+        `--${boundary}`,
+        "Content-Type: text/plain; charset=utf-8",
+        "",
+        text,
+        `--${boundary}`,
+        "Content-Type: text/html; charset=utf-8",
+        "",
+        html,
+        `--${boundary}--`,
+      ].join("\r\n");
+    } else {
+      headers.push("Content-Type: text/plain; charset=utf-8");
+      body = text;
+    }
+
+    // Timestamped names keep the directory listing in sending order
+    const filePath = path.join(
+      this.directory,
+      `${new Date().toISOString().replace(/[:.]/g, "-")}-${id}.eml`
+    );
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(filePath, `${headers.join("\r\n")}\r\n\r\n${body}\r\n`);
+
+    logger.info("Email written to file", { messageId, to, subject, filePath });
+    return { messageId, path: filePath };
+  }
+
+  async close() {}
+}
+
+module.exports = FileMailAdapter;
@@ -0,0 +1,45 @@
+const mailConfig = require("../../config/mail");
+const ConsoleMailAdapter = require("./consoleMailAdapter");
+const FileMailAdapter = require("./fileMailAdapter");
+const logger = require("../../utils/logger");
+
+/**
+ * Mail adapters
+ * Every adapter implements the same async interface:
+ *   send({ to, subject, text, html }) -> { messageId }, close()
+ */
+const adapters = {
+  console: (options) => new ConsoleMailAdapter({ ...options }),
+  file: (options) => new FileMailAdapter({ ...mailConfig.file, ...options }),
+  smtp: (options) => {
+    // Loaded on demand so the development transports do not need nodemailer
+    const SmtpMailAdapter = require("./smtpMailAdapter");
+    return new SmtpMailAdapter({ ...mailConfig.smtp, ...options });
+  },
+};
+
+/**
+ * Create a mailer for the configured transport
+ * @param {Object} options - Adapter options
+ * @param {String} options.transport - Overrides MAIL_TRANSPORT
+ * @param {String} options.from - Sender address
+ * @returns {Object} Mail adapter
+ */
+function createMailer(options = {}) {
+  const transport = options.transport || mailConfig.transport;
+  const create = adapters[transport];
+
+  if (!create) {
+    throw new Error(
+      `Unknown mail transport: ${transport} (expected ${Object.keys(
+        adapters
+      ).join(", ")})`
+    );
+  }
+
+  logger.info("Mailer initialized", { transport });
+
+  return create({ from: mailConfig.from, ...options });
+}
+
+module.exports = { createMailer };
@@ -0,0 +1,54 @@
+const nodemailer = require("nodemailer");
+const logger = require("../../utils/logger");
+
+/**
+ * SMTP Mail Adapter
+ * Sends through an SMTP server (a relay such as Postmark, SES or Mailgun, or
+ * the organization's own). Connections are pooled; send errors are thrown to
+ * the caller.
+ */
+class SmtpMailAdapter {
+  /**
+   * @param {Object} options - Mailer options
+   * @param {String} options.from - Sender address
+   * @param {String} options.host - SMTP host
+   * @param {Number} options.port - SMTP port
+   * @param {Boolean} options.secure - TLS from the start (port 465)
+   * @param {String} options.user - SMTP user (no authentication if unset)
+   * @param {String} options.pass - SMTP password
+   */
+  constructor({ from, host, port, secure, user, pass }) {
+    this.from = from;
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined,
+      pool: true,
+    });
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - { to, subject, text, html }
+   * @returns {Object} { messageId }
+   */
+  async send({ to, subject, text, html }) {
+    const info = await this.transporter.sendMail({
+      from: this.from,
+      to,
+      subject,
+      text,
+      html,
+    });
+
+    logger.info("Email sent", { messageId: info.messageId, to, subject });
+    return { messageId: info.messageId };
+  }
+
+  async close() {
+    this.transporter.close();
+  }
+}
+
+module.exports = SmtpMailAdapter;
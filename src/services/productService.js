@@ -1,4 +1,21 @@
 const supabaseService = require('./supabaseService');
+const searchIndexService = require('./searchIndexService');
+const searchAnalyticsService = require('./searchAnalyticsService');
+const eventBus = require('./eventBus');
+const { matchesSpecFilters, serializeSpecFilters } = require('../utils/specFilters');
+const {
+  parseSort,
+  serializeSort,
+  createComparator,
+  getSortPosition,
+  findCursorIndex,
+  toDatabaseOrder
+} = require('../utils/sortSpec');
+const { encodeCursor } = require('../utils/cursor');
+const { buildComparisonMatrix } = require('../utils/productComparison');
+const { getLocalStock, describeStoreAvailability } = require('../utils/storeAvailability');
+const { SEARCH_INTERACTION_TYPES } = require('../config/search');
+const { CATALOG_EVENTS } = require('../config/events');
 const logger = require('../utils/logger');
 
 /**
@@ -12,6 +29,10 @@ class ProductService {
 
   /**
    * Get all products with filtering and pagination
+   * Pages are addressed by page number, or by a decoded cursor
+   * (options.cursor, see utils/cursor) which takes precedence. A store scope
+   * (options.stores, see storeService.resolveScope) makes in_stock mean stock
+   * at those stores and reports stock per store
    * @param {Object} options - Query options
    * @returns {Object} Products with pagination metadata
    */
@@ -22,12 +43,16 @@ class ProductService {
         limit = 50,
         sortBy = 'created_at',
         sortOrder = 'desc',
+        sort,
         status = 'active',
         brand_id,
         category_id,
         is_featured,
         is_bestseller,
-        in_stock
+        in_stock,
+        specFilters = [],
+        cursor,
+        stores = null
       } = options;
 
       const filters = {
@@ -39,30 +64,63 @@ class ProductService {
         in_stock
       };
 
+      // Sort keys follow the shared contract in utils/sortSpec
+      const sortKeys = sort || parseSort({ sortBy, sortOrder }, { defaultField: 'date' });
+
+      const order = toDatabaseOrder(sortKeys);
+
+      // One row past the page is fetched (peek) to tell whether more follow
       const pagination = {
         page: parseInt(page),
         limit: Math.min(parseInt(limit), 100), // Max 100 items per page
-        sortBy,
-        sortOrder
+        sortKeys,
+        order,
+        cursor,
+        after: cursor ? [...cursor.values, cursor.id] : undefined,
+        peek: true
       };
 
-      const result = await supabaseService.getProducts(filters, pagination);
+      // Specifications live in JSONB with free-form units, so spec filters
+      // are applied in memory over the search index of active products
+      const fromIndex = this.isIndexListing(options);
+      const result = fromIndex
+        ? await this.getProductsFromIndex({ ...filters, specFilters, stores }, pagination)
+        : await supabaseService.getProducts(filters, pagination);
 
       if (!result.success) {
         throw new Error('Failed to fetch products');
       }
 
+      const hasNext = result.data.length > pagination.limit;
+      const rows = result.data.slice(0, pagination.limit);
+      const last = rows[rows.length - 1];
+
+      // Cursors hold the sort values the listing source orders by: in-memory
+      // sort values for the index, raw column values for the database
+      let nextCursor = null;
+      if (hasNext && last) {
+        const position = fromIndex
+          ? getSortPosition(sortKeys, last)
+          : {
+            values: order.slice(0, -1).map(({ column }) => last[column] ?? null),
+            id: last.id
+          };
+        nextCursor = encodeCursor(this.getCursorScope(options), position);
+      }
+
       // Process products for display
-      const processedProducts = result.data.map(product => this.processProductForDisplay(product));
+      const processedProducts = rows.map(product => this.processProductForDisplay(product, stores));
 
       return {
         success: true,
         data: processedProducts,
         pagination: {
-          page: pagination.page,
+          page: cursor ? null : pagination.page,
           limit: pagination.limit,
           total: result.count || processedProducts.length,
-          totalPages: Math.ceil((result.count || processedProducts.length) / pagination.limit)
+          totalPages: Math.ceil((result.count || processedProducts.length) / pagination.limit),
+          hasNext,
+          nextCursor
         }
       };
 
@@ -71,7 +129,81 @@ class ProductService {
       throw error;
     }
   }
-    /**
+  /**
+   * Whether a listing is served from the search index rather than the database
+   * @param {Object} options - Query options
+   */
+  isIndexListing(options) {
+    const { specFilters = [], status = 'active', stores = null } = options;
+    return (specFilters.length > 0 || !!stores) && status === 'active';
+  }
+
+  /**
+   * Filters, sort and listing source a listing cursor is valid for
+   * @param {Object} options - Query options (as for getProducts)
+   * @returns {Object} Cursor scope
+   */
+  getCursorScope(options) {
+    const {
+      sortBy = 'created_at',
+      sortOrder = 'desc',
+      sort,
+      status = 'active',
+      specFilters = []
+    } = options;
+
+    return {
+      status,
+      brand_id: options.brand_id || null,
+      category_id: options.category_id || null,
+      is_featured: options.is_featured ?? null,
+      is_bestseller: options.is_bestseller ?? null,
+      in_stock: !!options.in_stock,
+      spec: serializeSpecFilters(specFilters),
+      sort: serializeSort(sort || parseSort({ sortBy, sortOrder }, { defaultField: 'date' })),
+      source: this.isIndexListing(options) ? 'index' : 'database',
+      ...(options.stores && { stores: options.stores.map(store => store.id) })
+    };
+  }
+
+  /**
+   * Get products from the search index (active products only)
+   * Mirrors supabaseService.getProducts for filters the index can evaluate
+   * @param {Object} filters - Product filters including specFilters and the
+   *   store scope (stores)
+   * @param {Object} pagination - Page, limit, sort keys, cursor and peek
+   * @returns {Object} Result in the supabaseService format
+   */
+  async getProductsFromIndex(filters, pagination) {
+    const { page, limit, sortKeys, cursor, peek = false } = pagination;
+    const products = await searchIndexService.getProducts();
+
+    const matched = products.filter(product => {
+      if (filters.brand_id && product.brand_id !== filters.brand_id) return false;
+      if (filters.category_id && product.category_id !== filters.category_id) return false;
+      if (filters.is_featured !== undefined && product.is_featured !== filters.is_featured) return false;
+      if (filters.is_bestseller !== undefined && product.is_bestseller !== filters.is_bestseller) return false;
+      if (filters.in_stock) {
+        const stock = filters.stores ? getLocalStock(product, filters.stores) : product.stock_quantity;
+        if (!(stock > 0)) return false;
+      }
+      return matchesSpecFilters(product, filters.specFilters);
+    });
+
+    matched.sort(createComparator(sortKeys));
+
+    const offset = cursor
+      ? findCursorIndex(matched, sortKeys, cursor)
+      : (page - 1) * limit;
+
+    return {
+      success: true,
+      data: matched.slice(offset, offset + limit + (peek ? 1 : 0)),
+      count: matched.length
+    };
+  }
+
+  /**
    * Get ALL products (no filters, no search)
    */
   async getAllProducts(limit = 1000) {
@@ -214,6 +346,38 @@ class ProductService {
     }
   }
 
+  /**
+   * Compare products side by side
+   * @param {Array<String>} ids - Product IDs, in column order
+   * @returns {Object} Comparison matrix, or the IDs that were not found
+   */
+  async compareProducts(ids) {
+    try {
+      const result = await supabaseService.getProductsByIds(ids);
+      const byId = new Map((result.data || []).map(product => [product.id, product]));
+      const missing = ids.filter(id => !byId.has(id));
+
+      if (missing.length > 0) {
+        return {
+          success: false,
+          message: 'Products not found',
+          missing
+        };
+      }
+
+      const products = ids.map(id => this.processProductForDisplay(byId.get(id)));
+
+      return {
+        success: true,
+        data: buildComparisonMatrix(products)
+      };
+
+    } catch (error) {
+      logger.error('ProductService.compareProducts error', { error: error.message, ids });
+      throw error;
+    }
+  }
+
   /**
    * Get products by category
    * @param {String} categoryId - Category ID
@@ -287,6 +451,13 @@ class ProductService {
 
       logger.info('Product created', { productId: result.data.id });
 
+      // Subscribers keep the search index and cache in sync
+      await eventBus.publish(CATALOG_EVENTS.PRODUCT_CREATED, {
+        id: result.data.id,
+        before: null,
+        after: result.data
+      });
+
       return {
         success: true,
         data: this.processProductForDisplay(result.data),
@@ -327,6 +498,12 @@ class ProductService {
 
       logger.info('Product updated', { productId: id });
 
+      await eventBus.publish(CATALOG_EVENTS.PRODUCT_UPDATED, {
+        id,
+        before: existingProduct.data,
+        after: result.data
+      });
+
       return {
         success: true,
         data: this.processProductForDisplay(result.data),
@@ -363,6 +540,12 @@ class ProductService {
 
       logger.info('Product deleted', { productId: id });
 
+      await eventBus.publish(CATALOG_EVENTS.PRODUCT_DELETED, {
+        id,
+        before: existingProduct.data,
+        after: null
+      });
+
       return {
         success: true,
         message: 'Product deleted successfully'
@@ -402,6 +585,51 @@ class ProductService {
     }
   }
 
+  /**
+   * Record a product interaction for popularity and click-through ranking
+   * Views count once per session and product; clicks and add-to-carts count
+   * once per search and product, and only for products the search returned
+   * @param {String} id - Product ID
+   * @param {String} type - Event type (view, search_click, add_to_cart)
+   * @param {Object} options - Event options
+   * @param {String} options.searchId - Search the product was picked from
+   *   (required for search_click and add_to_cart)
+   * @param {String} options.session - Anonymized session hash (required for
+   *   view); views also feed the "also viewed" recommendations
+   * @returns {Boolean} Whether the event was counted
+   */
+  async recordProductEvent(id, type, options = {}) {
+    if (!['view', ...SEARCH_INTERACTION_TYPES].includes(type)) {
+      throw new Error(`Unknown product event: ${type}`);
+    }
+
+    try {
+      if (type === 'view') {
+        if (!options.session) return false;
+
+        const result = await supabaseService.recordProductView(id, options.session);
+        if (result.data) {
+          searchIndexService.incrementCounter(id, 'view_count');
+        }
+        return !!result.data;
+      }
+
+      const recorded = !!options.searchId &&
+        await searchAnalyticsService.recordInteraction(options.searchId, id, type);
+
+      if (!recorded) {
+        logger.debug('Search interaction ignored', { id, type, searchId: options.searchId });
+      } else if (type === 'search_click') {
+        searchIndexService.incrementCounter(id, 'search_click_count');
+      }
+
+      return recorded;
+    } catch (error) {
+      logger.error('ProductService.recordProductEvent error', { error: error.message, id, type });
+      throw error;
+    }
+  }
+
   /**
    * Process product data before saving
    * @param {Object} data - Raw product data
@@ -471,14 +699,19 @@ class ProductService {
   /**
    * Process product for display (add computed fields)
    * @param {Object} product - Raw product from database
+   * @param {Array} stores - Store scope: stock is reported per store, and
+   *   in_stock and stock_status describe those stores
    * @returns {Object} Processed product
    */
-  processProductForDisplay(product) {
+  processProductForDisplay(product, stores = null) {
     const processed = { ...product };
 
     // Add computed fields
     processed.in_stock = processed.stock_quantity > 0;
     processed.stock_status = this.getStockStatus(processed.stock_quantity);
+    if (stores) {
+      Object.assign(processed, describeStoreAvailability(product, stores, quantity => this.getStockStatus(quantity)));
+    }
     processed.price_display = this.formatPrice(processed.price);
     processed.discount_amount = processed.original_price ? 
       (parseFloat(processed.original_price) - parseFloat(processed.price)).toFixed(2) : 0;
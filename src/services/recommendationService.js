@@ -0,0 +1,168 @@
+const supabaseService = require("./supabaseService");
+const searchIndexService = require("./searchIndexService");
+const searchService = require("./searchService");
+const logger = require("../utils/logger");
+const { parseSort } = require("../utils/sortSpec");
+const { RECOMMENDATIONS } = require("../config/search");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Recommendation Service
+ * "Similar products" ranked from the search index by what candidates share
+ * with a product, and "customers also viewed" from co-viewed products
+ *
+ * Results are stored in the search cache and tagged like search results, so
+ * catalog writes evict them once the index has been updated.
+ */
+class RecommendationService {
+  /**
+   * Get an indexed (active) product
+   * @param {String} productId - Product ID
+   * @returns {Object|null} Indexed product
+   */
+  async getIndexedProduct(productId) {
+    await searchIndexService.ensureBuilt();
+    return searchIndexService.getDocument(productId);
+  }
+
+  /**
+   * Get products similar to a product
+   * Candidates are scored on category, brand, price proximity and shared
+   * specifications, then boosted and sorted like search results
+   * @param {String} productId - Product ID
+   * @param {Object} options - { limit, inStock }: inStock leaves out
+   *   products without stock; inactive products are never included
+   * @returns {Object} { success, results, metadata } or { success, message }
+   */
+  async getSimilarProducts(productId, options = {}) {
+    const { limit = RECOMMENDATIONS.defaultLimit, inStock = false } = options;
+    const cacheKey = `similar:${productId}:${limit}:${inStock}`;
+
+    try {
+      const cached = await searchService.getFromCache(cacheKey);
+      if (cached) return { success: true, ...cached };
+
+      const source = await this.getIndexedProduct(productId);
+      if (!source) {
+        return { success: false, message: "Product not found" };
+      }
+
+      const indexVersion = searchIndexService.getStats().version;
+      const algorithm = searchService.searchAlgorithm;
+      const candidates = algorithm.applyBasicFilters(
+        (await searchIndexService.getProducts()).filter(
+          (product) => product.id !== productId
+        ),
+        { inStock }
+      );
+
+      const ranked = algorithm
+        .sortResults(
+          algorithm.applyAdvancedScoring(
+            algorithm.scoreSimilarity(source, candidates),
+            {}
+          ),
+          parseSort({})
+        )
+        .slice(0, limit);
+
+      const result = await searchService.enhanceSearchResults({
+        results: ranked.map((entry) => ({
+          ...entry.item,
+          _similarityScore: entry.score,
+          _similarity: {
+            shared: entry.contributions,
+            boosts: entry.boosts,
+          },
+        })),
+        metadata: { productId, total: ranked.length, limit, inStock },
+      });
+
+      await searchService.setCache(cacheKey, result, {
+        tags: searchService.getRecommendationCacheTags(
+          [source, ...ranked.map((entry) => entry.item)],
+          { catalogWide: true }
+        ),
+        indexVersion,
+      });
+
+      return { success: true, ...result };
+    } catch (error) {
+      logger.error("RecommendationService.getSimilarProducts error", {
+        error: error.message,
+        productId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get products viewed in the same sessions as a product
+   * @param {String} productId - Product ID
+   * @param {Object} options - { limit, inStock }: inStock leaves out
+   *   products without stock; inactive products are never included
+   * @returns {Object} { success, results, metadata } or { success, message }
+   */
+  async getAlsoViewedProducts(productId, options = {}) {
+    const { limit = RECOMMENDATIONS.defaultLimit, inStock = false } = options;
+    const cacheKey = `also-viewed:${productId}:${limit}:${inStock}`;
+
+    try {
+      const cached = await searchService.getFromCache(cacheKey);
+      if (cached) return { success: true, ...cached };
+
+      const source = await this.getIndexedProduct(productId);
+      if (!source) {
+        return { success: false, message: "Product not found" };
+      }
+
+      const indexVersion = searchIndexService.getStats().version;
+      const coViews = await supabaseService.getAlsoViewedProducts({
+        productId,
+        since: new Date(
+          Date.now() - RECOMMENDATIONS.alsoViewedDays * DAY_MS
+        ).toISOString(),
+        // Extra rows make up for inactive and out-of-stock products
+        limit: limit * 3,
+      });
+
+      const products = (coViews.data || [])
+        .map((row) => {
+          const product = searchIndexService.getDocument(row.product_id);
+          return product && { ...product, _coViews: Number(row.sessions) };
+        })
+        .filter(Boolean);
+
+      const shown = searchService.searchAlgorithm
+        .applyBasicFilters(products, { inStock })
+        .slice(0, limit);
+
+      const result = await searchService.enhanceSearchResults({
+        results: shown,
+        metadata: {
+          productId,
+          total: shown.length,
+          limit,
+          inStock,
+          days: RECOMMENDATIONS.alsoViewedDays,
+        },
+      });
+
+      await searchService.setCache(cacheKey, result, {
+        tags: searchService.getRecommendationCacheTags([source, ...shown]),
+        indexVersion,
+      });
+
+      return { success: true, ...result };
+    } catch (error) {
+      logger.error("RecommendationService.getAlsoViewedProducts error", {
+        error: error.message,
+        productId,
+      });
+      throw error;
+    }
+  }
+}
+
+module.exports = new RecommendationService();
@@ -0,0 +1,166 @@
+const supabaseService = require("./supabaseService");
+const { DEFAULT_RELEVANCE_PROFILE } = require("../config/search");
+const { mergeRelevanceProfile } = require("../utils/relevanceProfile");
+const logger = require("../utils/logger");
+
+const POLL_INTERVAL_MS =
+  parseInt(process.env.SEARCH_CONFIG_POLL_MS) || 60 * 1000;
+
+/**
+ * Relevance Service
+ * Holds the active search relevance profile and applies changes without a
+ * redeploy. Admin updates apply immediately on the instance that handled
+ * them; other instances pick them up by polling the active version.
+ */
+class RelevanceService {
+  constructor() {
+    this.profile = DEFAULT_RELEVANCE_PROFILE;
+    this.version = null; // null = built-in defaults
+    this.listeners = [];
+    this.pollTimer = null;
+  }
+
+  /**
+   * Get the active profile settings
+   */
+  getProfile() {
+    return this.profile;
+  }
+
+  /**
+   * Get the active profile version and settings
+   */
+  getActive() {
+    return { version: this.version, settings: this.profile };
+  }
+
+  /**
+   * Register a listener called with the new profile whenever it changes
+   * @param {Function} listener - (profile, version) => void
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Switch to a profile and notify listeners
+   * Stored settings are merged onto the defaults so profiles saved before a
+   * setting existed keep working
+   * @param {Object} settings - Stored profile settings
+   * @param {Number|null} version - Profile version
+   */
+  apply(settings, version) {
+    this.profile = mergeRelevanceProfile(DEFAULT_RELEVANCE_PROFILE, settings);
+    this.version = version;
+
+    this.listeners.forEach((listener) => {
+      try {
+        listener(this.profile, version);
+      } catch (error) {
+        logger.error("Relevance profile listener failed", {
+          error: error.message,
+        });
+      }
+    });
+
+    logger.info("Search relevance profile applied", { version });
+  }
+
+  /**
+   * Load the active profile from the database, applying it if it changed
+   * @returns {Boolean} True if a different version was applied
+   */
+  async load() {
+    const result = await supabaseService.getActiveRelevanceProfile();
+    const active = result.data;
+    const version = active ? active.version : null;
+
+    if (version === this.version) return false;
+
+    this.apply(active ? active.settings : {}, version);
+    return true;
+  }
+
+  /**
+   * Poll for profile changes made on other instances
+   */
+  startPolling(intervalMs = POLL_INTERVAL_MS) {
+    if (this.pollTimer) return;
+
+    this.pollTimer = setInterval(() => {
+      this.load().catch((error) => {
+        logger.warn("Search relevance profile poll failed", {
+          error: error.message,
+        });
+      });
+    }, intervalMs);
+    this.pollTimer.unref();
+  }
+
+  /**
+   * Stop polling for profile changes
+   */
+  stopPolling() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Save settings merged onto the active profile as a new active version
+   * @param {Object} patch - Partial profile (validated)
+   * @param {String} notes - Change notes
+   * @param {String} adminId - Admin making the change
+   * @returns {Object} Saved profile row
+   */
+  async update(patch, notes, adminId) {
+    const settings = mergeRelevanceProfile(this.profile, patch);
+    const result = await supabaseService.createRelevanceProfile(
+      settings,
+      notes,
+      adminId
+    );
+
+    this.apply(result.data.settings, result.data.version);
+    return result.data;
+  }
+
+  /**
+   * Get saved profile versions, newest first
+   * @param {Number} limit - Maximum number of versions
+   */
+  async getHistory(limit = 20) {
+    const result = await supabaseService.getRelevanceProfiles(limit);
+    return result.data || [];
+  }
+
+  /**
+   * Re-activate an earlier profile version
+   * @param {Number} version - Version to activate (defaults to the one
+   *   before the active version)
+   * @returns {Object|null} Activated profile row, or null if there is none
+   */
+  async rollback(version) {
+    let target = version;
+
+    if (!target) {
+      const history = await this.getHistory(100);
+      const previous = history.find(
+        (profile) => this.version === null || profile.version < this.version
+      );
+      if (!previous) return null;
+      target = previous.version;
+    } else {
+      const existing = await supabaseService.getRelevanceProfile(target);
+      if (!existing.data) return null;
+    }
+
+    const result = await supabaseService.activateRelevanceProfile(target);
+
+    this.apply(result.data.settings, result.data.version);
+    return result.data;
+  }
+}
+
+module.exports = new RelevanceService();
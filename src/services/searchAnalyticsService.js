@@ -0,0 +1,365 @@
+const crypto = require("crypto");
+const supabaseService = require("./supabaseService");
+const logger = require("../utils/logger");
+
+const FLUSH_INTERVAL_MS = 5000;
+const MAX_BUFFER_SIZE = 50;
+const MAX_QUERY_LENGTH = 200;
+const DEFAULT_RANGE_DAYS = 30;
+const POPULAR_CACHE_TTL_MS = 5 * 60 * 1000;
+const POPULAR_RANGE_DAYS = 7;
+// Queries fetched at least, so small requests share one cached list
+const POPULAR_MIN_FETCH = 50;
+const MAX_RECENT_SEARCHES = 10000;
+// Search IDs not found in the database are not looked up again for a while
+const UNKNOWN_SEARCH_TTL_MS = 2 * FLUSH_INTERVAL_MS;
+const CLICK_STATS_CACHE_TTL_MS = 10 * 60 * 1000;
+
+// Secret mixed into session hashes so they cannot be reversed to an IP
+const SESSION_SALT =
+  process.env.SEARCH_ANALYTICS_SALT ||
+  process.env.JWT_SECRET ||
+  "search_analytics_salt";
+
+/**
+ * Search Analytics Service
+ * Persists every search request to the search_analytics table, tracks
+ * clicks and add-to-carts on search results, and reads aggregated reports
+ * back for the admin dashboard
+ *
+ * Entries are buffered and written in batches so recording never adds a
+ * database round trip to the search itself.
+ */
+class SearchAnalyticsService {
+  constructor() {
+    this.buffer = [];
+    this.flushTimer = null;
+    this.popularCache = null; // { data, fetched, expiresAt }
+    this.recentSearches = new Map(); // searchId -> { query, resultIds, interactions }
+    this.unknownSearches = new Map(); // searchId -> expiresAt
+    this.clickStatsCache = new Map(); // normalized query -> { stats, expiresAt }
+  }
+
+  /**
+   * Normalize a query for grouping ("  iPhone   15 " -> "iphone 15")
+   */
+  normalizeQuery(query) {
+    return String(query || "")
+      .toLowerCase()
+      .replace(/\s+/g, " ")
+      .trim()
+      .slice(0, MAX_QUERY_LENGTH);
+  }
+
+  /**
+   * Build an anonymized session identifier for a request
+   * Uses the client-supplied X-Session-Id when present, otherwise IP and
+   * user agent. The day is part of the hash, so the same client cannot be
+   * followed across days.
+   * @param {Object} req - Express request
+   * @returns {String} Hex digest
+   */
+  getSessionHash(req) {
+    const clientId =
+      req.get("X-Session-Id") || `${req.ip}|${req.get("User-Agent") || ""}`;
+    const day = new Date().toISOString().slice(0, 10);
+
+    return crypto
+      .createHmac("sha256", SESSION_SALT)
+      .update(`${day}|${clientId}`)
+      .digest("hex");
+  }
+
+  /**
+   * Queue a search for persistence
+   * @param {Object} entry - { searchId, query, filters, resultCount, resultIds, latencyMs, session, fromCache }
+   */
+  record(entry) {
+    const query = String(entry.query || "").slice(0, MAX_QUERY_LENGTH);
+    const normalizedQuery = this.normalizeQuery(query);
+    const resultIds = entry.resultIds || [];
+
+    if (entry.searchId) {
+      this.rememberSearch(entry.searchId, normalizedQuery, resultIds);
+    }
+
+    this.buffer.push({
+      search_id: entry.searchId || null,
+      query,
+      normalized_query: normalizedQuery,
+      filters: entry.filters || {},
+      result_count: entry.resultCount || 0,
+      result_ids: resultIds,
+      latency_ms: Math.round(entry.latencyMs || 0),
+      session_hash: entry.session || null,
+      from_cache: !!entry.fromCache,
+      created_at: new Date().toISOString(),
+    });
+
+    if (this.buffer.length >= MAX_BUFFER_SIZE) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), FLUSH_INTERVAL_MS);
+      this.flushTimer.unref();
+    }
+  }
+
+  /**
+   * Write buffered entries to the database
+   * Failed batches are dropped: analytics must never break search
+   */
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    if (this.buffer.length === 0) return;
+
+    const entries = this.buffer;
+    this.buffer = [];
+
+    try {
+      const result = await supabaseService.recordSearchAnalytics(entries);
+      if (!result.success) {
+        throw new Error("Insert failed");
+      }
+    } catch (error) {
+      logger.warn("Failed to record search analytics", {
+        error: error.message,
+        entries: entries.length,
+      });
+    }
+  }
+
+  /**
+   * Remember a search so interactions can be checked before it is flushed
+   * The oldest entries are evicted first (Map keeps insertion order)
+   * @param {String} searchId - Search ID
+   * @param {String} normalizedQuery - Normalized query
+   * @param {Array<String>} resultIds - IDs of the products returned
+   */
+  rememberSearch(searchId, normalizedQuery, resultIds) {
+    this.recentSearches.set(searchId, {
+      query: normalizedQuery,
+      resultIds,
+      interactions: new Set(),
+    });
+
+    if (this.recentSearches.size > MAX_RECENT_SEARCHES) {
+      this.recentSearches.delete(this.recentSearches.keys().next().value);
+    }
+  }
+
+  /**
+   * Find a search by ID
+   * Searches served by another instance are looked up in the database once
+   * they are flushed; IDs not found there are not looked up again until
+   * UNKNOWN_SEARCH_TTL_MS has passed
+   * @param {String} searchId - Search ID from metadata.searchId
+   * @returns {Object|null} { query, resultIds, interactions } or null if unknown
+   */
+  async resolveSearch(searchId) {
+    if (this.recentSearches.has(searchId)) {
+      return this.recentSearches.get(searchId);
+    }
+
+    const unknownUntil = this.unknownSearches.get(searchId);
+    if (unknownUntil > Date.now()) return null;
+
+    const result = await supabaseService.getSearchById(searchId);
+
+    if (!result.data) {
+      this.unknownSearches.delete(searchId);
+      this.unknownSearches.set(searchId, Date.now() + UNKNOWN_SEARCH_TTL_MS);
+      if (this.unknownSearches.size > MAX_RECENT_SEARCHES) {
+        this.unknownSearches.delete(this.unknownSearches.keys().next().value);
+      }
+      return null;
+    }
+
+    this.rememberSearch(
+      searchId,
+      result.data.normalized_query,
+      result.data.result_ids || []
+    );
+    return this.recentSearches.get(searchId);
+  }
+
+  /**
+   * Record a click or add-to-cart on a search result
+   * Counted once per search, product and event, and only for products the
+   * search returned
+   * @param {String} searchId - Search ID from metadata.searchId
+   * @param {String} productId - Product ID
+   * @param {String} event - search_click or add_to_cart
+   * @returns {Boolean} False if the search is unknown, did not return the
+   *   product, or already recorded the event
+   */
+  async recordInteraction(searchId, productId, event) {
+    const search = await this.resolveSearch(searchId);
+    if (!search || !search.resultIds.includes(productId)) return false;
+
+    const key = `${productId}|${event}`;
+    if (search.interactions.has(key)) return false;
+
+    const result = await supabaseService.recordSearchInteraction({
+      searchId,
+      query: search.query,
+      productId,
+      event,
+    });
+    search.interactions.add(key);
+    if (!result.data) return false;
+
+    if (search.query) {
+      this.clickStatsCache.delete(search.query);
+    }
+
+    return true;
+  }
+
+  /**
+   * Get result interactions recorded for a query
+   * Weighting is left to the ranking stage so it follows the relevance profile
+   * @param {String} query - Search query
+   * @returns {Object} { clicks, addToCarts, products: Map(productId -> { clicks, addToCarts }) }
+   */
+  async getClickStats(query) {
+    const normalizedQuery = this.normalizeQuery(query);
+    const empty = { clicks: 0, addToCarts: 0, products: new Map() };
+    if (!normalizedQuery) return empty;
+
+    const cached = this.clickStatsCache.get(normalizedQuery);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.stats;
+    }
+
+    try {
+      const result = await supabaseService.getSearchClickStats(normalizedQuery);
+      const stats = { clicks: 0, addToCarts: 0, products: new Map() };
+
+      (result.data || []).forEach((row) => {
+        stats.clicks += row.clicks;
+        stats.addToCarts += row.add_to_carts;
+        stats.products.set(row.product_id, {
+          clicks: row.clicks,
+          addToCarts: row.add_to_carts,
+        });
+      });
+
+      this.clickStatsCache.set(normalizedQuery, {
+        stats,
+        expiresAt: Date.now() + CLICK_STATS_CACHE_TTL_MS,
+      });
+
+      return stats;
+    } catch (error) {
+      logger.warn("Search click stats unavailable", { error: error.message });
+      return empty;
+    }
+  }
+
+  /**
+   * Resolve a report date range, defaulting to the last 30 days
+   * @param {Object} range - { from, to } as ISO dates
+   * @returns {Object} { from, to } as ISO timestamps
+   */
+  resolveRange({ from, to } = {}) {
+    const end = to ? new Date(to) : new Date();
+    const start = from
+      ? new Date(from)
+      : new Date(end.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+    return { from: start.toISOString(), to: end.toISOString() };
+  }
+
+  /**
+   * Get the most frequent queries
+   * @param {Object} options - { from, to, limit }
+   */
+  async getTopQueries({ from, to, limit = 20 } = {}) {
+    const range = this.resolveRange({ from, to });
+    const result = await supabaseService.getTopSearchQueries({
+      ...range,
+      limit,
+    });
+
+    return { ...range, queries: result.data || [] };
+  }
+
+  /**
+   * Get queries that returned no results
+   * @param {Object} options - { from, to, limit }
+   */
+  async getZeroResultQueries({ from, to, limit = 20 } = {}) {
+    const range = this.resolveRange({ from, to });
+    const result = await supabaseService.getZeroResultQueries({
+      ...range,
+      limit,
+    });
+
+    return { ...range, queries: result.data || [] };
+  }
+
+  /**
+   * Get search volume over time
+   * @param {Object} options - { from, to, interval (hour|day|week|month), query }
+   */
+  async getTrends({ from, to, interval = "day", query } = {}) {
+    const range = this.resolveRange({ from, to });
+    const normalizedQuery = query ? this.normalizeQuery(query) : null;
+    const result = await supabaseService.getSearchTrends({
+      ...range,
+      interval,
+      query: normalizedQuery,
+    });
+
+    return {
+      ...range,
+      interval,
+      query: normalizedQuery,
+      buckets: result.data || [],
+    };
+  }
+
+  /**
+   * Get popular queries that returned results, shared across instances
+   * Cached briefly since it backs a public endpoint; a larger limit than
+   * the cached list was fetched with refetches it
+   * @param {Number} limit - Maximum number of queries
+   * @returns {Array|null} Queries as { query, count }, or null if unavailable
+   */
+  async getPopularQueries(limit = 10) {
+    if (
+      !this.popularCache ||
+      this.popularCache.expiresAt < Date.now() ||
+      this.popularCache.fetched < limit
+    ) {
+      try {
+        const fetched = Math.max(limit, POPULAR_MIN_FETCH);
+        const { queries } = await this.getTopQueries({
+          from: new Date(
+            Date.now() - POPULAR_RANGE_DAYS * 24 * 60 * 60 * 1000
+          ).toISOString(),
+          limit: fetched,
+        });
+
+        this.popularCache = {
+          data: queries
+            .filter((row) => row.searches > row.zero_result_searches)
+            .map((row) => ({ query: row.query, count: Number(row.searches) })),
+          fetched,
+          expiresAt: Date.now() + POPULAR_CACHE_TTL_MS,
+        };
+      } catch (error) {
+        logger.warn("Popular searches unavailable", { error: error.message });
+        return null;
+      }
+    }
+
+    return this.popularCache.data.slice(0, limit);
+  }
+}
+
+module.exports = new SearchAnalyticsService();
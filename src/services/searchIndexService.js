@@ -0,0 +1,281 @@
+const Fuse = require("fuse.js");
+const SearchAlgorithm = require("../utils/searchAlgorithm");
+const supabaseService = require("./supabaseService");
+const relevanceService = require("./relevanceService");
+const { toDatabaseOrder } = require("../utils/sortSpec");
+const logger = require("../utils/logger");
+
+/**
+ * Search Index Service
+ * Keeps an in-process copy of all active products and a persistent Fuse
+ * index over them, so searches never need a full table fetch
+ */
+class SearchIndexService {
+  constructor() {
+    this.searchAlgorithm = new SearchAlgorithm(relevanceService.getProfile());
+    this.documents = new Map(); // productId -> searchable product
+    this.fuse = null;
+    this.pageSize = 1000; // Supabase caps a single select at 1000 rows
+    this.buildPromise = null;
+    this.rebuildPromise = null; // rebuild queued behind the running build
+    this.lastBuiltAt = null;
+    this.version = 0;
+
+    relevanceService.onChange((profile) => this.setProfile(profile));
+  }
+
+  /**
+   * Load every active product and build the Fuse index
+   * @returns {Number} Number of indexed products
+   */
+  async build() {
+    const startTime = Date.now();
+
+    try {
+      const products = [];
+      // Newest first with an id tiebreak, paged by keyset: rows with equal
+      // created_at and rows deleted mid-build cannot shift later pages
+      const order = toDatabaseOrder([{ field: "date", direction: "desc" }]);
+      let after;
+
+      // Page through the catalog until a short page is returned
+      while (true) {
+        const result = await supabaseService.getProducts(
+          { status: "active" },
+          { limit: this.pageSize, order, after }
+        );
+
+        if (!result.success) {
+          throw new Error("Failed to fetch products for search index");
+        }
+
+        const batch = result.data || [];
+        products.push(...batch);
+
+        if (batch.length < this.pageSize) break;
+
+        const last = batch[batch.length - 1];
+        after = order.map(({ column }) => last[column] ?? null);
+      }
+
+      this.documents = new Map(
+        products.map((product) => [product.id, this.toDocument(product)])
+      );
+      this.fuse = new Fuse(
+        Array.from(this.documents.values()),
+        this.searchAlgorithm.fuseOptions
+      );
+      this.lastBuiltAt = new Date().toISOString();
+      this.version++;
+
+      logger.info("Search index built", {
+        products: this.documents.size,
+        duration: `${Date.now() - startTime}ms`,
+      });
+
+      return this.documents.size;
+    } catch (error) {
+      logger.error("Search index build failed", { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Rebuild the Fuse index for new relevance settings (field weights and
+   * matching options are baked into the index)
+   * @param {Object} profile - Complete relevance profile
+   */
+  setProfile(profile) {
+    this.searchAlgorithm.setProfile(profile);
+    if (!this.fuse) return;
+
+    this.fuse = new Fuse(
+      Array.from(this.documents.values()),
+      this.searchAlgorithm.fuseOptions
+    );
+    this.version++;
+
+    logger.info("Search index rebuilt for relevance profile", {
+      products: this.documents.size,
+    });
+  }
+
+  /**
+   * Build the index once, sharing the in-flight build between callers
+   */
+  async ensureBuilt() {
+    if (this.fuse) return;
+
+    if (!this.buildPromise) {
+      this.buildPromise = this.build().finally(() => {
+        this.buildPromise = null;
+      });
+    }
+
+    await this.buildPromise;
+  }
+
+  /**
+   * Convert a product row into a searchable document
+   * @param {Object} product - Product with brand and category joined
+   * @returns {Object} Searchable document
+   */
+  toDocument(product) {
+    return {
+      ...product,
+      keywords: this.searchAlgorithm.generateKeywords(product),
+      localized_text: this.searchAlgorithm.getLocalizedText(product),
+    };
+  }
+
+  /**
+   * Get all indexed products
+   * @returns {Array} Searchable products
+   */
+  async getProducts() {
+    await this.ensureBuilt();
+    return Array.from(this.documents.values());
+  }
+
+  /**
+   * Get an indexed product without building the index
+   * @param {String} productId - Product ID
+   * @returns {Object|null} Searchable product
+   */
+  getDocument(productId) {
+    return this.documents.get(productId) || null;
+  }
+
+  /**
+   * Get the Fuse index over all indexed products
+   * @returns {Fuse} Fuse instance
+   */
+  async getFuse() {
+    await this.ensureBuilt();
+    return this.fuse;
+  }
+
+  /**
+   * Insert or replace a product in the index
+   * Inactive products are removed instead, since search only covers active ones
+   * @param {Object} product - Product with brand and category joined
+   */
+  upsert(product) {
+    if (!this.fuse || !product) return;
+
+    if (product.status !== "active") {
+      this.remove(product.id);
+      return;
+    }
+
+    const document = this.toDocument(product);
+
+    if (this.documents.has(product.id)) {
+      this.fuse.remove((doc) => doc.id === product.id);
+    }
+
+    this.documents.set(product.id, document);
+    this.fuse.add(document);
+    this.version++;
+
+    logger.debug("Search index updated", { productId: product.id });
+  }
+
+  /**
+   * Remove a product from the index
+   * @param {String} productId - Product ID
+   */
+  remove(productId) {
+    if (!this.fuse || !this.documents.has(productId)) return;
+
+    this.documents.delete(productId);
+    this.fuse.remove((doc) => doc.id === productId);
+    this.version++;
+
+    logger.debug("Product removed from search index", { productId });
+  }
+
+  /**
+   * Increment a counter on an indexed product without reloading it
+   * @param {String} productId - Product ID
+   * @param {String} counter - Counter field (e.g. view_count)
+   */
+  incrementCounter(productId, counter) {
+    const document = this.documents.get(productId);
+    if (!document) return;
+
+    document[counter] = (document[counter] || 0) + 1;
+  }
+
+  /**
+   * Reload a single product from the database and update the index
+   * @param {String} productId - Product ID
+   */
+  async refreshProduct(productId) {
+    if (!this.fuse) return;
+
+    try {
+      // A list lookup returns no row (rather than an error) when the product
+      // is gone: anonymous reads only see active products, so an empty result
+      // means it was deleted or deactivated
+      const result = await supabaseService.getProductsByIds([productId]);
+      const product = (result.data || [])[0];
+
+      if (product) {
+        this.upsert(product);
+      } else {
+        this.remove(productId);
+      }
+    } catch (error) {
+      // Any other failure (timeout, server error) says nothing about the
+      // product, so the indexed copy is kept
+      logger.warn("Search index refresh failed, keeping indexed product", {
+        productId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Reload every product if the index has been built
+   * Used when a brand or category changes, since every document embeds them.
+   * Builds never overlap: a rebuild requested during a build runs after it,
+   * and requests made while one is already queued share that one, since it
+   * has not read the catalog yet.
+   */
+  async rebuild() {
+    if (!this.fuse) return;
+
+    if (!this.rebuildPromise) {
+      const running = this.buildPromise || Promise.resolve();
+      // Runs whether the running build succeeded or not (its failure is
+      // logged and reported to its own callers)
+      const startBuild = () => {
+        this.rebuildPromise = null;
+        this.buildPromise = this.build().finally(() => {
+          this.buildPromise = null;
+        });
+        return this.buildPromise;
+      };
+
+      this.rebuildPromise = running.then(startBuild, startBuild);
+    }
+
+    await this.rebuildPromise;
+  }
+
+  /**
+   * Get index statistics
+   * @returns {Object} Index statistics
+   */
+  getStats() {
+    return {
+      built: !!this.fuse,
+      totalProducts: this.documents.size,
+      lastBuiltAt: this.lastBuiltAt,
+      version: this.version,
+    };
+  }
+}
+
+module.exports = new SearchIndexService();
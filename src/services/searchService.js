@@ -1,6 +1,94 @@
+const crypto = require("crypto");
 const SearchAlgorithm = require("../utils/searchAlgorithm");
+const SpellCorrector = require("../utils/spellCorrector");
 const supabaseService = require("./supabaseService");
+const searchIndexService = require("./searchIndexService");
+const synonymService = require("./synonymService");
+const searchAnalyticsService = require("./searchAnalyticsService");
+const relevanceService = require("./relevanceService");
+const eventBus = require("./eventBus");
 const logger = require("../utils/logger");
+const {
+  PRICE_RANGES,
+  FULL_TEXT_SEARCH,
+  SPELL_CORRECTION,
+} = require("../config/search");
+const { CATALOG_EVENTS, SYSTEM_EVENTS } = require("../config/events");
+const { serializeSpecFilters } = require("../utils/specFilters");
+const {
+  parseSort,
+  serializeSort,
+  getSortPosition,
+} = require("../utils/sortSpec");
+const { encodeCursor } = require("../utils/cursor");
+const {
+  parseSearchQuery,
+  replaceQueryTerms,
+} = require("../utils/queryParser");
+const { mergeRelevanceProfile } = require("../utils/relevanceProfile");
+const { describeStoreAvailability } = require("../utils/storeAvailability");
+const { createCache } = require("./cache");
+const cacheConfig = require("../config/cache");
+
+const EMPTY_RESULT_TTL_MS = 60 * 1000;
+
+// Larger matched sets are tagged as broad and evicted by any product change
+const MAX_PRODUCT_TAGS = 200;
+const BROAD_TAG = "products:all";
+
+// Product fields that decide which searches a product matches at all
+const MATCH_FIELDS = [
+  "name",
+  "model",
+  "description",
+  "brand_id",
+  "category_id",
+  "status",
+  "specifications",
+  "localized",
+];
+
+/**
+ * Cache tags of every search scope a product falls in: filtered by its
+ * brand and category, by either one, or by neither
+ * @param {String} kind - Scope tag kind (scope, scope-price, scope-stock)
+ * @param {Object} product - Indexed product with brand and category
+ * @returns {Array<String>} Cache tags
+ */
+function productScopeTags(kind, product) {
+  const brands = product.brand?.slug ? [product.brand.slug, "*"] : ["*"];
+  const categories = product.category?.slug
+    ? [product.category.slug, "*"]
+    : ["*"];
+
+  return brands.flatMap((brand) =>
+    categories.map((category) => `${kind}:${brand}:${category}`)
+  );
+}
+
+/**
+ * Work out which scopes an update can add a product to
+ * Searches that already matched the product are evicted by its product tag
+ * @param {Object} before - Product row before the update
+ * @param {Object} after - Product row after the update
+ * @returns {Array<String>} Scope tag kinds to evict
+ */
+function getChangedScopes(before, after) {
+  if (!before || !after) return ["scope"];
+
+  const changed = (field) =>
+    JSON.stringify(before[field]) !== JSON.stringify(after[field]);
+  if (MATCH_FIELDS.some(changed)) return ["scope"];
+
+  const scopes = [];
+  if (parseFloat(before.price) !== parseFloat(after.price)) {
+    scopes.push("scope-price");
+  }
+  if (before.stock_quantity > 0 !== after.stock_quantity > 0) {
+    scopes.push("scope-stock");
+  }
+  return scopes;
+}
 
 /**
  * Product Search Service
@@ -8,18 +96,178 @@ const logger = require("../utils/logger");
  */
 class SearchService {
   constructor() {
-    this.searchAlgorithm = new SearchAlgorithm();
-    this.searchCache = new Map(); // Simple in-memory cache
-    this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
+    this.searchAlgorithm = new SearchAlgorithm(relevanceService.getProfile());
+    this.cacheExpiry = cacheConfig.ttlMs;
+    this.cache = createCache({ namespace: "search", ttlMs: this.cacheExpiry });
+    this.suggestionTrie = null;
+    this.suggestionTrieVersion = null;
+    this.spelling = null; // { corrector, indexVersion, expiresAt }
+
+    // Cached results were ranked with the previous profile
+    relevanceService.onChange((profile) => {
+      this.searchAlgorithm.setProfile(profile);
+      this.clearCache().catch((error) => {
+        logger.warn("Failed to clear search cache", { error: error.message });
+      });
+    });
+
+    // Cached results were expanded with the previous synonyms
+    synonymService.onChange(() => {
+      this.clearCache().catch((error) => {
+        logger.warn("Failed to clear search cache", { error: error.message });
+      });
+    });
+
+    this.subscribeToCatalogEvents();
+  }
+
+  /**
+   * Keep the search index and cache in step with catalog writes
+   */
+  subscribeToCatalogEvents() {
+    [
+      CATALOG_EVENTS.PRODUCT_CREATED,
+      CATALOG_EVENTS.PRODUCT_UPDATED,
+      CATALOG_EVENTS.PRODUCT_DELETED,
+    ].forEach((event) => {
+      eventBus.subscribe(event, (change) => this.handleProductChange(change));
+    });
+
+    [CATALOG_EVENTS.BRAND_UPDATED, CATALOG_EVENTS.BRAND_DELETED].forEach(
+      (event) => {
+        eventBus.subscribe(event, (change) =>
+          this.handleTaxonomyChange("brand", change)
+        );
+      }
+    );
+
+    [CATALOG_EVENTS.CATEGORY_UPDATED, CATALOG_EVENTS.CATEGORY_DELETED].forEach(
+      (event) => {
+        eventBus.subscribe(event, (change) =>
+          this.handleTaxonomyChange("category", change)
+        );
+      }
+    );
+
+    eventBus.subscribe(CATALOG_EVENTS.INVENTORY_UPDATED, (change) =>
+      this.handleInventoryChange(change)
+    );
+
+    // Store-scoped results show store names and distances
+    [CATALOG_EVENTS.STORE_UPDATED, CATALOG_EVENTS.STORE_DELETED].forEach(
+      (event) => {
+        eventBus.subscribe(event, ({ id }) =>
+          this.invalidateCache([`scope-store:${id}`], { event, id })
+        );
+      }
+    );
+
+    // Writes on other instances may have been missed; a rebuild also moves
+    // cache keys to the new index version
+    eventBus.subscribe(SYSTEM_EVENTS.RELAY_RECONNECTED, () =>
+      searchIndexService.rebuild()
+    );
+  }
+
+  /**
+   * Update the index for a product write and evict the cached searches it
+   * affects: those that matched the product, plus those it may now match
+   * @param {Object} change - Catalog event { event, id, before, after }
+   */
+  async handleProductChange({ event, id, before, after }) {
+    if (event === CATALOG_EVENTS.PRODUCT_DELETED) {
+      searchIndexService.remove(id);
+    } else {
+      // Reload to pick up the joined brand and category
+      await searchIndexService.refreshProduct(id);
+    }
+
+    // Without an index there is no document to scope the eviction with
+    if (!searchIndexService.getStats().built) {
+      await this.clearCache();
+      return;
+    }
+
+    const tags = [`product:${id}`, BROAD_TAG];
+    const document = searchIndexService.getDocument(id);
+
+    if (document) {
+      const scopes =
+        event === CATALOG_EVENTS.PRODUCT_CREATED
+          ? ["scope"]
+          : getChangedScopes(before, after);
+      scopes.forEach((kind) => tags.push(...productScopeTags(kind, document)));
+    }
+
+    await this.invalidateCache(tags, { event, id });
+  }
+
+  /**
+   * Update the index for a store stock change and evict the cached searches
+   * showing the product, plus the searches scoped to the store (which it
+   * may now match)
+   * @param {Object} change - Inventory event { event, id, storeId }
+   */
+  async handleInventoryChange({ event, id, storeId }) {
+    await searchIndexService.refreshProduct(id);
+
+    if (!searchIndexService.getStats().built) {
+      await this.clearCache();
+      return;
+    }
+
+    await this.invalidateCache([`product:${id}`, `scope-store:${storeId}`], {
+      event,
+      id,
+      storeId,
+    });
+  }
+
+  /**
+   * Evict the cached searches that show or filter by a brand or category,
+   * and rebuild the index for it in the background
+   * @param {String} type - "brand" or "category"
+   * @param {Object} change - Catalog event { event, id, before, after }
+   */
+  async handleTaxonomyChange(type, { event, id, before, after }) {
+    // Every indexed product embeds its brand and category. A full reload is
+    // too slow to hold the write's response for; the new index version it
+    // sets also moves cache keys past results cached in the meantime.
+    searchIndexService.rebuild().catch((error) => {
+      logger.warn("Search index rebuild failed", {
+        event,
+        id,
+        error: error.message,
+      });
+    });
+
+    const slugs = new Set([before?.slug, after?.slug].filter(Boolean));
+    const tags = [
+      `${type}:${id}`,
+      ...Array.from(slugs, (slug) => `scope-${type}:${slug}`),
+    ];
+
+    // Names are searchable text, so a rename can change unfiltered results
+    if (!before || !after || before.name !== after.name) {
+      tags.push(`scope-${type}:*`);
+    }
+
+    await this.invalidateCache(tags, { event, id });
   }
 
   /**
    * Main product search function
    * @param {Object} searchParams - Search parameters
-   * @returns {Object} Search results with metadata
+   * @param {Object} context - Request context
+   * @param {String} context.session - Anonymized session hash for analytics
+   * @returns {Object} Search results with metadata, including a searchId that
+   *   clients send back with result click and add-to-cart events
    */
-  async searchProducts(searchParams) {
+  async searchProducts(searchParams, context = {}) {
     const startTime = Date.now();
+    const searchId = crypto.randomUUID();
+    const analyticsContext = { ...context, searchId };
+    const indexVersion = searchIndexService.getStats().version;
 
     try {
       logger.debug("Product search initiated", searchParams);
@@ -28,13 +276,17 @@ class SearchService {
       const cacheKey = this.generateCacheKey(searchParams);
 
       // Check cache first
-      const cachedResult = this.getFromCache(cacheKey);
+      const cachedResult = await this.getFromCache(cacheKey);
       if (cachedResult) {
         logger.info("Search result served from cache", { cacheKey });
-        return cachedResult;
+        this.recordAnalytics(searchParams, cachedResult, startTime, {
+          ...analyticsContext,
+          fromCache: true,
+        });
+        return this.withRequestMetadata(cachedResult, searchId, "hit");
       }
 
-      // Step 1: Get products from database with basic filters
+      // Step 1: Get products from the in-process search index
       const products = await this.getProductsForSearch(searchParams);
 
       if (!products || products.length === 0) {
@@ -46,27 +298,85 @@ class SearchService {
             offset: searchParams.offset || 0,
             hasNext: false,
             hasPrev: false,
+            nextCursor: null,
             duration: Date.now() - startTime,
             query: searchParams.query || "",
+            suggestedQuery: null,
             filters: this.extractFilters(searchParams),
+            stores: searchParams.stores || null,
+            ...(searchParams.explain && {
+              explain: { indexedProducts: 0, candidates: 0, matched: 0 },
+            }),
           },
+          facets: this.searchAlgorithm.computeFacets([]),
         };
 
-        this.setCache(cacheKey, emptyResult);
-        return emptyResult;
+        await this.setCache(cacheKey, emptyResult, {
+          tags: this.getCacheTags(searchParams),
+          indexVersion,
+        });
+        this.recordAnalytics(
+          searchParams,
+          emptyResult,
+          startTime,
+          analyticsContext
+        );
+        return this.withRequestMetadata(emptyResult, searchId, "miss");
       }
 
       // Step 2: Apply advanced search algorithm
-      const searchResult = await this.searchAlgorithm.search(
+      let { matchedProducts, ...searchResult } = await this.runSearch(
         products,
         searchParams
       );
+      let resultParams = searchParams;
+
+      // Step 3: Suggest a spelling correction when nothing matched, and
+      // search for it instead when autocorrect is on (metadata.query is then
+      // the corrected query, which later pages must be requested with)
+      let suggestedQuery = null;
+      if (searchResult.metadata.total === 0 && searchParams.query) {
+        suggestedQuery = await this.getSuggestedQuery(searchParams);
+      }
+
+      if (suggestedQuery && this.shouldAutocorrect(searchParams)) {
+        const correctedParams = {
+          ...searchParams,
+          query: suggestedQuery,
+          ...(searchParams.parsedQuery && {
+            parsedQuery: parseSearchQuery(suggestedQuery).parsedQuery,
+          }),
+          cursor: null,
+        };
+        const corrected = await this.runSearch(products, correctedParams);
+
+        if (corrected.metadata.total > 0) {
+          ({ matchedProducts, ...searchResult } = corrected);
+          searchResult.metadata.originalQuery = searchParams.query;
+          searchResult.metadata.autocorrected = true;
+          resultParams = correctedParams;
+        }
+      }
+      searchResult.metadata.suggestedQuery = suggestedQuery;
 
-      // Step 3: Enhance results with additional data
+      // Step 4: Enhance results with additional data
+      searchResult.metadata.nextCursor = this.getNextCursor(
+        resultParams,
+        searchResult
+      );
       const enhancedResult = await this.enhanceSearchResults(searchResult);
 
-      // Step 4: Cache the result
-      this.setCache(cacheKey, enhancedResult);
+      // Step 5: Cache the result, tagged for invalidation on catalog writes
+      await this.setCache(cacheKey, enhancedResult, {
+        tags: this.getCacheTags(searchParams, matchedProducts),
+        indexVersion,
+      });
+      this.recordAnalytics(
+        searchParams,
+        enhancedResult,
+        startTime,
+        analyticsContext
+      );
 
       const duration = Date.now() - startTime;
       logger.info("Product search completed", {
@@ -76,7 +386,7 @@ class SearchService {
         fromCache: false,
       });
 
-      return enhancedResult;
+      return this.withRequestMetadata(enhancedResult, searchId, "miss");
     } catch (error) {
       logger.error("Product search failed", {
         error: error.message,
@@ -88,56 +398,318 @@ class SearchService {
   }
 
   /**
-   * Get products from database for search
+   * Run the search algorithm over indexed products, expanding the query
+   * through the synonym dictionary and boosting products users picked
+   * @param {Array} products - Indexed products
    * @param {Object} searchParams - Search parameters
-   * @returns {Array} Products array
+   * @returns {Object} Search algorithm result
    */
-  async getProductsForSearch(searchParams) {
-    const filters = {
-      status: "active", // Only search active products
-      brand_id: searchParams.brand
-        ? await this.getBrandIdBySlug(searchParams.brand)
-        : null,
-      category_id: searchParams.category
-        ? await this.getCategoryIdBySlug(searchParams.category)
-        : null,
-    };
+  async runSearch(products, searchParams) {
+    await synonymService.ensureLoaded();
+    const textQuery = this.getTextQuery(searchParams);
+    const queryVariants = textQuery
+      ? synonymService.expandQuery(textQuery)
+      : [];
 
-    // Remove null values
-    Object.keys(filters).forEach((key) => {
-      if (filters[key] === null || filters[key] === undefined) {
-        delete filters[key];
-      }
+    return await this.searchAlgorithm.search(products, searchParams, {
+      fuse: await searchIndexService.getFuse(),
+      queryVariants,
+      clickStats: await searchAnalyticsService.getClickStats(
+        searchParams.query
+      ),
+      rankFullText: this.getFullTextRanker(searchParams, queryVariants),
     });
+  }
+
+  /**
+   * Text of a search that is matched against products: the terms and
+   * phrases of a parsed query, or the raw query
+   * @param {Object} searchParams - Search parameters
+   * @returns {String} Text query
+   */
+  getTextQuery(searchParams) {
+    return searchParams.parsedQuery
+      ? searchParams.parsedQuery.text
+      : searchParams.query || "";
+  }
+
+  /**
+   * Whether a search without results is rerun with its suggested query
+   * @param {Object} searchParams - Search parameters (autocorrect overrides
+   *   the configured default)
+   */
+  shouldAutocorrect(searchParams) {
+    return typeof searchParams.autocorrect === "boolean"
+      ? searchParams.autocorrect
+      : SPELL_CORRECTION.autocorrect;
+  }
+
+  /**
+   * Get the spell corrector, rebuilt when the index changes and
+   * periodically so newly successful queries join the vocabulary
+   * @returns {SpellCorrector} Spell corrector
+   */
+  async getSpellCorrector() {
+    const { version } = searchIndexService.getStats();
+    if (
+      this.spelling &&
+      this.spelling.indexVersion === version &&
+      this.spelling.expiresAt > Date.now()
+    ) {
+      return this.spelling.corrector;
+    }
+
+    const corrector = new SpellCorrector();
+    const products = await searchIndexService.getProducts();
+
+    products.forEach((product) => {
+      corrector.addText(product.name);
+      corrector.addText(product.model);
+      corrector.addText(product.brand?.name, 2);
+      corrector.addText(product.category?.name, 2);
+      (product.keywords || []).forEach((keyword) => corrector.addText(keyword));
+    });
+
+    // Queries that found something, on this instance and across instances
+    const queries = [
+      ...this.searchAlgorithm.getPopularSearches(SPELL_CORRECTION.maxQueries),
+      ...((await searchAnalyticsService.getPopularQueries(
+        SPELL_CORRECTION.maxQueries
+      )) || []),
+    ];
+    queries.forEach(({ query, count }) =>
+      corrector.addText(query, 1 + Math.log1p(count))
+    );
+
+    this.spelling = {
+      corrector,
+      indexVersion: searchIndexService.getStats().version,
+      expiresAt: Date.now() + SPELL_CORRECTION.refreshMs,
+    };
+
+    logger.debug("Spell corrector built", { words: corrector.words.size });
+    return corrector;
+  }
+
+  /**
+   * Suggest a corrected query ("did you mean")
+   * Only the bare terms of a parsed query are corrected; its phrases,
+   * exclusions, field scopes and ranges are kept as typed
+   * @param {Object} searchParams - Search parameters
+   * @returns {String|null} Suggested query, or null if none
+   */
+  async getSuggestedQuery(searchParams) {
+    const { query, parsedQuery } = searchParams;
+
+    try {
+      const corrector = await this.getSpellCorrector();
+      if (!parsedQuery) return corrector.correct(query);
+
+      const terms = corrector.correct(parsedQuery.terms.join(" "));
+      return terms && replaceQueryTerms(parsedQuery, terms);
+    } catch (error) {
+      logger.warn("Spelling suggestion failed", {
+        query,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Resolve the text matching mode (see FULL_TEXT_SEARCH in config/search)
+   * @returns {String} "fts" or "fuzzy"
+   */
+  getSearchMode() {
+    if (FULL_TEXT_SEARCH.mode !== "auto") return FULL_TEXT_SEARCH.mode;
+
+    return searchIndexService.getStats().totalProducts >=
+      FULL_TEXT_SEARCH.autoThreshold
+      ? "fts"
+      : "fuzzy";
+  }
+
+  /**
+   * Get the Postgres full-text ranker of a search when that mode is active
+   * The search algorithm calls it with the products left after filtering, so
+   * the match limit applies to filtered candidates rather than the catalog
+   * @param {Object} searchParams - Search parameters
+   * @param {Array} queryVariants - Synonym expansions of the query
+   * @returns {Function|null} async (candidates) => rank by product ID, or
+   *   null when full-text search is not used
+   */
+  getFullTextRanker(searchParams, queryVariants = []) {
+    const query = this.getTextQuery(searchParams).trim();
+    if (!query || this.getSearchMode() !== "fts") return null;
+
+    const queries = [
+      ...new Set([query, ...queryVariants.map((variant) => variant.query)]),
+    ];
+
+    return (candidates) => this.getFullTextMatches(queries, candidates);
+  }
+
+  /**
+   * Rank candidates with Postgres full-text search
+   * A failing query is logged and the search falls back to fuzzy matching
+   * @param {Array<String>} queries - Query and its synonym variants
+   * @param {Array} candidates - Products left after filtering
+   * @returns {Map|null} Rank by product ID, or null when the query failed
+   */
+  async getFullTextMatches(queries, candidates) {
+    if (candidates.length === 0) return new Map();
+
+    // Unfiltered searches rank the whole catalog without sending its IDs
+    const productIds =
+      candidates.length < searchIndexService.getStats().totalProducts
+        ? candidates.map((product) => product.id)
+        : null;
+
+    try {
+      const result = await supabaseService.searchProductsFullText(
+        queries,
+        FULL_TEXT_SEARCH.maxMatches,
+        productIds
+      );
 
-    // Get products with a higher limit for better search results
-    const pagination = {
-      page: 1,
-      limit: 1000, // Get more products for comprehensive search
-      sortBy: "created_at",
-      sortOrder: "desc",
+      return new Map(
+        (result.data || []).map((match) => [match.product_id, match.rank])
+      );
+    } catch (error) {
+      logger.warn("Full-text search failed, using fuzzy matching", {
+        query: queries[0],
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Run a search with a draft relevance profile without activating it
+   * Results are never cached or recorded, and come back with the explain
+   * breakdown plus each product's rank under the active profile
+   * @param {Object} searchParams - Search parameters
+   * @param {Object} draft - Partial profile merged onto the active one
+   * @returns {Object} { profile, results, metadata, comparison }
+   */
+  async previewSearch(searchParams, draft = {}) {
+    const profile = mergeRelevanceProfile(
+      relevanceService.getProfile(),
+      draft
+    );
+    const products = await this.getProductsForSearch(searchParams);
+
+    await synonymService.ensureLoaded();
+    const textQuery = this.getTextQuery(searchParams);
+    const queryVariants = textQuery
+      ? synonymService.expandQuery(textQuery)
+      : [];
+    const context = {
+      queryVariants,
+      clickStats: await searchAnalyticsService.getClickStats(
+        searchParams.query
+      ),
+      rankFullText: this.getFullTextRanker(searchParams, queryVariants),
     };
 
-    const result = await supabaseService.getProducts(filters, pagination);
+    // Fresh algorithm instances keep previews out of popular searches; the
+    // draft has no prebuilt index since its Fuse options may differ
+    const draftResult = await new SearchAlgorithm(profile).search(
+      products,
+      { ...searchParams, explain: true },
+      context
+    );
+    const activeResult = await new SearchAlgorithm(
+      relevanceService.getProfile()
+    ).search(
+      products,
+      { ...searchParams, offset: 0, limit: products.length },
+      { ...context, fuse: await searchIndexService.getFuse() }
+    );
+
+    const activeRanks = new Map(
+      activeResult.results.map((product, index) => [product.id, index + 1])
+    );
 
-    if (!result.success) {
-      throw new Error("Failed to fetch products for search");
+    return {
+      profile,
+      results: draftResult.results,
+      metadata: draftResult.metadata,
+      comparison: draftResult.results.map((product) => ({
+        id: product.id,
+        name: product.name,
+        draftRank: product._explain.rank,
+        activeRank: activeRanks.get(product.id) || null,
+      })),
+    };
+  }
+
+  /**
+   * Attach per-request metadata without mutating the (cached) result
+   * @param {Object} result - Search result
+   * @param {String} searchId - Search ID for this request
+   * @param {String} cacheStatus - "hit" or "miss", reported in explain mode
+   */
+  withRequestMetadata(result, searchId, cacheStatus) {
+    const metadata = { ...result.metadata, searchId };
+
+    if (metadata.explain) {
+      metadata.explain = { ...metadata.explain, cache: cacheStatus };
     }
 
-    return result.data || [];
+    return { ...result, metadata };
+  }
+
+  /**
+   * Queue a search for analytics
+   * @param {Object} searchParams - Search parameters
+   * @param {Object} result - Search result
+   * @param {Number} startTime - Search start timestamp
+   * @param {Object} context - { searchId, session, fromCache }
+   */
+  recordAnalytics(searchParams, result, startTime, context = {}) {
+    searchAnalyticsService.record({
+      searchId: context.searchId,
+      query: searchParams.query || "",
+      filters: this.extractFilters(searchParams),
+      resultCount: result.metadata.total,
+      resultIds: result.results.map((product) => product.id),
+      latencyMs: Date.now() - startTime,
+      session: context.session,
+      fromCache: context.fromCache,
+    });
+  }
+
+  /**
+   * Get products for search from the search index
+   * Brand, category and price filters are applied by the search algorithm
+   * @param {Object} searchParams - Search parameters
+   * @returns {Array} Products array
+   */
+  async getProductsForSearch(searchParams) {
+    return await searchIndexService.getProducts();
   }
 
   /**
    * Enhance search results with additional processing
+   * Store-scoped results (metadata.stores) report stock per store, with
+   * in_stock and stock_status describing those stores rather than the
+   * online stock
    * @param {Object} searchResult - Search result from algorithm
    * @returns {Object} Enhanced search result
    */
   async enhanceSearchResults(searchResult) {
+    const stores = searchResult.metadata?.stores;
+
     // Add stock status to each product
     const enhancedResults = searchResult.results.map((product) => ({
       ...product,
       in_stock: product.stock_quantity > 0,
       stock_status: this.getStockStatus(product.stock_quantity),
+      ...(stores &&
+        describeStoreAvailability(product, stores, (quantity) =>
+          this.getStockStatus(quantity)
+        )),
       price_display: this.formatPrice(product.price),
       discount_amount: product.original_price
         ? (
@@ -156,7 +728,7 @@ class SearchService {
    * Get search suggestions
    * @param {String} query - Partial search query
    * @param {Number} limit - Maximum number of suggestions
-   * @returns {Array} Search suggestions
+   * @returns {Array} Typed suggestions (product, brand, category, query)
    */
   async getSearchSuggestions(query, limit = 10) {
     try {
@@ -164,30 +736,12 @@ class SearchService {
         return [];
       }
 
-      // Get popular searches
-      const popularSearches = this.searchAlgorithm.getPopularSearches(5);
-
-      // Get product-based suggestions
       const products = await this.getProductsForSearch({ query });
-      const productSuggestions = this.searchAlgorithm.getSuggestions(
-        query,
-        products
-      );
-
-      // Combine and deduplicate
-      const allSuggestions = [
-        ...popularSearches
-          .filter((item) =>
-            item.query.toLowerCase().includes(query.toLowerCase())
-          )
-          .map((item) => item.query),
-        ...productSuggestions,
-      ];
 
-      // Remove duplicates and limit
-      const uniqueSuggestions = [...new Set(allSuggestions)];
-
-      return uniqueSuggestions.slice(0, limit);
+      return this.searchAlgorithm.getSuggestions(query, products, {
+        trie: this.getSuggestionTrie(products),
+        limit,
+      });
     } catch (error) {
       logger.error("Search suggestions failed", {
         error: error.message,
@@ -197,13 +751,41 @@ class SearchService {
     }
   }
 
+  /**
+   * Get the catalog suggestion trie, rebuilding it when the index changes
+   * @param {Array} products - Indexed products
+   * @returns {PrefixTrie} Suggestion trie
+   */
+  getSuggestionTrie(products) {
+    const indexVersion = searchIndexService.getStats().version;
+
+    if (!this.suggestionTrie || this.suggestionTrieVersion !== indexVersion) {
+      this.suggestionTrie = this.searchAlgorithm.buildSuggestionTrie(products);
+      this.suggestionTrieVersion = indexVersion;
+    }
+
+    return this.suggestionTrie;
+  }
+
   /**
    * Get popular search terms
    * @param {Number} limit - Number of popular terms to return
    * @returns {Array} Popular search terms
    */
-  getPopularSearches(limit = 10) {
-    return this.searchAlgorithm.getPopularSearches(limit);
+  async getPopularSearches(limit = 10) {
+    // Persisted analytics are shared across instances; fall back to this
+    // instance's in-memory counts when the database is unavailable
+    const popular = await searchAnalyticsService.getPopularQueries(limit);
+    return popular || this.searchAlgorithm.getPopularSearches(limit);
+  }
+
+
+  /**
+   * Get search index statistics
+   * @returns {Object} Index statistics
+   */
+  getIndexStats() {
+    return searchIndexService.getStats();
   }
 
   /**
@@ -220,15 +802,7 @@ class SearchService {
       return {
         categories: categoriesResult.success ? categoriesResult.data : [],
         brands: brandsResult.success ? brandsResult.data : [],
-        priceRanges: [
-          { label: "₹0 - ₹500", min: 0, max: 500 },
-          { label: "₹500 - ₹5000", min: 500, max: 5000 },
-          { label: "₹5000 - ₹10,000", min: 5000, max: 10000 },
-          { label: "₹10,000 - ₹20,000", min: 10000, max: 20000 },
-          { label: "₹20,000 - ₹40,000", min: 20000, max: 40000 },
-          { label: "₹40,000 - ₹70,000", min: 40000, max: 70000 },
-          { label: "Over ₹70,000", min: 70000, max: 9999999 },
-        ],
+        priceRanges: PRICE_RANGES,
       };
     } catch (error) {
       logger.error("Failed to get search filters", { error: error.message });
@@ -306,7 +880,8 @@ class SearchService {
    * @returns {Object} Extracted filters
    */
   extractFilters(searchParams) {
-    const { brand, category, minPrice, maxPrice, inStock } = searchParams;
+    const { brand, category, minPrice, maxPrice, inStock, specFilters } =
+      searchParams;
 
     return {
       brand: brand || null,
@@ -314,6 +889,7 @@ class SearchService {
       minPrice: minPrice || 0,
       maxPrice: maxPrice || null,
       inStock: inStock || false,
+      specifications: specFilters || [],
     };
   }
 
@@ -322,22 +898,62 @@ class SearchService {
   // ===============================
 
   /**
-   * Generate cache key from search parameters
+   * Query, filters and sort a search cursor is valid for
    * @param {Object} searchParams - Search parameters
-   * @returns {String} Cache key
+   * @returns {Object} Cursor scope
    */
-  generateCacheKey(searchParams) {
-    const keyData = {
+  getCursorScope(searchParams) {
+    return {
       query: searchParams.query || "",
       brand: searchParams.brand || "",
       category: searchParams.category || "",
       minPrice: searchParams.minPrice || 0,
       maxPrice: searchParams.maxPrice || "",
       inStock: searchParams.inStock || false,
-      sortBy: searchParams.sortBy || "relevance",
-      sortOrder: searchParams.sortOrder || "desc",
+      sort: serializeSort(searchParams.sort || parseSort(searchParams)),
+      spec: serializeSpecFilters(searchParams.specFilters),
+      ...(searchParams.stores && {
+        stores: searchParams.stores.map((store) => store.id),
+      }),
+    };
+  }
+
+  /**
+   * Cursor for the page after a search result, positioned on its last item
+   * @param {Object} searchParams - Search parameters
+   * @param {Object} searchResult - Search result
+   * @returns {String|null} Cursor, or null on the last page
+   */
+  getNextCursor(searchParams, searchResult) {
+    const last = searchResult.results[searchResult.results.length - 1];
+    if (!searchResult.metadata.hasNext || !last) return null;
+
+    const sortKeys = searchParams.sort || parseSort(searchParams);
+    return encodeCursor(
+      this.getCursorScope(searchParams),
+      getSortPosition(sortKeys, last, last._searchScore)
+    );
+  }
+
+  /**
+   * Generate cache key from search parameters
+   * @param {Object} searchParams - Search parameters
+   * @returns {String} Cache key
+   */
+  generateCacheKey(searchParams) {
+    const { cursor } = searchParams;
+    const keyData = {
+      ...this.getCursorScope(searchParams),
       limit: searchParams.limit || 50,
-      offset: searchParams.offset || 0,
+      offset: cursor ? null : searchParams.offset || 0,
+      cursor: cursor ? [cursor.values, cursor.id] : null,
+      explain: !!searchParams.explain,
+      mode: this.getSearchMode(),
+      autocorrect: this.shouldAutocorrect(searchParams),
+      // Results report each store's distance from the requested location
+      ...(searchParams.stores && {
+        distances: searchParams.stores.map((store) => store.distance_km),
+      }),
     };
 
     return Buffer.from(JSON.stringify(keyData)).toString("base64");
@@ -348,81 +964,142 @@ class SearchService {
    * @param {String} key - Cache key
    * @returns {Object|null} Cached result
    */
-  getFromCache(key) {
-    const cached = this.searchCache.get(key);
+  async getFromCache(key) {
+    return await this.cache.get(key);
+  }
 
-    if (!cached) {
-      return null;
+  /**
+   * Set result in cache
+   * Empty results expire sooner so newly added stock shows up quickly
+   * @param {String} key - Cache key
+   * @param {Object} data - Data to cache
+   * @param {Object} options - Cache options
+   * @param {Array<String>} options.tags - Tags from getCacheTags()
+   * @param {Number} options.indexVersion - Index version the result was
+   *   computed from; stale results are not cached, since the write that
+   *   changed the index may already have invalidated the cache
+   */
+  async setCache(key, data, options = {}) {
+    if (
+      options.indexVersion !== undefined &&
+      options.indexVersion !== searchIndexService.getStats().version
+    ) {
+      logger.debug("Search index changed during search, result not cached");
+      return;
     }
 
-    // Check if cache has expired
-    if (Date.now() > cached.expiry) {
-      this.searchCache.delete(key);
-      return null;
-    }
+    const ttlMs =
+      data.metadata.total === 0 ? EMPTY_RESULT_TTL_MS : this.cacheExpiry;
 
-    return cached.data;
+    await this.cache.set(key, data, { ttlMs, tags: options.tags });
   }
 
   /**
-   * Set result in cache
-   * @param {String} key - Cache key
-   * @param {Object} data - Data to cache
+   * Get invalidation tags for a search result
+   * Scope tags record which writes could add a product to the result;
+   * product, brand and category tags record what the result contains
+   * @param {Object} searchParams - Search parameters
+   * @param {Array} matchedProducts - Full matched set
+   * @returns {Array<String>} Cache tags
    */
-  setCache(key, data) {
-    // Clean old entries if cache is getting too large
-    if (this.searchCache.size > 100) {
-      this.clearExpiredCache();
+  getCacheTags(searchParams, matchedProducts = []) {
+    const brand = searchParams.brand || "*";
+    const category = searchParams.category || "*";
+    const tags = [
+      `scope:${brand}:${category}`,
+      `scope-brand:${brand}`,
+      `scope-category:${category}`,
+    ];
+
+    if (
+      searchParams.minPrice > 0 ||
+      typeof searchParams.maxPrice === "number" ||
+      searchParams.parsedQuery?.clauses.some(
+        (clause) => clause.type === "range"
+      )
+    ) {
+      tags.push(`scope-price:${brand}:${category}`);
+    }
+    if (searchParams.inStock) {
+      tags.push(`scope-stock:${brand}:${category}`);
+    }
+    (searchParams.stores || []).forEach((store) =>
+      tags.push(`scope-store:${store.id}`)
+    );
+
+    if (matchedProducts.length > MAX_PRODUCT_TAGS) {
+      tags.push(BROAD_TAG);
+    } else {
+      matchedProducts.forEach((product) => tags.push(`product:${product.id}`));
     }
 
-    this.searchCache.set(key, {
-      data,
-      expiry: Date.now() + this.cacheExpiry,
+    const brandIds = new Set();
+    const categoryIds = new Set();
+    matchedProducts.forEach((product) => {
+      if (product.brand_id) brandIds.add(product.brand_id);
+      if (product.category_id) categoryIds.add(product.category_id);
     });
+    brandIds.forEach((id) => tags.push(`brand:${id}`));
+    categoryIds.forEach((id) => tags.push(`category:${id}`));
+
+    return tags;
   }
 
   /**
-   * Clear expired cache entries
+   * Get invalidation tags for recommendations computed from the index
+   * @param {Array} products - Products shown, including the one the
+   *   recommendations are for
+   * @param {Object} options - { catalogWide }: set when any product write can
+   *   change the result (similar products rank the whole catalog)
+   * @returns {Array<String>} Cache tags
    */
-  clearExpiredCache() {
-    const now = Date.now();
+  getRecommendationCacheTags(products, { catalogWide = false } = {}) {
+    const tags = new Set(catalogWide ? [BROAD_TAG] : []);
 
-    for (const [key, value] of this.searchCache.entries()) {
-      if (now > value.expiry) {
-        this.searchCache.delete(key);
-      }
-    }
+    products.forEach((product) => {
+      tags.add(`product:${product.id}`);
+      if (product.brand_id) tags.add(`brand:${product.brand_id}`);
+      if (product.category_id) tags.add(`category:${product.category_id}`);
+    });
+
+    return Array.from(tags);
   }
 
   /**
-   * Clear all cache
+   * Evict cached results carrying any of the given tags
+   * @param {Array<String>} tags - Cache tags
+   * @param {Object} context - Logged with the eviction
    */
-  clearCache() {
-    this.searchCache.clear();
-    logger.info("Search cache cleared");
+  async invalidateCache(tags, context = {}) {
+    const evicted = await this.cache.invalidateTags(tags);
+    logger.info("Search cache entries invalidated", {
+      ...context,
+      tags: tags.length,
+      evicted,
+    });
   }
 
   /**
-   * Get cache statistics
-   * @returns {Object} Cache statistics
+   * Clear all cache (on every instance when the backend is shared)
    */
-  getCacheStats() {
-    const totalEntries = this.searchCache.size;
-    let expiredEntries = 0;
-    const now = Date.now();
+  async clearCache() {
+    await this.cache.clear();
+    logger.info("Search cache cleared");
+  }
 
-    for (const [key, value] of this.searchCache.entries()) {
-      if (now > value.expiry) {
-        expiredEntries++;
-      }
-    }
+  /**
+   * Close the cache backend connection
+   */
+  async closeCache() {
+    await this.cache.close();
+  }
 
-    return {
-      totalEntries,
-      activeEntries: totalEntries - expiredEntries,
-      expiredEntries,
-      cacheExpiry: this.cacheExpiry,
-    };
+  /**
+   * Get cache statistics from the active backend
+   * @returns {Object} Cache statistics including hit/miss ratio
+   */
+  async getCacheStats() {
+    return await this.cache.getStats();
   }
 }
 
@@ -0,0 +1,171 @@
+const supabaseService = require("./supabaseService");
+const logger = require("../utils/logger");
+
+// Last activity is written at most this often per session
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// First match wins: Edge and Opera also identify as Chrome, Chrome as Safari,
+// and Android and iOS user agents mention Linux and Mac OS X
+const BROWSERS = [
+  ["Edg/", "Edge"],
+  ["OPR/", "Opera"],
+  ["Chrome/", "Chrome"],
+  ["Firefox/", "Firefox"],
+  ["Safari/", "Safari"],
+];
+const PLATFORMS = [
+  ["Android", "Android"],
+  ["iPhone", "iOS"],
+  ["iPad", "iOS"],
+  ["Windows", "Windows"],
+  ["Mac OS X", "macOS"],
+  ["Linux", "Linux"],
+];
+
+/**
+ * Describe the device of a user agent ("Chrome on Windows"); non-browser
+ * clients are named by their product token ("curl")
+ * @param {String} userAgent - User-Agent header
+ * @returns {String|null} Device description
+ */
+function describeDevice(userAgent) {
+  if (!userAgent) return null;
+
+  const find = (list) => list.find(([token]) => userAgent.includes(token));
+  const browser = find(BROWSERS);
+  const platform = find(PLATFORMS);
+
+  if (!browser) {
+    return userAgent.split(/[\s/]/)[0].slice(0, 100) || null;
+  }
+  return platform ? `${browser[1]} on ${platform[1]}` : browser[1];
+}
+
+/**
+ * Session Service
+ * Admin login sessions: one per login, recording the device, IP and last
+ * activity. Access and refresh tokens carry the session ID (`sid`), so
+ * revoking a session logs that device out.
+ */
+class SessionService {
+  /**
+   * Start a session for a login
+   * @param {Object} admin - Admin
+   * @param {Object} context - { ip, userAgent } of the login request
+   * @returns {Object} Session
+   */
+  async createSession(admin, { ip = null, userAgent = null } = {}) {
+    const result = await supabaseService.createAdminSession({
+      admin_id: admin.id,
+      device: describeDevice(userAgent),
+      ip_address: ip,
+      user_agent: userAgent,
+    });
+
+    return result.data;
+  }
+
+  /**
+   * Get a session if it can still be used
+   * @param {String} sessionId - Session ID
+   * @param {String} adminId - Admin the session must belong to
+   * @returns {Object|null} Session, or null when unknown, revoked or expired
+   */
+  async getActiveSession(sessionId, adminId) {
+    const result = await supabaseService.getAdminSessionById(sessionId);
+    const session = result.data;
+
+    if (!session || session.admin_id !== adminId || session.revoked_at) {
+      return null;
+    }
+    if (session.expires_at && new Date(session.expires_at) <= new Date()) {
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * Record activity on a session (throttled to TOUCH_INTERVAL_MS)
+   * @param {Object} session - Session
+   */
+  async touchSession(session) {
+    const lastActive = new Date(session.last_active_at || 0).getTime();
+    if (Date.now() - lastActive < TOUCH_INTERVAL_MS) return;
+
+    await supabaseService.updateAdminSession(session.id, {
+      last_active_at: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Extend a session to the expiry of its newest refresh token
+   * @param {String} sessionId - Session ID
+   * @param {Date} expiresAt - Refresh token expiry
+   */
+  async extendSession(sessionId, expiresAt) {
+    await supabaseService.updateAdminSession(sessionId, {
+      expires_at: expiresAt.toISOString(),
+      last_active_at: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * List the active sessions of an admin, most recently active first
+   * @param {String} adminId - Admin ID
+   * @param {String} currentSessionId - Session of the request, flagged as
+   *   current
+   * @returns {Array} Sessions
+   */
+  async listSessions(adminId, currentSessionId = null) {
+    const result = await supabaseService.getActiveAdminSessions(adminId);
+
+    return (result.data || []).map((session) => ({
+      id: session.id,
+      device: session.device,
+      ip_address: session.ip_address,
+      user_agent: session.user_agent,
+      created_at: session.created_at,
+      last_active_at: session.last_active_at,
+      expires_at: session.expires_at,
+      current: session.id === currentSessionId,
+    }));
+  }
+
+  /**
+   * Revoke one session of an admin
+   * @param {String} adminId - Admin the session must belong to
+   * @param {String} sessionId - Session ID
+   * @param {String} reason - Recorded revocation reason
+   * @returns {Boolean} Whether an active session was revoked
+   */
+  async revokeSession(adminId, sessionId, reason) {
+    const session = await this.getActiveSession(sessionId, adminId);
+    if (!session) return false;
+
+    await supabaseService.revokeAdminSessions({ id: sessionId }, reason);
+    logger.info("Admin session revoked", { adminId, sessionId, reason });
+
+    return true;
+  }
+
+  /**
+   * Revoke all sessions of an admin ("log out everywhere")
+   * @param {String} adminId - Admin ID
+   * @param {String} reason - Recorded revocation reason
+   * @param {Object} options - exceptSessionId: session to keep
+   * @returns {Number} Number of sessions revoked
+   */
+  async revokeAllSessions(adminId, reason, { exceptSessionId = null } = {}) {
+    const result = await supabaseService.revokeAdminSessions(
+      { adminId, exceptId: exceptSessionId },
+      reason
+    );
+    const revoked = (result.data || []).length;
+
+    logger.info("Admin sessions revoked", { adminId, revoked, reason });
+    return revoked;
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,104 @@
+const supabaseService = require("./supabaseService");
+const eventBus = require("./eventBus");
+const logger = require("../utils/logger");
+const { distanceKm } = require("../utils/storeAvailability");
+const { LOCAL_AVAILABILITY } = require("../config/search");
+const { CATALOG_EVENTS, SYSTEM_EVENTS } = require("../config/events");
+
+/**
+ * Store Service
+ * Keeps the list of active stores in memory and resolves the stores a
+ * search or listing is scoped to (store=<slug|id> or lat/lng)
+ */
+class StoreService {
+  constructor() {
+    this.cached = null; // { stores, expiresAt }
+
+    [
+      CATALOG_EVENTS.STORE_CREATED,
+      CATALOG_EVENTS.STORE_UPDATED,
+      CATALOG_EVENTS.STORE_DELETED,
+      SYSTEM_EVENTS.RELAY_RECONNECTED,
+    ].forEach((event) => {
+      eventBus.subscribe(event, () => {
+        this.cached = null;
+      });
+    });
+  }
+
+  /**
+   * Get active stores, reloaded periodically and after store writes
+   * @returns {Array} Stores with numeric coordinates
+   */
+  async getStores() {
+    if (this.cached && this.cached.expiresAt > Date.now()) {
+      return this.cached.stores;
+    }
+
+    const result = await supabaseService.getStores();
+    const stores = (result.data || []).map((store) => ({
+      ...store,
+      latitude: parseFloat(store.latitude),
+      longitude: parseFloat(store.longitude),
+    }));
+
+    this.cached = {
+      stores,
+      expiresAt: Date.now() + LOCAL_AVAILABILITY.storesRefreshMs,
+    };
+    logger.debug("Stores loaded", { stores: stores.length });
+
+    return stores;
+  }
+
+  /**
+   * Resolve the store scope of a request
+   * A store (slug or ID) takes precedence over a location; a location
+   * selects the stores within the radius, nearest first
+   * @param {Object} params - { store, lat, lng, radiusKm }
+   * @returns {Object} { success, data }: data is the scope as
+   *   [{ id, name, slug, city, distance_km }] (null without store or
+   *   location), or { success: false, message } for an unknown store
+   */
+  async resolveScope({ store, lat, lng, radiusKm } = {}) {
+    const hasLocation = Number.isFinite(lat) && Number.isFinite(lng);
+    if (!store && !hasLocation) return { success: true, data: null };
+
+    const stores = await this.getStores();
+    const withDistance = (entry) => ({
+      id: entry.id,
+      name: entry.name,
+      slug: entry.slug,
+      city: entry.city || null,
+      distance_km: hasLocation
+        ? Math.round(
+            distanceKm({ latitude: lat, longitude: lng }, entry) * 10
+          ) / 10
+        : null,
+    });
+
+    if (store) {
+      const found = stores.find(
+        (entry) => entry.id === store || entry.slug === store
+      );
+      return found
+        ? { success: true, data: [withDistance(found)] }
+        : { success: false, message: "Store not found" };
+    }
+
+    const radius = Math.min(
+      radiusKm || LOCAL_AVAILABILITY.defaultRadiusKm,
+      LOCAL_AVAILABILITY.maxRadiusKm
+    );
+
+    return {
+      success: true,
+      data: stores
+        .map(withDistance)
+        .filter((entry) => entry.distance_km <= radius)
+        .sort((a, b) => a.distance_km - b.distance_km),
+    };
+  }
+}
+
+module.exports = new StoreService();
@@ -1,5 +1,6 @@
 const { getSupabaseClient, getSupabaseAdmin } = require("../config/database");
 const logger = require("../utils/logger");
+const { buildKeysetFilter } = require("../utils/sortSpec");
 
 /**
  * Supabase Database Service
@@ -128,15 +129,21 @@ class SupabaseService {
       limit = 50,
       sortBy = "created_at",
       sortOrder = "desc",
+      order,
+      after,
+      peek = false,
     } = pagination;
 
-    const offset = (page - 1) * limit;
+    // Keyset pagination starts after the `after` position (one value per
+    // ordering column) instead of skipping rows
+    const offset = after ? 0 : (page - 1) * limit;
 
     return await this.executeOperation(async () => {
       let query = this.client.from("products").select(`
           *,
           brand:brands(*),
-          category:categories(*)
+          category:categories(*),
+          inventory:store_inventory(store_id, stock_quantity)
         `);
 
       // Apply filters
@@ -149,10 +156,16 @@ class SupabaseService {
         query = query.eq("is_bestseller", is_bestseller);
       if (in_stock) query = query.gt("stock_quantity", 0);
 
-      // Apply sorting and pagination
-      query = query
-        .order(sortBy, { ascending: sortOrder === "asc" })
-        .range(offset, offset + limit - 1);
+      // Apply sorting (multi-column when an order list is given) and pagination
+      const ordering = order || [
+        { column: sortBy, ascending: sortOrder === "asc" },
+      ];
+      if (after) query = query.or(buildKeysetFilter(ordering, after));
+      ordering.forEach(({ column, ascending }) => {
+        query = query.order(column, { ascending, nullsFirst: false });
+      });
+      // A peek fetches one extra row to tell whether another page follows
+      query = query.range(offset, offset + limit - (peek ? 0 : 1));
 
       return await query;
     }, "getProducts");
@@ -169,7 +182,8 @@ class SupabaseService {
           `
           *,
           brand:brands(*),
-          category:categories(*)
+          category:categories(*),
+          inventory:store_inventory(store_id, stock_quantity)
         `
         )
         .eq("id", id)
@@ -177,6 +191,25 @@ class SupabaseService {
     }, "getProductById");
   }
 
+  /**
+   * Get several products by ID (in no particular order)
+   */
+  async getProductsByIds(ids) {
+    return await this.executeOperation(async () => {
+      return await this.client
+        .from("products")
+        .select(
+          `
+          *,
+          brand:brands(*),
+          category:categories(*),
+          inventory:store_inventory(store_id, stock_quantity)
+        `
+        )
+        .in("id", ids);
+    }, "getProductsByIds");
+  }
+
   /**
    * Create new product
    */
@@ -225,29 +258,22 @@ class SupabaseService {
   }
 
   /**
-   * Search products using full-text search
+   * Search active products using Postgres full-text search
+   * (product_search_data, kept in sync by database triggers)
+   * @param {Array<String>} queries - Query and its synonym variants
+   * @param {Number} limit - Maximum number of matches
+   * @param {Array<String>} productIds - Only rank these products (all active
+   *   products when null)
+   * @returns {Object} Matches as { product_id, rank }, best first
    */
-  async searchProducts(query, filters = {}) {
+  async searchProductsFullText(queries, limit = 1000, productIds = null) {
     return await this.executeOperation(async () => {
-      let dbQuery = this.client.from("products").select(`
-          *,
-          brand:brands(*),
-          category:categories(*)
-        `);
-
-      // Full-text search
-      if (query) {
-        dbQuery = dbQuery.textSearch("fts", query);
-      }
-
-      // Apply filters
-      if (filters.brand_id) dbQuery = dbQuery.eq("brand_id", filters.brand_id);
-      if (filters.category_id)
-        dbQuery = dbQuery.eq("category_id", filters.category_id);
-      if (filters.status) dbQuery = dbQuery.eq("status", filters.status);
-
-      return await dbQuery.order("created_at", { ascending: false });
-    }, "searchProducts");
+      return await this.adminClient.rpc("search_products_fts", {
+        p_queries: queries,
+        p_limit: limit,
+        p_product_ids: productIds,
+      });
+    }, "searchProductsFullText");
   }
 
   // ===============================
@@ -400,6 +426,383 @@ class SupabaseService {
     }, "deleteBrand");
   }
 
+  // ===============================
+  // STORE OPERATIONS
+  // ===============================
+
+  /**
+   * Get all stores
+   */
+  async getStores(includeInactive = false) {
+    return await this.executeOperation(async () => {
+      let query = this.client.from("stores").select("*");
+
+      if (!includeInactive) {
+        query = query.eq("is_active", true);
+      }
+
+      return await query.order("name", { ascending: true });
+    }, "getStores");
+  }
+
+  /**
+   * Get store by ID
+   */
+  async getStoreById(id) {
+    return await this.executeOperation(async () => {
+      return await this.client.from("stores").select("*").eq("id", id).single();
+    }, "getStoreById");
+  }
+
+  /**
+   * Create store
+   */
+  async createStore(storeData) {
+    return await this.executeOperation(async () => {
+      if (!storeData.slug && storeData.name) {
+        storeData.slug = this.generateSlug(storeData.name);
+      }
+
+      storeData.created_at = new Date().toISOString();
+      storeData.updated_at = new Date().toISOString();
+
+      return await this.adminClient
+        .from("stores")
+        .insert([storeData])
+        .select()
+        .single();
+    }, "createStore");
+  }
+
+  /**
+   * Update store
+   */
+  async updateStore(id, updateData) {
+    return await this.executeOperation(async () => {
+      updateData.updated_at = new Date().toISOString();
+
+      return await this.adminClient
+        .from("stores")
+        .update(updateData)
+        .eq("id", id)
+        .select()
+        .single();
+    }, "updateStore");
+  }
+
+  /**
+   * Delete store (its inventory rows are removed with it)
+   */
+  async deleteStore(id) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient.from("stores").delete().eq("id", id);
+    }, "deleteStore");
+  }
+
+  /**
+   * Get the inventory of a store, with product names
+   */
+  async getStoreInventory(storeId) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient
+        .from("store_inventory")
+        .select("*, product:products(id, name, slug, status)")
+        .eq("store_id", storeId)
+        .order("updated_at", { ascending: false });
+    }, "getStoreInventory");
+  }
+
+  /**
+   * Get the inventory row of a product at a store
+   */
+  async getStoreInventoryItem(storeId, productId) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient
+        .from("store_inventory")
+        .select("*")
+        .eq("store_id", storeId)
+        .eq("product_id", productId)
+        .maybeSingle();
+    }, "getStoreInventoryItem");
+  }
+
+  /**
+   * Set the stock of a product at a store
+   */
+  async setStoreInventory(storeId, productId, stockQuantity) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient
+        .from("store_inventory")
+        .upsert(
+          {
+            store_id: storeId,
+            product_id: productId,
+            stock_quantity: stockQuantity,
+            updated_at: new Date().toISOString(),
+          },
+          { onConflict: "store_id,product_id" }
+        )
+        .select()
+        .single();
+    }, "setStoreInventory");
+  }
+
+  // ===============================
+  // SEARCH SYNONYM OPERATIONS
+  // ===============================
+
+  /**
+   * Get search synonyms
+   */
+  async getSynonyms({ activeOnly = false } = {}) {
+    return await this.executeOperation(async () => {
+      let query = this.adminClient.from("search_synonyms").select("*");
+
+      if (activeOnly) {
+        query = query.eq("is_active", true);
+      }
+
+      return await query.order("term", { ascending: true });
+    }, "getSynonyms");
+  }
+
+  /**
+   * Create search synonym
+   */
+  async createSynonym(synonymData) {
+    return await this.executeOperation(async () => {
+      synonymData.created_at = new Date().toISOString();
+      synonymData.updated_at = new Date().toISOString();
+
+      return await this.adminClient
+        .from("search_synonyms")
+        .insert([synonymData])
+        .select()
+        .single();
+    }, "createSynonym");
+  }
+
+  /**
+   * Update search synonym
+   */
+  async updateSynonym(id, updateData) {
+    return await this.executeOperation(async () => {
+      updateData.updated_at = new Date().toISOString();
+
+      return await this.adminClient
+        .from("search_synonyms")
+        .update(updateData)
+        .eq("id", id)
+        .select()
+        .single();
+    }, "updateSynonym");
+  }
+
+  /**
+   * Delete search synonym
+   */
+  async deleteSynonym(id) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient
+        .from("search_synonyms")
+        .delete()
+        .eq("id", id);
+    }, "deleteSynonym");
+  }
+
+  // ===============================
+  // SEARCH ANALYTICS OPERATIONS
+  // ===============================
+
+  /**
+   * Record search analytics entries
+   */
+  async recordSearchAnalytics(entries) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient.from("search_analytics").insert(entries);
+    }, "recordSearchAnalytics");
+  }
+
+  /**
+   * Get the most frequent search queries in a date range
+   */
+  async getTopSearchQueries({ from, to, limit }) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient.rpc("get_top_search_queries", {
+        p_from: from,
+        p_to: to,
+        p_limit: limit,
+      });
+    }, "getTopSearchQueries");
+  }
+
+  /**
+   * Get search queries that returned no results in a date range
+   */
+  async getZeroResultQueries({ from, to, limit }) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient.rpc("get_zero_result_queries", {
+        p_from: from,
+        p_to: to,
+        p_limit: limit,
+      });
+    }, "getZeroResultQueries");
+  }
+
+  /**
+   * Get search volume per time bucket in a date range
+   */
+  async getSearchTrends({ from, to, interval, query = null }) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient.rpc("get_search_trends", {
+        p_from: from,
+        p_to: to,
+        p_interval: interval,
+        p_query: query,
+      });
+    }, "getSearchTrends");
+  }
+
+  /**
+   * Find the normalized query and result IDs of a recorded search
+   */
+  async getSearchById(searchId) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient
+        .from("search_analytics")
+        .select("normalized_query, result_ids")
+        .eq("search_id", searchId)
+        .limit(1)
+        .maybeSingle();
+    }, "getSearchById");
+  }
+
+  /**
+   * Record a click or add-to-cart on a search result
+   * data is false when the search already recorded this event for the product
+   */
+  async recordSearchInteraction({ searchId, query, productId, event }) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient.rpc("record_search_interaction", {
+        p_search_id: searchId,
+        p_query: query,
+        p_product_id: productId,
+        p_event: event,
+      });
+    }, "recordSearchInteraction");
+  }
+
+  /**
+   * Get recorded result interactions for a normalized query
+   */
+  async getSearchClickStats(query) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient
+        .from("search_click_stats")
+        .select("product_id, clicks, add_to_carts")
+        .eq("normalized_query", query);
+    }, "getSearchClickStats");
+  }
+
+  // ===============================
+  // PRODUCT VIEW OPERATIONS
+  // ===============================
+
+  /**
+   * Record a product page view for an anonymized session
+   * data is false when the session had already viewed the product
+   */
+  async recordProductView(productId, sessionHash) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient.rpc("record_product_view", {
+        p_product_id: productId,
+        p_session_hash: sessionHash,
+      });
+    }, "recordProductView");
+  }
+
+  /**
+   * Get products viewed in the same sessions as a product
+   */
+  async getAlsoViewedProducts({ productId, since, limit }) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient.rpc("get_also_viewed_products", {
+        p_product_id: productId,
+        p_since: since,
+        p_limit: limit,
+      });
+    }, "getAlsoViewedProducts");
+  }
+
+  // ===============================
+  // SEARCH RELEVANCE PROFILE OPERATIONS
+  // ===============================
+
+  /**
+   * Get the active search relevance profile
+   */
+  async getActiveRelevanceProfile() {
+    return await this.executeOperation(async () => {
+      return await this.adminClient
+        .from("search_relevance_profiles")
+        .select("*")
+        .eq("is_active", true)
+        .maybeSingle();
+    }, "getActiveRelevanceProfile");
+  }
+
+  /**
+   * Get a search relevance profile by version
+   */
+  async getRelevanceProfile(version) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient
+        .from("search_relevance_profiles")
+        .select("*")
+        .eq("version", version)
+        .maybeSingle();
+    }, "getRelevanceProfile");
+  }
+
+  /**
+   * Get search relevance profile history, newest first
+   */
+  async getRelevanceProfiles(limit = 20) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient
+        .from("search_relevance_profiles")
+        .select("version, notes, is_active, created_by, created_at, activated_at")
+        .order("version", { ascending: false })
+        .limit(limit);
+    }, "getRelevanceProfiles");
+  }
+
+  /**
+   * Save a search relevance profile as a new active version
+   */
+  async createRelevanceProfile(settings, notes, createdBy) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient
+        .rpc("create_relevance_profile", {
+          p_settings: settings,
+          p_notes: notes || null,
+          p_created_by: createdBy,
+        })
+        .single();
+    }, "createRelevanceProfile");
+  }
+
+  /**
+   * Activate an existing search relevance profile version
+   */
+  async activateRelevanceProfile(version) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient
+        .rpc("activate_relevance_profile", { p_version: version })
+        .single();
+    }, "activateRelevanceProfile");
+  }
+
   // ===============================
   // ADMIN OPERATIONS
   // ===============================
@@ -500,6 +903,313 @@ class SupabaseService {
     }, "resetAdminLoginAttempts");
   }
 
+  // ===============================
+  // ADMIN SESSION OPERATIONS
+  // ===============================
+
+  /**
+   * Create admin session
+   */
+  async createAdminSession(sessionData) {
+    return await this.executeOperation(async () => {
+      const now = new Date().toISOString();
+
+      return await this.adminClient
+        .from("admin_sessions")
+        .insert([{ ...sessionData, last_active_at: now, created_at: now }])
+        .select()
+        .single();
+    }, "createAdminSession");
+  }
+
+  /**
+   * Get admin session by ID
+   */
+  async getAdminSessionById(id) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient
+        .from("admin_sessions")
+        .select("*")
+        .eq("id", id)
+        .maybeSingle();
+    }, "getAdminSessionById");
+  }
+
+  /**
+   * Get the active (unrevoked, unexpired) sessions of an admin, most
+   * recently active first
+   */
+  async getActiveAdminSessions(adminId) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient
+        .from("admin_sessions")
+        .select("*")
+        .eq("admin_id", adminId)
+        .is("revoked_at", null)
+        .gt("expires_at", new Date().toISOString())
+        .order("last_active_at", { ascending: false });
+    }, "getActiveAdminSessions");
+  }
+
+  /**
+   * Update admin session
+   */
+  async updateAdminSession(id, updateData) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient
+        .from("admin_sessions")
+        .update(updateData)
+        .eq("id", id);
+    }, "updateAdminSession");
+  }
+
+  /**
+   * Revoke admin sessions
+   * @param {Object} filter - { id } for one session, or { adminId,
+   *   exceptId } for all sessions of an admin but one
+   * @param {String} reason - Recorded revocation reason
+   * @returns {Object} Revoked sessions
+   */
+  async revokeAdminSessions({ id, adminId, exceptId }, reason) {
+    return await this.executeOperation(async () => {
+      let query = this.adminClient
+        .from("admin_sessions")
+        .update({
+          revoked_at: new Date().toISOString(),
+          revoked_reason: reason,
+        })
+        .is("revoked_at", null);
+
+      if (id) query = query.eq("id", id);
+      if (adminId) query = query.eq("admin_id", adminId);
+      if (exceptId) query = query.neq("id", exceptId);
+
+      return await query.select("id");
+    }, "revokeAdminSessions");
+  }
+
+  // ===============================
+  // REFRESH TOKEN OPERATIONS
+  // ===============================
+
+  /**
+   * Store a refresh token (hashed)
+   */
+  async createRefreshToken(tokenData) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient
+        .from("refresh_tokens")
+        .insert([{ ...tokenData, created_at: new Date().toISOString() }])
+        .select()
+        .single();
+    }, "createRefreshToken");
+  }
+
+  /**
+   * Get a refresh token by hash, with its session
+   */
+  async getRefreshTokenByHash(tokenHash) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient
+        .from("refresh_tokens")
+        .select("*, session:admin_sessions(*)")
+        .eq("token_hash", tokenHash)
+        .maybeSingle();
+    }, "getRefreshTokenByHash");
+  }
+
+  /**
+   * Mark a refresh token used by its replacement
+   * Only an unused token is updated, so of two concurrent refreshes with the
+   * same token only one gets the row back
+   */
+  async markRefreshTokenUsed(id) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient
+        .from("refresh_tokens")
+        .update({ used_at: new Date().toISOString() })
+        .eq("id", id)
+        .is("used_at", null)
+        .select()
+        .maybeSingle();
+    }, "markRefreshTokenUsed");
+  }
+
+  /**
+   * Link a used refresh token to its replacement
+   */
+  async setRefreshTokenReplacement(id, replacedBy) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient
+        .from("refresh_tokens")
+        .update({ replaced_by: replacedBy })
+        .eq("id", id);
+    }, "setRefreshTokenReplacement");
+  }
+
+  // ===============================
+  // TWO-FACTOR OPERATIONS
+  // ===============================
+
+  /**
+   * Record the TOTP time step of a login code
+   * Only a later step than the last one used is recorded, so a code cannot
+   * be used twice (no row comes back for a replayed code)
+   */
+  async claimTotpStep(adminId, step) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient
+        .from("admins")
+        .update({ totp_last_used_step: step })
+        .eq("id", adminId)
+        .or(`totp_last_used_step.is.null,totp_last_used_step.lt.${step}`)
+        .select("id")
+        .maybeSingle();
+    }, "claimTotpStep");
+  }
+
+  /**
+   * Replace the recovery codes of an admin
+   */
+  async replaceRecoveryCodes(adminId, codeHashes) {
+    return await this.executeOperation(async () => {
+      const { error } = await this.adminClient
+        .from("admin_recovery_codes")
+        .delete()
+        .eq("admin_id", adminId);
+      if (error) return { error };
+
+      if (codeHashes.length === 0) return { data: [] };
+
+      return await this.adminClient.from("admin_recovery_codes").insert(
+        codeHashes.map((codeHash) => ({
+          admin_id: adminId,
+          code_hash: codeHash,
+          created_at: new Date().toISOString(),
+        }))
+      );
+    }, "replaceRecoveryCodes");
+  }
+
+  /**
+   * Use a recovery code (only an unused code is returned)
+   */
+  async useRecoveryCode(adminId, codeHash) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient
+        .from("admin_recovery_codes")
+        .update({ used_at: new Date().toISOString() })
+        .eq("admin_id", adminId)
+        .eq("code_hash", codeHash)
+        .is("used_at", null)
+        .select("id")
+        .maybeSingle();
+    }, "useRecoveryCode");
+  }
+
+  /**
+   * Count the unused recovery codes of an admin
+   */
+  async countRecoveryCodes(adminId) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient
+        .from("admin_recovery_codes")
+        .select("id", { count: "exact", head: true })
+        .eq("admin_id", adminId)
+        .is("used_at", null);
+    }, "countRecoveryCodes");
+  }
+
+  // ===============================
+  // ACCOUNT TOKEN OPERATIONS
+  // ===============================
+
+  /**
+   * Store an account token (hashed)
+   */
+  async createAccountToken(tokenData) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient
+        .from("admin_account_tokens")
+        .insert([{ ...tokenData, created_at: new Date().toISOString() }])
+        .select()
+        .single();
+    }, "createAccountToken");
+  }
+
+  /**
+   * Void the unused account tokens of an admin for a purpose
+   */
+  async invalidateAccountTokens(adminId, purpose) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient
+        .from("admin_account_tokens")
+        .update({ used_at: new Date().toISOString() })
+        .eq("admin_id", adminId)
+        .eq("purpose", purpose)
+        .is("used_at", null);
+    }, "invalidateAccountTokens");
+  }
+
+  /**
+   * Use an account token
+   * Only an unused, unexpired token is updated, so a token works once (no
+   * row comes back otherwise)
+   */
+  async consumeAccountToken(tokenHash, purpose) {
+    return await this.executeOperation(async () => {
+      const now = new Date().toISOString();
+
+      return await this.adminClient
+        .from("admin_account_tokens")
+        .update({ used_at: now })
+        .eq("token_hash", tokenHash)
+        .eq("purpose", purpose)
+        .is("used_at", null)
+        .gt("expires_at", now)
+        .select()
+        .maybeSingle();
+    }, "consumeAccountToken");
+  }
+
+  // ===============================
+  // APP SETTINGS OPERATIONS
+  // ===============================
+
+  /**
+   * Get an application setting
+   */
+  async getSetting(key) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient
+        .from("app_settings")
+        .select("*")
+        .eq("key", key)
+        .maybeSingle();
+    }, "getSetting");
+  }
+
+  /**
+   * Save an application setting
+   */
+  async saveSetting(key, value, adminId = null) {
+    return await this.executeOperation(async () => {
+      return await this.adminClient
+        .from("app_settings")
+        .upsert(
+          {
+            key,
+            value,
+            updated_by: adminId,
+            updated_at: new Date().toISOString(),
+          },
+          { onConflict: "key" }
+        )
+        .select()
+        .single();
+    }, "saveSetting");
+  }
+
   // ===============================
   // UTILITY METHODS
   // ===============================
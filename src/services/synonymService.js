@@ -0,0 +1,281 @@
+const supabaseService = require("./supabaseService");
+const logger = require("../utils/logger");
+
+// Spelled-out numbers, so "iphone fifteen" finds "iPhone 15"
+const NUMBER_WORDS = {
+  one: "1",
+  two: "2",
+  three: "3",
+  four: "4",
+  five: "5",
+  six: "6",
+  seven: "7",
+  eight: "8",
+  nine: "9",
+  ten: "10",
+  eleven: "11",
+  twelve: "12",
+  thirteen: "13",
+  fourteen: "14",
+  fifteen: "15",
+  sixteen: "16",
+  seventeen: "17",
+  eighteen: "18",
+  nineteen: "19",
+  twenty: "20",
+};
+
+// Dictionary changes made through other instances are picked up this often;
+// after a failed load, searches also wait this long before retrying
+const POLL_INTERVAL_MS =
+  parseInt(process.env.SEARCH_CONFIG_POLL_MS) || 60 * 1000;
+
+const MAX_PHRASE_WORDS = 3;
+const MAX_VARIANTS = 8;
+const SYNONYM_WEIGHT = 0.9; // Matches through a synonym rank slightly below direct ones
+
+/**
+ * Synonym Service
+ * Loads the admin-managed synonym dictionary and expands search queries
+ *
+ * Synonym types:
+ *   two_way - term and synonyms are interchangeable ("mi" <-> "xiaomi")
+ *   one_way - term also searches its synonyms, not the reverse ("note" -> "galaxy note")
+ *   alias   - term is rewritten to its first synonym ("s24u" -> "s24 ultra")
+ *
+ * Admin changes reload the dictionary on the instance that handled them;
+ * other instances pick them up by polling (startPolling).
+ */
+class SynonymService {
+  constructor() {
+    this.rules = new Map(); // normalized term -> [{ type, replacements }]
+    this.signature = null; // serialized active entries, to detect changes
+    this.loaded = false;
+    this.loadPromise = null;
+    this.failedAt = null;
+    this.listeners = [];
+    this.pollTimer = null;
+  }
+
+  /**
+   * Register a listener called whenever the loaded dictionary changes
+   * @param {Function} listener - () => void
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Normalize a term or query for dictionary lookups
+   */
+  normalize(text) {
+    return String(text || "")
+      .toLowerCase()
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  /**
+   * Load active synonyms from the database into memory, notifying listeners
+   * when they differ from the loaded ones
+   * @returns {Number} Number of loaded rules
+   */
+  async load() {
+    let result;
+    try {
+      result = await supabaseService.getSynonyms({ activeOnly: true });
+      if (!result.success) {
+        throw new Error("Failed to load search synonyms");
+      }
+    } catch (error) {
+      this.failedAt = Date.now();
+      throw error;
+    }
+    this.failedAt = null;
+
+    const signature = JSON.stringify(
+      (result.data || []).map(({ id, term, synonyms, type }) => [
+        id,
+        term,
+        synonyms,
+        type,
+      ])
+    );
+    if (this.loaded && signature === this.signature) return this.rules.size;
+
+    const rules = new Map();
+    const addRule = (term, type, replacements) => {
+      const key = this.normalize(term);
+      const values = replacements
+        .map((value) => this.normalize(value))
+        .filter((value) => value && value !== key);
+      if (!key || values.length === 0) return;
+
+      if (!rules.has(key)) rules.set(key, []);
+      rules.get(key).push({ type, replacements: values });
+    };
+
+    (result.data || []).forEach((entry) => {
+      const synonyms = entry.synonyms || [];
+
+      if (entry.type === "two_way") {
+        // Every member of the group expands to all the others
+        const group = [entry.term, ...synonyms];
+        group.forEach((member) => addRule(member, "two_way", group));
+      } else {
+        addRule(entry.term, entry.type, synonyms);
+      }
+    });
+
+    const changed = this.loaded;
+    this.rules = rules;
+    this.signature = signature;
+    this.loaded = true;
+
+    logger.info("Search synonyms loaded", { rules: rules.size });
+
+    if (changed) {
+      this.listeners.forEach((listener) => {
+        try {
+          listener();
+        } catch (error) {
+          logger.error("Synonym listener failed", { error: error.message });
+        }
+      });
+    }
+
+    return rules.size;
+  }
+
+  /**
+   * Poll for dictionary changes made on other instances
+   */
+  startPolling(intervalMs = POLL_INTERVAL_MS) {
+    if (this.pollTimer) return;
+
+    this.pollTimer = setInterval(() => {
+      this.load().catch((error) => {
+        logger.warn("Search synonyms poll failed", { error: error.message });
+      });
+    }, intervalMs);
+    this.pollTimer.unref();
+  }
+
+  /**
+   * Stop polling for dictionary changes
+   */
+  stopPolling() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Load the dictionary once; search keeps working without synonyms on
+   * failure, and does not retry until POLL_INTERVAL_MS has passed
+   */
+  async ensureLoaded() {
+    if (this.loaded) return;
+    if (this.failedAt && Date.now() - this.failedAt < POLL_INTERVAL_MS) return;
+
+    if (!this.loadPromise) {
+      this.loadPromise = this.load()
+        .catch((error) => {
+          logger.warn("Search synonyms unavailable", { error: error.message });
+        })
+        .finally(() => {
+          this.loadPromise = null;
+        });
+    }
+
+    await this.loadPromise;
+  }
+
+  /**
+   * Find the rules that apply to a phrase
+   */
+  getRules(phrase) {
+    const rules = [...(this.rules.get(phrase) || [])];
+
+    if (NUMBER_WORDS[phrase]) {
+      rules.push({ type: "alias", replacements: [NUMBER_WORDS[phrase]] });
+    }
+
+    return rules;
+  }
+
+  /**
+   * Expand a query into weighted variants using the synonym dictionary
+   * The original query is always the first variant
+   * @param {String} query - Search query
+   * @returns {Array} Variants as { query, weight, source }
+   */
+  expandQuery(query) {
+    const normalized = this.normalize(query);
+    const variants = new Map([
+      [normalized, { query: normalized, weight: 1, source: "original" }],
+    ]);
+
+    if (!normalized) return Array.from(variants.values());
+
+    const words = normalized.split(" ");
+    const canonicalWords = [...words]; // original query with every alias applied
+    let hasAlias = false;
+
+    const addVariant = (text, weight, source) => {
+      const existing = variants.get(text);
+      if (!existing || existing.weight < weight) {
+        variants.set(text, { query: text, weight, source });
+      }
+    };
+
+    // Try every phrase of up to MAX_PHRASE_WORDS words
+    for (let start = 0; start < words.length; start++) {
+      for (
+        let length = Math.min(MAX_PHRASE_WORDS, words.length - start);
+        length >= 1;
+        length--
+      ) {
+        const phrase = words.slice(start, start + length).join(" ");
+
+        this.getRules(phrase).forEach((rule) => {
+          const before = words.slice(0, start).join(" ");
+          const after = words.slice(start + length).join(" ");
+          const weight = rule.type === "alias" ? 1 : SYNONYM_WEIGHT;
+
+          rule.replacements.forEach((replacement) => {
+            addVariant(
+              [before, replacement, after].filter(Boolean).join(" "),
+              weight,
+              `${rule.type}:${phrase}`
+            );
+          });
+
+          if (rule.type === "alias" && length === 1) {
+            canonicalWords[start] = rule.replacements[0];
+            hasAlias = true;
+          }
+        });
+      }
+    }
+
+    if (hasAlias) {
+      addVariant(canonicalWords.join(" "), 1, "alias");
+    }
+
+    return Array.from(variants.values()).slice(0, MAX_VARIANTS);
+  }
+
+  /**
+   * Get dictionary statistics
+   */
+  getStats() {
+    return {
+      loaded: this.loaded,
+      terms: this.rules.size,
+    };
+  }
+}
+
+module.exports = new SynonymService();
@@ -0,0 +1,133 @@
+const authConfig = require("../config/auth");
+const supabaseService = require("./supabaseService");
+const sessionService = require("./sessionService");
+const logger = require("../utils/logger");
+
+/**
+ * Token Service
+ * Issues admin token pairs and rotates refresh tokens
+ *
+ * Refresh tokens are stored hashed in refresh_tokens, under the session of
+ * the login they were issued for (the `sid` claim of both tokens). Every
+ * refresh marks the presented token used and issues a replacement in the
+ * same session; presenting a used token again means a copy leaked, so the
+ * session is revoked and both holders have to log in again.
+ */
+class TokenService {
+  /**
+   * Start a session for a login and issue its first token pair
+   * @param {Object} admin - Admin
+   * @param {Object} context - { ip, userAgent } of the login request
+   * @returns {Object} { tokens, session }
+   */
+  async startSession(admin, context = {}) {
+    const session = await sessionService.createSession(admin, context);
+    const { tokens } = await this.issueTokens(admin, session.id);
+
+    return { tokens, session };
+  }
+
+  /**
+   * Issue a token pair for a session and store its refresh token
+   * @param {Object} admin - Admin
+   * @param {String} sessionId - Session ID
+   * @returns {Object} { tokens, record }: the token pair and the stored
+   *   refresh token row
+   */
+  async issueTokens(admin, sessionId) {
+    const tokens = authConfig.generateTokenPair(admin, { sessionId });
+    const { exp } = authConfig.verifyRefreshToken(tokens.refreshToken);
+    const expiresAt = new Date(exp * 1000);
+
+    const result = await supabaseService.createRefreshToken({
+      admin_id: admin.id,
+      session_id: sessionId,
+      token_hash: authConfig.hashToken(tokens.refreshToken),
+      expires_at: expiresAt.toISOString(),
+    });
+    await sessionService.extendSession(sessionId, expiresAt);
+
+    return { tokens, record: result.data };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * @param {String} refreshToken - Refresh token presented by the client
+   * @returns {Object} { success, data: { admin, tokens } }, or
+   *   { success: false, message } when the token is unknown or reused, its
+   *   session was revoked, the password changed since it was issued, or the
+   *   account is no longer active
+   * @throws {Error} When the token fails JWT verification
+   */
+  async rotateRefreshToken(refreshToken) {
+    const decoded = authConfig.verifyRefreshToken(refreshToken);
+    const stored = await supabaseService.getRefreshTokenByHash(
+      authConfig.hashToken(refreshToken)
+    );
+    const record = stored.data;
+
+    if (
+      !record ||
+      record.admin_id !== decoded.id ||
+      !record.session ||
+      record.session.revoked_at
+    ) {
+      return { success: false, message: "Invalid refresh token" };
+    }
+
+    if (record.used_at) {
+      return await this.handleReuse(record);
+    }
+
+    const adminResult = await supabaseService.getAdminById(record.admin_id);
+    const admin = adminResult.data;
+
+    if (!admin || !admin.is_active) {
+      await sessionService.revokeSession(
+        record.admin_id,
+        record.session_id,
+        "account_deactivated"
+      );
+      return { success: false, message: "Account has been deactivated" };
+    }
+
+    if (!authConfig.isPasswordVersionCurrent(decoded, admin)) {
+      return { success: false, message: "Invalid refresh token" };
+    }
+
+    // Lost a race with another refresh of the same token
+    const claimed = await supabaseService.markRefreshTokenUsed(record.id);
+    if (!claimed.data) {
+      return await this.handleReuse(record);
+    }
+
+    const issued = await this.issueTokens(admin, record.session_id);
+    await supabaseService.setRefreshTokenReplacement(
+      record.id,
+      issued.record.id
+    );
+
+    return { success: true, data: { admin, tokens: issued.tokens } };
+  }
+
+  /**
+   * Revoke the session of a refresh token that was presented after rotation
+   * @param {Object} record - Stored refresh token
+   * @returns {Object} { success: false, message }
+   */
+  async handleReuse(record) {
+    logger.warn("Refresh token reuse detected, revoking session", {
+      adminId: record.admin_id,
+      sessionId: record.session_id,
+    });
+
+    await sessionService.revokeSession(
+      record.admin_id,
+      record.session_id,
+      "reuse_detected"
+    );
+    return { success: false, message: "Invalid refresh token" };
+  }
+}
+
+module.exports = new TokenService();
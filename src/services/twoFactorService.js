@@ -0,0 +1,305 @@
+const crypto = require("crypto");
+const authConfig = require("../config/auth");
+const supabaseService = require("./supabaseService");
+const totp = require("../utils/totp");
+const logger = require("../utils/logger");
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Setting holding { required }: whether ENFORCED_ROLES must use two-factor
+const POLICY_KEY = "two_factor_policy";
+const POLICY_REFRESH_MS = 60 * 1000;
+const ENFORCED_ROLES = ["admin", "super_admin"];
+
+/**
+ * Generate a recovery code ("abcde-fghij", 50 random bits)
+ */
+function generateRecoveryCode() {
+  const raw = totp.encodeBase32(crypto.randomBytes(7)).slice(0, 10);
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`.toLowerCase();
+}
+
+/**
+ * Hash a recovery code as entered (case, spaces and dashes are ignored)
+ */
+function hashRecoveryCode(code) {
+  const normalized = String(code || "")
+    .toLowerCase()
+    .replace(/[\s-]/g, "");
+  return authConfig.hashToken(normalized);
+}
+
+/**
+ * Two-Factor Service
+ * TOTP (authenticator app) two-factor authentication for admins: enrollment
+ * with a provisioning URI, code verification without replays, single-use
+ * recovery codes, and the super admin policy requiring it for admin roles
+ *
+ * Secrets are stored encrypted (authConfig.encryptSecret) and only shown
+ * during setup; recovery codes are stored hashed and shown once.
+ */
+class TwoFactorService {
+  constructor() {
+    this.policy = null; // { required, expiresAt }
+  }
+
+  /**
+   * Get the two-factor policy
+   * @returns {Object} { required }
+   */
+  async getPolicy() {
+    if (this.policy && this.policy.expiresAt > Date.now()) {
+      return { required: this.policy.required };
+    }
+
+    const result = await supabaseService.getSetting(POLICY_KEY);
+    const required = result.data?.value?.required === true;
+    this.policy = { required, expiresAt: Date.now() + POLICY_REFRESH_MS };
+
+    return { required };
+  }
+
+  /**
+   * Set whether admin roles must use two-factor authentication
+   * Other instances pick the change up within POLICY_REFRESH_MS
+   * @param {Boolean} required - Require two-factor authentication
+   * @param {String} adminId - Super admin making the change
+   * @returns {Object} { required }
+   */
+  async setPolicy(required, adminId) {
+    await supabaseService.saveSetting(POLICY_KEY, { required }, adminId);
+    this.policy = { required, expiresAt: Date.now() + POLICY_REFRESH_MS };
+
+    logger.info("Two-factor policy updated", { required, adminId });
+    return { required };
+  }
+
+  /**
+   * Whether an admin's role must use two-factor authentication
+   * @param {Object} admin - Admin
+   * @returns {Boolean}
+   */
+  async isRequiredFor(admin) {
+    if (!ENFORCED_ROLES.includes(admin.role)) return false;
+    return (await this.getPolicy()).required;
+  }
+
+  /**
+   * Whether an admin has to set up two-factor authentication before using
+   * admin features
+   * @param {Object} admin - Admin
+   * @returns {Boolean}
+   */
+  async isSetupRequired(admin) {
+    return !admin.totp_enabled && (await this.isRequiredFor(admin));
+  }
+
+  /**
+   * Two-factor status of an admin
+   * @param {Object} admin - Admin
+   * @returns {Object} { enabled, enabled_at, recovery_codes_remaining,
+   *   required }
+   */
+  async getStatus(admin) {
+    const remaining = admin.totp_enabled
+      ? (await supabaseService.countRecoveryCodes(admin.id)).count || 0
+      : 0;
+
+    return {
+      enabled: !!admin.totp_enabled,
+      enabled_at: admin.totp_enabled_at || null,
+      recovery_codes_remaining: remaining,
+      required: await this.isRequiredFor(admin),
+    };
+  }
+
+  /**
+   * Start enrollment: generate and store a new (not yet enabled) secret
+   * @param {Object} admin - Admin
+   * @returns {Object} { success, data: { secret, otpauth_uri } } or
+   *   { success: false, message }
+   */
+  async beginSetup(admin) {
+    if (admin.totp_enabled) {
+      return {
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      };
+    }
+
+    const secret = totp.generateSecret();
+    await supabaseService.updateAdmin(admin.id, {
+      totp_secret: authConfig.encryptSecret(secret),
+      totp_last_used_step: null,
+    });
+
+    return {
+      success: true,
+      data: {
+        secret,
+        otpauth_uri: totp.buildProvisioningUri({
+          secret,
+          accountName: admin.email,
+          issuer: authConfig.totpIssuer,
+        }),
+      },
+    };
+  }
+
+  /**
+   * Finish enrollment with a code from the authenticator app
+   * @param {Object} admin - Admin
+   * @param {String} code - TOTP code
+   * @returns {Object} { success, data: { recovery_codes } } or
+   *   { success: false, message }
+   */
+  async enable(admin, code) {
+    if (admin.totp_enabled) {
+      return {
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      };
+    }
+    if (!admin.totp_secret) {
+      return {
+        success: false,
+        message: "Start two-factor setup before enabling it",
+      };
+    }
+    if (!(await this.verifyCode(admin, code))) {
+      return { success: false, message: "Invalid two-factor code" };
+    }
+
+    await supabaseService.updateAdmin(admin.id, {
+      totp_enabled: true,
+      totp_enabled_at: new Date().toISOString(),
+    });
+    const recoveryCodes = await this.replaceRecoveryCodes(admin);
+
+    logger.info("Two-factor authentication enabled", { adminId: admin.id });
+    return { success: true, data: { recovery_codes: recoveryCodes } };
+  }
+
+  /**
+   * Turn two-factor authentication off
+   * @param {Object} admin - Admin
+   * @param {String} code - TOTP code
+   * @returns {Object} { success } or { success: false, message }
+   */
+  async disable(admin, code) {
+    if (!admin.totp_enabled) {
+      return {
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      };
+    }
+    if (await this.isRequiredFor(admin)) {
+      return {
+        success: false,
+        message: "Two-factor authentication is required for your role",
+      };
+    }
+    if (!(await this.verifyCode(admin, code))) {
+      return { success: false, message: "Invalid two-factor code" };
+    }
+
+    await supabaseService.updateAdmin(admin.id, {
+      totp_enabled: false,
+      totp_enabled_at: null,
+      totp_secret: null,
+      totp_last_used_step: null,
+    });
+    await supabaseService.replaceRecoveryCodes(admin.id, []);
+
+    logger.info("Two-factor authentication disabled", { adminId: admin.id });
+    return { success: true };
+  }
+
+  /**
+   * Replace the recovery codes (the old ones stop working)
+   * @param {Object} admin - Admin with two-factor enabled
+   * @param {String} code - TOTP code
+   * @returns {Object} { success, data: { recovery_codes } } or
+   *   { success: false, message }
+   */
+  async regenerateRecoveryCodes(admin, code) {
+    if (!admin.totp_enabled) {
+      return {
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      };
+    }
+    if (!(await this.verifyCode(admin, code))) {
+      return { success: false, message: "Invalid two-factor code" };
+    }
+
+    const recoveryCodes = await this.replaceRecoveryCodes(admin);
+    return { success: true, data: { recovery_codes: recoveryCodes } };
+  }
+
+  /**
+   * Verify the second factor of a login: a TOTP code or a recovery code
+   * @param {Object} admin - Admin with two-factor enabled
+   * @param {Object} factor - { code } or { recoveryCode }
+   * @returns {String|null} Method used ("totp" or "recovery_code"), or null
+   *   when the code is wrong or was already used
+   */
+  async verifyLogin(admin, { code, recoveryCode }) {
+    if (recoveryCode) {
+      const used = await supabaseService.useRecoveryCode(
+        admin.id,
+        hashRecoveryCode(recoveryCode)
+      );
+      if (!used.data) return null;
+
+      logger.info("Recovery code used for login", { adminId: admin.id });
+      return "recovery_code";
+    }
+
+    return (await this.verifyCode(admin, code)) ? "totp" : null;
+  }
+
+  /**
+   * Verify a TOTP code against the admin's secret; a code is accepted once
+   * @param {Object} admin - Admin with a secret
+   * @param {String} code - TOTP code
+   * @returns {Boolean}
+   */
+  async verifyCode(admin, code) {
+    let secret;
+    try {
+      secret = authConfig.decryptSecret(admin.totp_secret);
+    } catch (error) {
+      logger.error("Two-factor secret could not be decrypted", {
+        adminId: admin.id,
+        error: error.message,
+      });
+      return false;
+    }
+
+    const step = totp.verifyCode(secret, code);
+    if (step === null) return false;
+
+    const claimed = await supabaseService.claimTotpStep(admin.id, step);
+    return !!claimed.data;
+  }
+
+  /**
+   * Generate and store a new set of recovery codes
+   * @param {Object} admin - Admin
+   * @returns {Array<String>} Recovery codes (shown once)
+   */
+  async replaceRecoveryCodes(admin) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+      generateRecoveryCode()
+    );
+    await supabaseService.replaceRecoveryCodes(
+      admin.id,
+      codes.map(hashRecoveryCode)
+    );
+
+    return codes;
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,89 @@
+const crypto = require("crypto");
+
+/**
+ * Pagination Cursors
+ * Opaque tokens for keyset pagination of product listing and search
+ *
+ * A cursor holds the sort values and ID of the last item a client received,
+ * plus a fingerprint of the query, filters and sort it was issued for. The
+ * next page starts strictly after that position, so products inserted or
+ * removed while a client scrolls never cause duplicates or skips.
+ */
+
+const CURSOR_VERSION = 1;
+const CURSOR_MISMATCH_MESSAGE =
+  "Cursor does not match the current query, filters or sort; start again without a cursor";
+
+/**
+ * Fingerprint the parameters a cursor is valid for
+ * @param {Object} scope - Query, filters and sort (JSON-serializable)
+ * @returns {String} Short hash
+ */
+function fingerprintScope(scope) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(scope))
+    .digest("base64url")
+    .slice(0, 16);
+}
+
+/**
+ * Encode a position as a cursor token
+ * @param {Object} scope - Query, filters and sort the cursor is valid for
+ * @param {Object} position - { values, id }: sort values and ID of the
+ *   last item returned
+ * @returns {String} Cursor token
+ */
+function encodeCursor(scope, position) {
+  const payload = {
+    v: CURSOR_VERSION,
+    f: fingerprintScope(scope),
+    s: position.values,
+    id: position.id,
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+/**
+ * Decode a cursor token
+ * @param {String} token - Cursor token
+ * @returns {Object|null} { fingerprint, values, id }, or null if malformed
+ */
+function decodeCursor(token) {
+  try {
+    const payload = JSON.parse(
+      Buffer.from(String(token), "base64url").toString("utf8")
+    );
+
+    if (
+      payload?.v !== CURSOR_VERSION ||
+      typeof payload.f !== "string" ||
+      !Array.isArray(payload.s) ||
+      payload.id === undefined ||
+      payload.id === null
+    ) {
+      return null;
+    }
+
+    return { fingerprint: payload.f, values: payload.s, id: payload.id };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check that a decoded cursor was issued for the given parameters
+ * @param {Object} cursor - Decoded cursor
+ * @param {Object} scope - Current query, filters and sort
+ */
+function cursorMatchesScope(cursor, scope) {
+  return cursor.fingerprint === fingerprintScope(scope);
+}
+
+module.exports = {
+  CURSOR_MISMATCH_MESSAGE,
+  encodeCursor,
+  decodeCursor,
+  cursorMatchesScope,
+};
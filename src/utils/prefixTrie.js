@@ -0,0 +1,193 @@
+/**
+ * Max-heap of { rank } items, used for best-first walks of the trie
+ */
+class RankHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (items[parent].rank >= items[index].rank) break;
+      [items[parent], items[index]] = [items[index], items[parent]];
+      index = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+
+    if (items.length > 0) {
+      items[0] = last;
+      let index = 0;
+
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let largest = index;
+
+        if (left < items.length && items[left].rank > items[largest].rank) {
+          largest = left;
+        }
+        if (right < items.length && items[right].rank > items[largest].rank) {
+          largest = right;
+        }
+        if (largest === index) break;
+
+        [items[largest], items[index]] = [items[index], items[largest]];
+        index = largest;
+      }
+    }
+
+    return top;
+  }
+}
+
+/**
+ * Prefix Trie
+ * Maps normalized terms to payloads for autocomplete lookups, with an
+ * edit-distance walk for typo-tolerant prefix matching
+ *
+ * Every payload has a rank (its weight by default) and every node keeps the
+ * highest rank below it, so lookups return the highest-ranked payloads first
+ * and truncating to maxResults never drops a heavier one.
+ */
+class PrefixTrie {
+  constructor() {
+    this.root = this.createNode();
+    this.size = 0;
+  }
+
+  createNode() {
+    return { children: new Map(), payloads: [], maxRank: -Infinity };
+  }
+
+  /**
+   * Insert a term with an associated payload
+   * @param {String} term - Normalized term
+   * @param {Object} payload - Data returned when the term matches
+   * @param {Number} rank - Order in which matches are returned, highest
+   *   first (defaults to payload.weight)
+   */
+  insert(term, payload, rank = payload.weight || 0) {
+    if (!term) return;
+
+    let node = this.root;
+    node.maxRank = Math.max(node.maxRank, rank);
+    for (const char of term) {
+      if (!node.children.has(char)) {
+        node.children.set(char, this.createNode());
+      }
+      node = node.children.get(char);
+      node.maxRank = Math.max(node.maxRank, rank);
+    }
+
+    node.payloads.push({ payload, rank });
+    this.size++;
+  }
+
+  /**
+   * Find payloads of all terms starting with the prefix
+   * @param {String} prefix - Normalized prefix
+   * @param {Number} maxResults - Maximum payloads to collect
+   * @returns {Array} Matching payloads with distance 0, highest rank first
+   */
+  findByPrefix(prefix, maxResults = 200) {
+    let node = this.root;
+    for (const char of prefix) {
+      node = node.children.get(char);
+      if (!node) return [];
+    }
+
+    return this.collect(node, maxResults).map((payload) => ({
+      payload,
+      distance: 0,
+    }));
+  }
+
+  /**
+   * Find payloads of terms whose prefix is within maxDistance edits of the query
+   * @param {String} prefix - Normalized prefix
+   * @param {Number} maxDistance - Maximum Levenshtein distance
+   * @param {Number} maxResults - Maximum payloads to collect
+   * @returns {Array} Matching payloads with their edit distance
+   */
+  findFuzzy(prefix, maxDistance = 1, maxResults = 200) {
+    const results = [];
+    const chars = Array.from(prefix);
+    const firstRow = chars.map((_, index) => index + 1);
+    firstRow.unshift(0);
+
+    // Walk the trie keeping one Levenshtein row per node, pruning branches
+    // whose best cell already exceeds maxDistance
+    const walk = (node, previousRow) => {
+      for (const [char, child] of node.children) {
+        if (results.length >= maxResults) return;
+
+        const row = [previousRow[0] + 1];
+        for (let i = 1; i <= chars.length; i++) {
+          const cost = chars[i - 1] === char ? 0 : 1;
+          row.push(
+            Math.min(row[i - 1] + 1, previousRow[i] + 1, previousRow[i - 1] + cost)
+          );
+        }
+
+        const distance = row[chars.length];
+        if (distance <= maxDistance) {
+          this.collect(child, maxResults - results.length).forEach((payload) =>
+            results.push({ payload, distance })
+          );
+          continue;
+        }
+
+        if (Math.min(...row) <= maxDistance) {
+          walk(child, row);
+        }
+      }
+    };
+
+    walk(this.root, firstRow);
+    return results;
+  }
+
+  /**
+   * Collect the highest-ranked payloads below a node (best-first)
+   * A node is only expanded once its best rank beats every payload already
+   * queued, so the walk stops after maxResults without visiting the rest of
+   * the subtree
+   */
+  collect(node, maxResults) {
+    const payloads = [];
+    const heap = new RankHeap();
+    heap.push({ node, rank: node.maxRank });
+
+    while (heap.size > 0 && payloads.length < maxResults) {
+      const item = heap.pop();
+
+      if (!item.node) {
+        payloads.push(item.payload);
+        continue;
+      }
+
+      item.node.payloads.forEach((entry) => heap.push(entry));
+      item.node.children.forEach((child) =>
+        heap.push({ node: child, rank: child.maxRank })
+      );
+    }
+
+    return payloads;
+  }
+}
+
+module.exports = PrefixTrie;
@@ -0,0 +1,210 @@
+const {
+  SPEC_SECTIONS,
+  SPEC_FIELDS,
+  normalizeSpecKey,
+  resolveSpecField,
+  parseSpecNumber,
+} = require("../config/specifications");
+
+/**
+ * Product Comparison
+ * Builds side-by-side comparison tables: one column per product, one row per
+ * price figure or specification, with specification rows aligned on schema
+ * fields (so "RAM" and "memory" share a row) and grouped by section
+ *
+ * Numeric specifications are converted to the field's base unit ("1 TB" and
+ * "1024GB" both become 1024 GB). Rows with a "better" direction list the
+ * products holding the best value; rows where every product is equal have
+ * no best.
+ */
+
+const PRICING_ROWS = [
+  { key: "price", label: "Price", better: "lower", display: "price_display" },
+  {
+    key: "discount_amount",
+    label: "Discount",
+    better: "higher",
+    currency: true,
+  },
+  {
+    key: "savings_percentage",
+    label: "Savings",
+    unit: "%",
+    better: "higher",
+  },
+];
+
+const OTHER_SECTION = { key: "other", label: "Other" };
+
+/**
+ * Format a number without trailing zeros (6.70 -> "6.7")
+ */
+function formatNumber(number) {
+  return String(Math.round(number * 100) / 100);
+}
+
+/**
+ * Turn an unknown specification key into a label ("water_resistance" ->
+ * "Water Resistance")
+ */
+function labelFromKey(key) {
+  return key
+    .split("_")
+    .filter(Boolean)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+}
+
+/**
+ * Collect a product's specifications by row key
+ * Known keys and aliases resolve to their schema field; the first non-empty
+ * value of a field wins
+ * @param {Object} product - Product with specifications
+ * @returns {Map} Row key -> raw value
+ */
+function collectSpecifications(product) {
+  const specs = new Map();
+  const specifications = product.specifications;
+  if (!specifications || typeof specifications !== "object") return specs;
+
+  Object.entries(specifications).forEach(([key, value]) => {
+    if (value === null || value === undefined || value === "") return;
+    if (typeof value === "object") return;
+
+    const rowKey = resolveSpecField(key) || normalizeSpecKey(key);
+    if (!specs.has(rowKey)) specs.set(rowKey, value);
+  });
+
+  return specs;
+}
+
+/**
+ * Build a comparison cell for a specification value
+ * @param {*} value - Raw value
+ * @param {Object|undefined} field - Schema field (undefined for unknown keys)
+ * @returns {Object} { value, display }
+ */
+function buildSpecCell(value, field) {
+  if (field?.type === "number") {
+    const number = parseSpecNumber(value, field);
+    if (number !== null) {
+      return {
+        value: number,
+        display: `${formatNumber(number)} ${field.unit}`,
+      };
+    }
+  }
+
+  return { value: String(value), display: String(value) };
+}
+
+/**
+ * Find the products holding the best value of a row
+ * @param {Array} cells - Cells in product order (null when missing)
+ * @param {Array} products - Products in column order
+ * @param {String} better - "higher" or "lower"
+ * @returns {Array<String>} Product IDs (empty when not comparable or all equal)
+ */
+function findBest(cells, products, better) {
+  if (!better) return [];
+
+  const numbers = cells.map((cell) =>
+    typeof cell?.value === "number" ? cell.value : null
+  );
+  const present = numbers.filter((number) => number !== null);
+  if (present.length < 2) return [];
+
+  const best =
+    better === "lower" ? Math.min(...present) : Math.max(...present);
+  if (present.every((number) => number === best)) return [];
+
+  return products
+    .filter((product, index) => numbers[index] === best)
+    .map((product) => product.id);
+}
+
+/**
+ * Format a pricing value like productService.formatPrice for currencies
+ */
+function formatPricingValue(number, row) {
+  if (row.currency) return `$${number.toFixed(2)}`;
+  return `${formatNumber(number)}${row.unit || ""}`;
+}
+
+/**
+ * Build the pricing rows from display-processed products
+ */
+function buildPricingRows(products) {
+  return PRICING_ROWS.map((row) => {
+    const cells = products.map((product) => {
+      const number = parseFloat(product[row.key]);
+      if (!Number.isFinite(number)) return null;
+
+      return {
+        value: number,
+        display: row.display
+          ? product[row.display]
+          : formatPricingValue(number, row),
+      };
+    });
+
+    return {
+      key: row.key,
+      label: row.label,
+      unit: row.unit || null,
+      values: cells,
+      best: findBest(cells, products, row.better),
+    };
+  });
+}
+
+/**
+ * Build a comparison matrix
+ * @param {Array} products - Display-processed products, in column order
+ * @returns {Object} { products, sections }: sections are
+ *   { key, label, rows } and rows { key, label, unit, values, best }, with
+ *   values aligned to the products (null where a product lacks the row)
+ */
+function buildComparisonMatrix(products) {
+  const specsByProduct = products.map(collectSpecifications);
+  const rowKeys = new Set(specsByProduct.flatMap((specs) => [...specs.keys()]));
+
+  const sections = [...SPEC_SECTIONS, OTHER_SECTION].map((section) => {
+    const keys =
+      section === OTHER_SECTION
+        ? [...rowKeys].filter((key) => !SPEC_FIELDS[key]).sort()
+        : Object.keys(SPEC_FIELDS).filter(
+            (key) =>
+              SPEC_FIELDS[key].section === section.key && rowKeys.has(key)
+          );
+
+    const rows = keys.map((key) => {
+      const field = SPEC_FIELDS[key];
+      const cells = specsByProduct.map((specs) =>
+        specs.has(key) ? buildSpecCell(specs.get(key), field) : null
+      );
+
+      return {
+        key,
+        label: field ? field.label : labelFromKey(key),
+        unit: field?.unit || null,
+        values: cells,
+        best: findBest(cells, products, field?.better),
+      };
+    });
+
+    return { key: section.key, label: section.label, rows };
+  });
+
+  return {
+    products,
+    sections: [
+      { key: "pricing", label: "Pricing", rows: buildPricingRows(products) },
+      ...sections.filter((section) => section.rows.length > 0),
+    ],
+  };
+}
+
+module.exports = {
+  buildComparisonMatrix,
+};
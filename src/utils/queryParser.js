@@ -0,0 +1,295 @@
+const {
+  SPEC_FIELDS,
+  resolveSpecField,
+  parseSpecNumber,
+} = require("../config/specifications");
+const { foldText } = require("./textNormalizer");
+
+/**
+ * Search Query Parser
+ * Parses the advanced search syntax into clauses the search algorithm
+ * filters and ranks with:
+ *
+ *   galaxy "fast charging"     terms rank, quoted phrases must appear
+ *   -refurbished -"open box"   exclusions (terms, phrases or fields)
+ *   brand:samsung model:"S24"  field scopes (brand, category, model, name)
+ *   price:10000..30000         ranges (price, rating); open ends: price:..20000
+ *   ram:8GB..12GB network:5G   specifications, by schema field or alias
+ *
+ * Terms and phrases are matched as whole words, field scopes as substrings
+ * of the folded field, so `brand:sam` matches Samsung.
+ */
+
+// Fields matched as text against the product
+const TEXT_FIELDS = ["brand", "category", "model", "name"];
+
+// Numeric product columns that accept ranges
+const NUMERIC_FIELDS = { price: "price", rating: "average_rating" };
+
+const FIELD_PATTERN = /^([a-z_]+):/i;
+
+/**
+ * Parse error in the validation error format
+ */
+function parseError(message, value) {
+  return { field: "query", message, value };
+}
+
+/**
+ * Parse a plain number ("10000", "10,000", "4.5")
+ */
+function parseNumber(value) {
+  const number = Number(String(value).replace(/,/g, ""));
+  return value !== "" && Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Split a query into tokens: optional "-", optional "field:", then a quoted
+ * or whitespace-delimited value
+ * @param {String} input - Raw query
+ * @param {Array} errors - Collected parse errors
+ * @returns {Array} Tokens as { negated, field, value, quoted, raw, position }
+ */
+function scanTokens(input, errors) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < input.length) {
+    if (/\s/.test(input[index])) {
+      index++;
+      continue;
+    }
+
+    const start = index;
+    const negated = input[index] === "-";
+    if (negated) index++;
+
+    let field = null;
+    const fieldMatch = input.slice(index).match(FIELD_PATTERN);
+    if (fieldMatch) {
+      field = fieldMatch[1].toLowerCase();
+      index += fieldMatch[0].length;
+    }
+
+    let value;
+    const quoted = input[index] === '"';
+    if (quoted) {
+      const end = input.indexOf('"', index + 1);
+      if (end === -1) {
+        errors.push(
+          parseError(
+            `Unterminated quote at position ${index + 1}`,
+            input.slice(start)
+          )
+        );
+        value = input.slice(index + 1);
+        index = input.length;
+      } else {
+        value = input.slice(index + 1, end);
+        index = end + 1;
+      }
+    } else {
+      const end = input.slice(index).search(/\s/);
+      value = end === -1 ? input.slice(index) : input.slice(index, index + end);
+      index += value.length;
+    }
+
+    tokens.push({
+      negated,
+      field,
+      value: value.trim(),
+      quoted,
+      raw: input.slice(start, index),
+      position: start + 1,
+    });
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a range value ("10..20", "10..", "..20") or a single value
+ * @param {String} value - Raw value
+ * @param {Function} toNumber - Parses one bound, null when invalid
+ * @returns {Object|null} { min, max } (null bounds are open), or null
+ */
+function parseRange(value, toNumber) {
+  const bounds = value.split("..");
+  if (bounds.length > 2) return null;
+
+  if (bounds.length === 1) {
+    const number = toNumber(value);
+    return number === null ? null : { min: number, max: number };
+  }
+
+  const [low, high] = bounds.map((bound) => bound.trim());
+  if (!low && !high) return null;
+
+  const min = low ? toNumber(low) : null;
+  const max = high ? toNumber(high) : null;
+  if ((low && min === null) || (high && max === null)) return null;
+  if (min !== null && max !== null && min > max) return null;
+
+  return { min, max };
+}
+
+/**
+ * Build the specification filter for a scoped spec field (same shape as
+ * utils/specFilters, so matchesSpecFilters can evaluate it)
+ */
+function buildSpecFilter(fieldName, value) {
+  const field = SPEC_FIELDS[fieldName];
+  if (field.type !== "number") {
+    return value.includes("..")
+      ? null
+      : { field: fieldName, operator: "=", value };
+  }
+
+  const range = parseRange(value, (bound) => parseSpecNumber(bound, field));
+  if (!range) return null;
+
+  if (range.min !== null && range.min === range.max) {
+    return { field: fieldName, operator: "=", value, number: range.min };
+  }
+  if (range.min !== null && range.max !== null) {
+    return { field: fieldName, operator: "between", value, ...range };
+  }
+  return range.min !== null
+    ? { field: fieldName, operator: ">=", value, number: range.min }
+    : { field: fieldName, operator: "<=", value, number: range.max };
+}
+
+/**
+ * Turn a token into a clause
+ * @returns {Object|null} Clause, or null when the token is dropped or
+ *   invalid (errors are collected)
+ */
+function buildClause(token, errors) {
+  const { negated, field, value, raw, position } = token;
+  const base = { negated, raw };
+
+  if (!value) {
+    if (field || negated) {
+      errors.push(
+        parseError(`Missing value after "${raw}" at position ${position}`, raw)
+      );
+    }
+    return null;
+  }
+
+  if (!field) {
+    // Punctuation-only terms have nothing to match
+    if (!foldText(value)) return null;
+    return { ...base, type: token.quoted ? "phrase" : "term", value };
+  }
+
+  if (TEXT_FIELDS.includes(field)) {
+    return { ...base, type: "field", field, value };
+  }
+
+  if (NUMERIC_FIELDS[field]) {
+    const range = parseRange(value, parseNumber);
+    if (!range) {
+      errors.push(
+        parseError(
+          `Invalid ${field} at position ${position}: use a number or a range like ${field}:100..500`,
+          raw
+        )
+      );
+      return null;
+    }
+    return {
+      ...base,
+      type: "range",
+      field,
+      column: NUMERIC_FIELDS[field],
+      ...range,
+    };
+  }
+
+  const specField = resolveSpecField(field);
+  if (!specField) {
+    errors.push(
+      parseError(
+        `Unknown search field "${field}" at position ${position}. Allowed: ${[
+          ...TEXT_FIELDS,
+          ...Object.keys(NUMERIC_FIELDS),
+        ].join(", ")} or a specification`,
+        raw
+      )
+    );
+    return null;
+  }
+
+  const filter = buildSpecFilter(specField, value);
+  if (!filter) {
+    const spec = SPEC_FIELDS[specField];
+    errors.push(
+      parseError(
+        spec.type === "number"
+          ? `Invalid ${field} at position ${position}: use a value or a range like ${field}:8..12${
+              spec.unit ? ` (in ${spec.unit})` : ""
+            }`
+          : `${spec.label} does not support ranges (position ${position})`,
+        raw
+      )
+    );
+    return null;
+  }
+
+  return { ...base, type: "spec", field: specField, filter };
+}
+
+/**
+ * Parse a search query
+ * @param {String} input - Raw query
+ * @returns {Object} { parsedQuery, errors }: parsedQuery is { text, terms,
+ *   clauses } where text (positive terms and phrases) drives relevance and
+ *   terms are the positive bare words; errors use the validation error format
+ */
+function parseSearchQuery(input = "") {
+  const errors = [];
+  const clauses = scanTokens(String(input), errors)
+    .map((token) => buildClause(token, errors))
+    .filter(Boolean);
+
+  return {
+    parsedQuery: {
+      text: clauses
+        .filter(
+          (clause) =>
+            !clause.negated && ["term", "phrase"].includes(clause.type)
+        )
+        .map((clause) => clause.value)
+        .join(" "),
+      terms: clauses
+        .filter((clause) => clause.type === "term" && !clause.negated)
+        .map((clause) => clause.value),
+      clauses,
+    },
+    errors,
+  };
+}
+
+/**
+ * Rebuild a raw query with different bare terms (e.g. spelling corrections),
+ * keeping its phrases, exclusions, field scopes and ranges
+ * @param {Object} parsedQuery - Parsed query
+ * @param {String} terms - Replacement terms
+ * @returns {String} Raw query
+ */
+function replaceQueryTerms(parsedQuery, terms) {
+  return [
+    terms,
+    ...parsedQuery.clauses
+      .filter((clause) => clause.type !== "term" || clause.negated)
+      .map((clause) => clause.raw),
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+module.exports = {
+  parseSearchQuery,
+  replaceQueryTerms,
+};
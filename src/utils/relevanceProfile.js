@@ -0,0 +1,203 @@
+const { DEFAULT_RELEVANCE_PROFILE } = require("../config/search");
+
+/**
+ * Relevance Profile
+ * Validates and merges search relevance settings (Fuse options, ranking
+ * boosts and click-through weights)
+ *
+ * Profiles are stored as JSON; updates may be partial, e.g.
+ *   { "fuse": { "threshold": 0.3, "weights": { "model": 0.4 } } }
+ */
+
+const FUSE_FIELDS = Object.keys(DEFAULT_RELEVANCE_PROFILE.fuse.weights);
+
+/**
+ * Allowed settings per section with their numeric bounds
+ */
+const PROFILE_SCHEMA = {
+  fuse: {
+    threshold: { min: 0, max: 1 },
+    distance: { min: 0, max: 10000, integer: true },
+    minMatchCharLength: { min: 1, max: 10, integer: true },
+    weights: { fields: FUSE_FIELDS, min: 0, max: 1 },
+  },
+  boosts: {
+    featured: { min: 0, max: 10 },
+    bestseller: { min: 0, max: 10 },
+    rating: { min: 0, max: 10 },
+    ratingThreshold: { min: 0, max: 5 },
+    wellStocked: { min: 0, max: 10 },
+    wellStockedThreshold: { min: 0, max: 100000, integer: true },
+    outOfStock: { min: 0, max: 10 },
+    localStock: { min: 0, max: 10 },
+  },
+  clickThrough: {
+    clickWeight: { min: 0, max: 100 },
+    addToCartWeight: { min: 0, max: 100 },
+    maxBoost: { min: 0, max: 10 },
+    minInteractions: { min: 0, max: 100000, integer: true },
+    smoothing: { min: 0, max: 100000 },
+  },
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Check a single numeric setting
+ * @returns {String|null} Error message or null if valid
+ */
+function checkNumber(value, rule) {
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    return "must be a number";
+  }
+  if (rule.integer && !Number.isInteger(value)) {
+    return "must be an integer";
+  }
+  if (value < rule.min || value > rule.max) {
+    return `must be between ${rule.min} and ${rule.max}`;
+  }
+  return null;
+}
+
+/**
+ * Validate a full or partial relevance profile
+ * @param {Object} settings - Profile settings
+ * @param {String} prefix - Field name prefix for errors
+ * @returns {Array} Errors in the validation error format { field, message, value }
+ */
+function validateRelevanceProfile(settings, prefix = "settings") {
+  const errors = [];
+
+  if (!isPlainObject(settings)) {
+    return [
+      { field: prefix, message: "Settings must be an object", value: settings },
+    ];
+  }
+
+  Object.entries(settings).forEach(([section, values]) => {
+    const sectionSchema = PROFILE_SCHEMA[section];
+    const sectionField = `${prefix}.${section}`;
+
+    if (!sectionSchema) {
+      errors.push({
+        field: sectionField,
+        message: `Unknown section (allowed: ${Object.keys(
+          PROFILE_SCHEMA
+        ).join(", ")})`,
+        value: values,
+      });
+      return;
+    }
+
+    if (!isPlainObject(values)) {
+      errors.push({
+        field: sectionField,
+        message: "Section must be an object",
+        value: values,
+      });
+      return;
+    }
+
+    Object.entries(values).forEach(([key, value]) => {
+      const rule = sectionSchema[key];
+      const field = `${sectionField}.${key}`;
+
+      if (!rule) {
+        errors.push({ field, message: "Unknown setting", value });
+        return;
+      }
+
+      if (rule.fields) {
+        if (!isPlainObject(value)) {
+          errors.push({
+            field,
+            message: "Must be an object of field weights",
+            value,
+          });
+          return;
+        }
+
+        Object.entries(value).forEach(([name, weight]) => {
+          if (!rule.fields.includes(name)) {
+            errors.push({
+              field: `${field}.${name}`,
+              message: `Unknown field (allowed: ${rule.fields.join(", ")})`,
+              value: weight,
+            });
+            return;
+          }
+
+          const message = checkNumber(weight, rule);
+          if (message) {
+            errors.push({
+              field: `${field}.${name}`,
+              message: `Weight ${message}`,
+              value: weight,
+            });
+          }
+        });
+        return;
+      }
+
+      const message = checkNumber(value, rule);
+      if (message) errors.push({ field, message: `Setting ${message}`, value });
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Merge a partial profile onto a base profile
+ * @param {Object} base - Complete profile
+ * @param {Object} patch - Partial profile (already validated)
+ * @returns {Object} New complete profile
+ */
+function mergeRelevanceProfile(base, patch = {}) {
+  const merged = {};
+
+  Object.keys(PROFILE_SCHEMA).forEach((section) => {
+    const baseSection = base[section] || DEFAULT_RELEVANCE_PROFILE[section];
+    const patchSection = patch[section] || {};
+
+    merged[section] = { ...baseSection, ...patchSection };
+
+    if (section === "fuse") {
+      merged.fuse.weights = {
+        ...baseSection.weights,
+        ...(patchSection.weights || {}),
+      };
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Build Fuse.js options from a profile
+ * Fields weighted 0 are left out of the index
+ * @param {Object} profile - Complete profile
+ * @returns {Object} Fuse options
+ */
+function toFuseOptions(profile) {
+  const { threshold, distance, minMatchCharLength, weights } = profile.fuse;
+
+  return {
+    threshold,
+    distance,
+    minMatchCharLength,
+    includeScore: true,
+    includeMatches: true,
+    keys: Object.entries(weights)
+      .filter(([, weight]) => weight > 0)
+      .map(([name, weight]) => ({ name, weight })),
+  };
+}
+
+module.exports = {
+  PROFILE_SCHEMA,
+  validateRelevanceProfile,
+  mergeRelevanceProfile,
+  toFuseOptions,
+};
@@ -1,42 +1,122 @@
 const Fuse = require("fuse.js");
+const PrefixTrie = require("./prefixTrie");
+const {
+  PRICE_RANGES,
+  RATING_BANDS,
+  FACET_SPEC_KEYS,
+  MAX_SPEC_FACET_VALUES,
+  DEFAULT_RELEVANCE_PROFILE,
+  RECOMMENDATIONS,
+} = require("../config/search");
+const { toFuseOptions } = require("./relevanceProfile");
+const { matchesSpecFilters } = require("./specFilters");
+const { getLocalStock } = require("./storeAvailability");
+const {
+  parseSort,
+  createComparator,
+  findCursorIndex,
+  serializeSort,
+} = require("./sortSpec");
+const {
+  foldText,
+  phoneticKey,
+  tokenize,
+  analyzeQuery,
+} = require("./textNormalizer");
 const logger = require("./logger");
 
+// Shorter phonetic keys collide too often to be a useful match
+const MIN_PHONETIC_KEY_LENGTH = 3;
+
+/**
+ * Whether folded text contains folded words as whole words
+ */
+function containsWords(text, words) {
+  return ` ${text.replace(/\n/g, " ")} `.includes(` ${words} `);
+}
+
+/**
+ * Values of one field across a product's translations
+ * @param {Object} product - Product with `localized` ({ hi: { name, ... } })
+ * @param {String} field - Localized field (name or description)
+ * @returns {Array<String>} Non-empty values
+ */
+function getLocalizedValues(product, field) {
+  return Object.values(product.localized || {})
+    .map((translation) => translation && translation[field])
+    .filter((value) => typeof value === "string" && value.trim());
+}
+
+/**
+ * Specification values keyed by normalized key ("Internal Storage" and
+ * "internal_storage" are the same key), with folded values
+ * @param {Object} product - Product
+ * @returns {Map} Key -> value
+ */
+function getSpecificationEntries(product) {
+  const specs = product.specifications;
+  const entries = new Map();
+  if (!specs || typeof specs !== "object") return entries;
+
+  Object.entries(specs).forEach(([key, value]) => {
+    if (value === null || value === undefined || typeof value === "object") {
+      return;
+    }
+
+    const folded = foldText(String(value));
+    if (folded) {
+      entries.set(key.toLowerCase().trim().replace(/\s+/g, "_"), folded);
+    }
+  });
+
+  return entries;
+}
+
 /**
  * Advanced Product Search Algorithm
  * Implements fuzzy search, relevance scoring, and multiple search criteria
  */
 class SearchAlgorithm {
-  constructor() {
-    this.fuseOptions = {
-      // Fuzzy search configuration
-      threshold: 0.4, // 0.0 = perfect match, 1.0 = match anything
-      distance: 100, // Maximum allowed distance
-      minMatchCharLength: 2,
-      includeScore: true,
-      includeMatches: true,
-
-      // Fields to search with different weights
-      keys: [
-        { name: "name", weight: 0.4 },
-        { name: "brand.name", weight: 0.3 },
-        { name: "category.name", weight: 0.15 },
-        { name: "description", weight: 0.1 },
-        { name: "model", weight: 0.25 },
-        { name: "keywords", weight: 0.2 },
-      ],
-    };
+  /**
+   * @param {Object} profile - Relevance profile (see utils/relevanceProfile)
+   */
+  constructor(profile = DEFAULT_RELEVANCE_PROFILE) {
+    this.setProfile(profile);
 
     this.searchHistory = new Map();
     this.popularSearches = new Map();
+    this.normalizedFields = new WeakMap(); // product -> folded match fields
+  }
+
+  /**
+   * Use a relevance profile for fuzzy matching and ranking boosts
+   * @param {Object} profile - Complete relevance profile
+   */
+  setProfile(profile) {
+    this.profile = profile;
+    this.fuseOptions = toFuseOptions(profile);
   }
 
   /**
    * Main search function with multiple algorithms
    * @param {Array} products - Array of products to search
-   * @param {Object} searchParams - Search parameters
-   * @returns {Object} Search results with metadata
+   * @param {Object} searchParams - Search parameters; a decoded cursor
+   *   (searchParams.cursor) takes precedence over the offset, and a parsed
+   *   query (searchParams.parsedQuery, see utils/queryParser) filters with its
+   *   clauses and ranks with its text instead of the raw query. A store
+   *   scope (searchParams.stores) makes inStock mean stock at those stores
+   *   and boosts products they have in stock
+   * @param {Object} context - Optional search context
+   * @param {Fuse} context.fuse - Prebuilt Fuse index covering the products
+   * @param {Array} context.queryVariants - Synonym expansions of the query
+   * @param {Object} context.clickStats - Interactions recorded for the query
+   * @param {Function} context.rankFullText - Postgres full-text ranking:
+   *   called with the filtered products, resolves to their ranks by product
+   *   ID (null on failure); text matching falls back to fuzzy when none match
+   * @returns {Object} Search results with metadata and facets, plus
+   *   matchedProducts (the full matched set, for cache tagging)
    */
-  async search(products, searchParams) {
+  async search(products, searchParams, context = {}) {
     const startTime = Date.now();
 
     try {
@@ -51,7 +131,13 @@ class SearchAlgorithm {
         sortOrder = "desc",
         limit = 50,
         offset = 0,
+        cursor = null,
+        specFilters = [],
+        parsedQuery = null,
+        stores = null,
       } = searchParams;
+      const textQuery = parsedQuery ? parsedQuery.text : query;
+      const sortKeys = searchParams.sort || parseSort({ sortBy, sortOrder });
 
       logger.debug("Starting product search", {
         query,
@@ -68,37 +154,82 @@ class SearchAlgorithm {
         minPrice,
         maxPrice,
         inStock,
+        specFilters,
+        stores,
       });
+      if (parsedQuery) {
+        filteredProducts = this.applyQueryClauses(
+          filteredProducts,
+          parsedQuery.clauses
+        );
+      }
 
       // Step 2: Apply text search if query provided
       let searchResults = [];
-      if (query && query.trim().length > 0) {
-        searchResults = await this.performTextSearch(
-          filteredProducts,
-          query.trim()
-        );
+      let searchMode = null;
+      let fullTextMatches = null;
+      if (textQuery && textQuery.trim().length > 0) {
+        if (context.rankFullText) {
+          fullTextMatches = await context.rankFullText(filteredProducts);
+        }
+        if (fullTextMatches) {
+          searchResults = this.rankFullTextMatches(
+            filteredProducts,
+            fullTextMatches
+          );
+          searchMode = "fts";
+        }
+
+        // Fuzzy matching catches the typos full-text search cannot
+        if (searchResults.length === 0) {
+          searchResults = await this.performTextSearch(
+            filteredProducts,
+            textQuery.trim(),
+            context
+          );
+          searchMode = "fuzzy";
+        }
       } else {
         // No text query, return all filtered products with score 1
         searchResults = filteredProducts.map((product) => ({
           item: product,
           score: 1,
           matches: [],
+          contributions: [],
         }));
       }
 
       // Step 3: Apply advanced scoring and ranking
-      searchResults = this.applyAdvancedScoring(searchResults, searchParams);
+      searchResults = this.applyAdvancedScoring(
+        searchResults,
+        searchParams,
+        context
+      );
 
       // Step 4: Sort results
-      searchResults = this.sortResults(searchResults, sortBy, sortOrder);
+      searchResults = this.sortResults(searchResults, sortKeys);
 
-      // Step 5: Apply pagination
+      // Step 5: Compute facet counts over the full matched set
+      const facets = this.computeFacets(searchResults.map((r) => r.item));
+
+      // Step 6: Apply pagination, resuming after the cursor position if any
       const totalResults = searchResults.length;
-      const paginatedResults = searchResults.slice(offset, offset + limit);
+      const start = cursor
+        ? findCursorIndex(searchResults, sortKeys, cursor, (result) => ({
+            product: result.item,
+            score: result.score,
+          }))
+        : offset;
+      const paginatedResults = searchResults.slice(start, start + limit);
 
-      // Step 6: Log search analytics
+      // Step 7: Log search analytics
       this.logSearchAnalytics(query, totalResults);
 
+      const analyzedQuery =
+        searchParams.explain && textQuery.trim()
+          ? analyzeQuery(textQuery)
+          : null;
+
       const duration = Date.now() - startTime;
       logger.info("Search completed", {
         query,
@@ -108,21 +239,56 @@ class SearchAlgorithm {
       });
 
       return {
-        results: paginatedResults.map((result) => ({
+        results: paginatedResults.map((result, index) => ({
           ...result.item,
           _searchScore: result.score,
           _matches: result.matches,
+          ...(searchParams.explain && {
+            _explain: this.explainResult(result, start + index + 1),
+          }),
         })),
         metadata: {
           total: totalResults,
           limit,
-          offset,
-          hasNext: offset + limit < totalResults,
-          hasPrev: offset > 0,
+          offset: start,
+          hasNext: start + limit < totalResults,
+          hasPrev: start > 0,
           duration,
           query,
-          filters: { brand, category, minPrice, maxPrice, inStock },
+          searchMode,
+          sort: serializeSort(sortKeys),
+          filters: {
+            brand,
+            category,
+            minPrice,
+            maxPrice,
+            inStock,
+            specifications: specFilters,
+          },
+          stores,
+          ...(searchParams.explain && {
+            explain: {
+              ...(analyzedQuery && {
+                normalizedQuery: analyzedQuery.text,
+                language: analyzedQuery.language,
+              }),
+              ...(parsedQuery && { parsedQuery: parsedQuery.clauses }),
+              indexedProducts: products.length,
+              candidates: filteredProducts.length,
+              ...(fullTextMatches && {
+                fullTextMatches: fullTextMatches.size,
+                fullTextFallback: searchMode === "fuzzy",
+              }),
+              matched: totalResults,
+              queryVariants: context.queryVariants || [],
+              clickInteractions: context.clickStats
+                ? context.clickStats.clicks + context.clickStats.addToCarts
+                : 0,
+            },
+          }),
         },
+        facets,
+        matchedProducts: searchResults.map((result) => result.item),
       };
     } catch (error) {
       logger.error("Search algorithm error", {
@@ -134,7 +300,8 @@ class SearchAlgorithm {
   }
 
   /**
-   * Apply basic filters (brand, category, price, stock)
+   * Apply basic filters (brand, category, price, stock, specifications)
+   * With a store scope (filters.stores), inStock checks stock at its stores
    */
   applyBasicFilters(products, filters) {
     return products.filter((product) => {
@@ -146,67 +313,194 @@ class SearchAlgorithm {
         return false;
       if (typeof filters.maxPrice === "number" && price > filters.maxPrice)
         return false;
-      if (filters.inStock && product.stock_quantity <= 0) return false;
+      if (
+        filters.inStock &&
+        (filters.stores
+          ? getLocalStock(product, filters.stores)
+          : product.stock_quantity) <= 0
+      )
+        return false;
       if (product.status !== "active") return false;
+      if (
+        filters.specFilters?.length &&
+        !matchesSpecFilters(product, filters.specFilters)
+      )
+        return false;
       return true;
     });
   }
 
+  /**
+   * Apply the filtering clauses of a parsed query: phrases, exclusions,
+   * field scopes, ranges and specifications (bare terms only rank)
+   * @param {Array} products - Products
+   * @param {Array} clauses - Parsed query clauses
+   */
+  applyQueryClauses(products, clauses = []) {
+    const filters = clauses.filter(
+      (clause) => clause.type !== "term" || clause.negated
+    );
+    if (filters.length === 0) return products;
+
+    return products.filter((product) =>
+      filters.every(
+        (clause) => this.matchesQueryClause(product, clause) !== clause.negated
+      )
+    );
+  }
+
+  /**
+   * Check one parsed query clause against a product (ignoring negation)
+   */
+  matchesQueryClause(product, clause) {
+    switch (clause.type) {
+      case "range": {
+        const value = parseFloat(product[clause.column]);
+        return (
+          !Number.isNaN(value) &&
+          (clause.min === null || value >= clause.min) &&
+          (clause.max === null || value <= clause.max)
+        );
+      }
+      case "spec":
+        return matchesSpecFilters(product, [clause.filter]);
+      case "field": {
+        const fields = this.getNormalizedFields(product);
+        const related = product[clause.field];
+        return (
+          fields[clause.field].includes(foldText(clause.value)) ||
+          (typeof related === "object" &&
+            related?.slug === clause.value.toLowerCase())
+        );
+      }
+      default: {
+        const fields = this.getNormalizedFields(product);
+        const words = foldText(clause.value);
+        return [
+          fields.name,
+          fields.model,
+          fields.brand,
+          fields.category,
+          fields.localized,
+        ].some((text) => containsWords(text, words));
+      }
+    }
+  }
+
   /**
    * Perform text-based search using multiple algorithms
+   * Products coming from a prebuilt index already carry their keywords and
+   * localized text.
+   * When synonym variants are given, each variant is searched and its scores
+   * are scaled by the variant weight; the best score per product wins.
+   * @param {Array} context.queryVariants - Query variants as { query, weight, source }
    */
-  async performTextSearch(products, query) {
-    const searchableProducts = products.map((product) => ({
-      ...product,
-      keywords: this.generateKeywords(product),
-    }));
+  async performTextSearch(products, query, context = {}) {
+    const searchableProducts = context.fuse
+      ? products
+      : products.map((product) => ({
+          ...product,
+          keywords: this.generateKeywords(product),
+          localized_text: this.getLocalizedText(product),
+        }));
+
+    const variants =
+      context.queryVariants && context.queryVariants.length > 0
+        ? context.queryVariants
+        : [{ query, weight: 1, source: "original" }];
 
-    const fuseResults = this.fuzzySearch(searchableProducts, query);
-    const exactMatches = this.findExactMatches(searchableProducts, query);
-    const partialMatches = this.findPartialMatches(searchableProducts, query);
+    const resultArrays = [];
+    variants.forEach((variant) => {
+      const variantResults = [
+        ...this.fuzzySearch(searchableProducts, variant.query, context.fuse),
+        ...this.findExactMatches(searchableProducts, variant.query),
+        ...this.findPartialMatches(searchableProducts, variant.query),
+      ];
 
-    return this.combineSearchResults([
-      fuseResults,
-      exactMatches,
-      partialMatches,
-    ]);
+      resultArrays.push(
+        variant.source === "original"
+          ? variantResults
+          : variantResults.map((result) => ({
+              ...result,
+              score: result.score * variant.weight,
+              synonym: variant.source,
+            }))
+      );
+    });
+
+    return this.combineSearchResults(resultArrays);
+  }
+
+  /**
+   * Turn Postgres full-text matches into search results
+   * @param {Array} products - Filtered products
+   * @param {Map} matches - Rank (0..1) by product ID
+   */
+  rankFullTextMatches(products, matches) {
+    return products
+      .filter((product) => matches.has(product.id))
+      .map((product) => ({
+        item: product,
+        score: matches.get(product.id),
+        matches: [],
+        algorithm: "fts",
+        contributions: [{ algorithm: "fts", score: matches.get(product.id) }],
+      }));
   }
 
   /**
    * Fuzzy search using Fuse.js
+   * The query is normalized (transliterated, folded, stopwords removed) so
+   * Hindi queries reach the transliterated keywords and localized text.
+   * When a prebuilt index is given, hits are restricted to the given products
    */
-  fuzzySearch(products, query) {
-    const fuse = new Fuse(products, this.fuseOptions);
-    const results = fuse.search(query);
+  fuzzySearch(products, query, fuse = null) {
+    const normalizedQuery = analyzeQuery(query).text;
+    let results;
+
+    if (fuse) {
+      const productIds = new Set(products.map((product) => product.id));
+      results = fuse
+        .search(normalizedQuery)
+        .filter((result) => productIds.has(result.item.id));
+    } else {
+      results = new Fuse(products, this.fuseOptions).search(normalizedQuery);
+    }
 
-    return results.map((result) => ({ ...result, algorithm: "fuzzy" }));
+    // Fuse scores run from 0 (perfect) to 1; invert them so every
+    // algorithm reports higher-is-better relevance
+    return results.map((result) => ({
+      ...result,
+      score: 1 - result.score,
+      algorithm: "fuzzy",
+    }));
   }
 
   /**
-   * Find exact matches (case-insensitive)
+   * Find exact matches (after Unicode folding and transliteration)
+   * Localized names count as name matches
    */
   findExactMatches(products, query) {
-    const queryLower = query.toLowerCase();
+    const normalizedQuery = foldText(query);
     const results = [];
+    if (!normalizedQuery) return results;
 
     products.forEach((product) => {
+      const fields = this.getNormalizedFields(product);
       let score = 0;
       let matches = [];
 
-      if (product.name && product.name.toLowerCase().includes(queryLower)) {
+      if (fields.name.includes(normalizedQuery)) {
         score += 0.9;
         matches.push({ field: "name", value: product.name });
       }
 
-      if (product.model && product.model.toLowerCase().includes(queryLower)) {
+      if (fields.model.includes(normalizedQuery)) {
         score += 0.8;
         matches.push({ field: "model", value: product.model });
       }
 
-      if (
-        product.brand?.name &&
-        product.brand.name.toLowerCase().includes(queryLower)
-      ) {
+      if (fields.brand.includes(normalizedQuery)) {
         score += 0.7;
         matches.push({ field: "brand", value: product.brand.name });
       }
@@ -223,36 +517,50 @@ class SearchAlgorithm {
 
     return results;
   }
-  // Add inside SearchAlgorithm class (prototype):
+  /**
+   * Find matches for individual query terms (stemmed, stopwords removed)
+   * Terms that appear nowhere may still match a product term that sounds
+   * the same, e.g. a transliterated Hindi query against an English name
+   */
   findPartialMatches(products, query) {
-    const queryWords = query.toLowerCase().split(/\s+/);
+    const queryWords = analyzeQuery(query).terms;
     const results = [];
     products.forEach((product) => {
+      const fields = this.getNormalizedFields(product);
       let score = 0;
       let matches = [];
       queryWords.forEach((word) => {
-        if (product.name && product.name.toLowerCase().includes(word)) {
+        const matchesBefore = matches.length;
+        if (fields.name.includes(word)) {
           score += 0.3;
           matches.push({ field: "name", value: product.name });
         }
-        if (
-          product.brand?.name &&
-          product.brand.name.toLowerCase().includes(word)
-        ) {
+        if (fields.brand.includes(word)) {
           score += 0.2;
           matches.push({ field: "brand", value: product.brand.name });
         }
-        if (
-          product.category?.name &&
-          product.category.name.toLowerCase().includes(word)
-        ) {
+        if (fields.category.includes(word)) {
           score += 0.15;
           matches.push({ field: "category", value: product.category.name });
         }
-        if (product.model && product.model.toLowerCase().includes(word)) {
+        if (fields.model.includes(word)) {
           score += 0.15;
           matches.push({ field: "model", value: product.model });
         }
+        if (fields.localized.includes(word)) {
+          score += 0.1;
+          matches.push({ field: "localized_text", value: word });
+        }
+
+        const key = phoneticKey(word);
+        if (
+          matches.length === matchesBefore &&
+          key.length >= MIN_PHONETIC_KEY_LENGTH &&
+          fields.phonetic.has(key)
+        ) {
+          score += 0.15;
+          matches.push({ field: "phonetic", value: word });
+        }
       });
       if (score > 0) {
         results.push({
@@ -268,14 +576,17 @@ class SearchAlgorithm {
 
   /**
    * Generate searchable keywords for a product
+   * Names are normalized into terms, so localized names add transliterated
+   * keywords that Hindi and Romanized Hindi queries both match
    */
   generateKeywords(product) {
-    const keywords = [];
+    const keywords = [
+      ...tokenize(product.name),
+      ...getLocalizedValues(product, "name").flatMap((name) => tokenize(name)),
+      ...tokenize(product.brand?.name),
+      ...tokenize(product.category?.name),
+    ];
 
-    if (product.name) keywords.push(...product.name.toLowerCase().split(/\s+/));
-    if (product.brand?.name) keywords.push(product.brand.name.toLowerCase());
-    if (product.category?.name)
-      keywords.push(product.category.name.toLowerCase());
     if (product.model) keywords.push(product.model.toLowerCase());
 
     return [
@@ -283,17 +594,82 @@ class SearchAlgorithm {
     ];
   }
 
+  /**
+   * Normalized text of a product's localized names and descriptions
+   * @param {Object} product - Product
+   * @returns {String} Folded, transliterated text (empty if none)
+   */
+  getLocalizedText(product) {
+    return [
+      ...getLocalizedValues(product, "name"),
+      ...getLocalizedValues(product, "description"),
+    ]
+      .map(foldText)
+      .join(" ");
+  }
+
+  /**
+   * Folded fields for exact and partial matching, computed once per product
+   * object: name (with localized names), model, brand, category, localized
+   * text and the phonetic keys of the name, brand and category terms
+   * @param {Object} product - Product
+   * @returns {Object} { name, model, brand, category, localized, phonetic }
+   */
+  getNormalizedFields(product) {
+    let fields = this.normalizedFields.get(product);
+
+    if (!fields) {
+      const names = [product.name, ...getLocalizedValues(product, "name")];
+      const terms = [
+        ...names,
+        product.brand?.name,
+        product.category?.name,
+      ].flatMap((text) => tokenize(text));
+
+      fields = {
+        // Names are joined by a newline, which folded queries never contain
+        name: names.map(foldText).join("\n"),
+        model: foldText(product.model),
+        brand: foldText(product.brand?.name),
+        category: foldText(product.category?.name),
+        localized: this.getLocalizedText(product),
+        phonetic: new Set(
+          terms
+            .map(phoneticKey)
+            .filter((key) => key.length >= MIN_PHONETIC_KEY_LENGTH)
+        ),
+      };
+      this.normalizedFields.set(product, fields);
+    }
+
+    return fields;
+  }
+
+  /**
+   * Merge results from several algorithms, keeping the best score per product
+   * Each algorithm's score is kept in `contributions` for explain mode
+   */
   combineSearchResults(resultArrays) {
     const resultsMap = new Map();
 
     resultArrays.forEach((results) => {
       results.forEach((result) => {
         const productId = result.item.id;
+        const contribution = {
+          algorithm: result.algorithm,
+          score: result.score,
+          ...(result.synonym && { synonym: result.synonym }),
+        };
+
         if (resultsMap.has(productId)) {
           const existing = resultsMap.get(productId);
           existing.score = Math.max(existing.score, result.score);
+          existing.contributions.push(contribution);
         } else {
-          resultsMap.set(productId, result);
+          resultsMap.set(productId, {
+            ...result,
+            contributions: [contribution],
+          });
         }
       });
     });
@@ -301,52 +677,311 @@ class SearchAlgorithm {
     return Array.from(resultsMap.values());
   }
 
-  applyAdvancedScoring(results, searchParams) {
+  /**
+   * Apply ranking boosts on top of text relevance
+   * Every applied multiplier is recorded on the result so explain mode can
+   * show why a product ranks where it does
+   * @param {Array} results - Text search results
+   * @param {Object} searchParams - Search parameters
+   * @param {Object} context - Search context
+   * @param {Object} context.clickStats - Interactions recorded for the query
+   */
+  applyAdvancedScoring(results, searchParams, context = {}) {
+    const weights = this.profile.boosts;
+
     return results.map((result) => {
-      let score = result.score;
       const product = result.item;
+      const boosts = [
+        product.is_featured && {
+          reason: "featured",
+          multiplier: weights.featured,
+        },
+        product.is_bestseller && {
+          reason: "bestseller",
+          multiplier: weights.bestseller,
+        },
+        product.average_rating > weights.ratingThreshold && {
+          reason: "rating",
+          multiplier: weights.rating,
+        },
+        product.stock_quantity > weights.wellStockedThreshold && {
+          reason: "well_stocked",
+          multiplier: weights.wellStocked,
+        },
+        product.stock_quantity <= 0 && {
+          reason: "out_of_stock",
+          multiplier: weights.outOfStock,
+        },
+        searchParams.stores &&
+          getLocalStock(product, searchParams.stores) > 0 && {
+            reason: "local_stock",
+            multiplier: weights.localStock,
+          },
+        this.getClickBoost(product.id, context.clickStats),
+      ].filter(Boolean);
 
-      if (product.is_featured) score *= 1.2;
-      if (product.is_bestseller) score *= 1.15;
-      if (product.average_rating > 4) score *= 1.1;
-      if (product.stock_quantity > 10) score *= 1.05;
-      if (product.stock_quantity <= 0) score *= 0.5;
+      const score = boosts.reduce(
+        (total, boost) => total * boost.multiplier,
+        result.score
+      );
 
-      return { ...result, score: Math.min(score, 1) };
+      return { ...result, baseScore: result.score, score, boosts };
     });
   }
 
-  sortResults(results, sortBy, sortOrder) {
-    const orderMultiplier = sortOrder === "asc" ? 1 : -1;
-
-    return results.sort((a, b) => {
-      let comparison = 0;
-
-      switch (sortBy) {
-        case "relevance":
-          comparison = b.score - a.score;
-          break;
-        case "price":
-          comparison =
-            (parseFloat(a.item.price) || 0) - (parseFloat(b.item.price) || 0);
-          break;
-        case "name":
-          comparison = a.item.name.localeCompare(b.item.name);
-          break;
-        case "rating":
-          comparison =
-            (b.item.average_rating || 0) - (a.item.average_rating || 0);
-          break;
-        default:
-          comparison = b.score - a.score;
-      }
+  /**
+   * Score products by what they share with a product (similar products)
+   * Each shared aspect is recorded in `contributions`, like the text search
+   * algorithms, so results go through the same boosts and sorting
+   * @param {Object} source - Product to find similar products for
+   * @param {Array} candidates - Products to score (without the source)
+   * @returns {Array} Results as { item, score, matches, contributions };
+   *   candidates sharing nothing are left out
+   */
+  scoreSimilarity(source, candidates) {
+    const weights = RECOMMENDATIONS.similarity;
+    const sourcePrice = parseFloat(source.price) || 0;
+    const sourceSpecs = getSpecificationEntries(source);
 
-      return comparison * orderMultiplier;
+    return candidates
+      .map((product) => {
+        const contributions = [];
+
+        if (source.category_id && product.category_id === source.category_id) {
+          contributions.push({
+            algorithm: "category",
+            score: weights.category,
+          });
+        }
+        if (source.brand_id && product.brand_id === source.brand_id) {
+          contributions.push({ algorithm: "brand", score: weights.brand });
+        }
+
+        const price = parseFloat(product.price) || 0;
+        if (sourcePrice > 0 && price > 0) {
+          const proximity =
+            1 -
+            Math.abs(price - sourcePrice) /
+              (sourcePrice * RECOMMENDATIONS.priceWindow);
+          if (proximity > 0) {
+            contributions.push({
+              algorithm: "price",
+              score: weights.price * proximity,
+            });
+          }
+        }
+
+        const specs = getSpecificationEntries(product);
+        const keys = new Set([...sourceSpecs.keys(), ...specs.keys()]);
+        const shared = [...sourceSpecs].filter(
+          ([key, value]) => specs.get(key) === value
+        ).length;
+        if (shared > 0) {
+          contributions.push({
+            algorithm: "specifications",
+            score: (weights.specifications * shared) / keys.size,
+          });
+        }
+
+        return {
+          item: product,
+          score: contributions.reduce((total, { score }) => total + score, 0),
+          matches: [],
+          contributions,
+        };
+      })
+      .filter((result) => result.score > 0);
+  }
+
+  /**
+   * Build the scoring breakdown of a ranked result (explain mode)
+   * @param {Object} result - Scored result
+   * @param {Number} rank - 1-based position in the full result list
+   * @returns {Object} Breakdown of text relevance, boosts and final score
+   */
+  explainResult(result, rank) {
+    // Fuse matches name the field as `key`, the other algorithms as `field`
+    const matchedFields = (result.matches || []).map(
+      (match) => match.key || match.field
+    );
+
+    return {
+      rank,
+      textScore: result.baseScore,
+      algorithms: result.contributions,
+      matchedFields: [...new Set(matchedFields)],
+      boosts: result.boosts,
+      finalScore: result.score,
+    };
+  }
+
+  /**
+   * Boost for products users pick for this query
+   * The product's share of the query's weighted interactions is smoothed so a
+   * handful of clicks cannot dominate the ranking
+   * @param {String} productId - Product ID
+   * @param {Object} clickStats - { clicks, addToCarts, products } from SearchAnalyticsService
+   * @returns {Object|null} Boost as { reason, multiplier, clicks, addToCarts }
+   */
+  getClickBoost(productId, clickStats) {
+    const settings = this.profile.clickThrough;
+    if (!clickStats) return null;
+
+    const weigh = ({ clicks, addToCarts }) =>
+      clicks * settings.clickWeight + addToCarts * settings.addToCartWeight;
+
+    const total = weigh(clickStats);
+    const interactions = clickStats.clicks + clickStats.addToCarts;
+    if (total <= 0 || interactions < settings.minInteractions) return null;
+
+    const stats = clickStats.products.get(productId);
+    const weight = stats ? weigh(stats) : 0;
+    if (weight <= 0) return null;
+
+    const share = weight / (total + settings.smoothing);
+
+    return {
+      reason: "click_through",
+      multiplier: 1 + settings.maxBoost * share,
+      clicks: stats.clicks,
+      addToCarts: stats.addToCarts,
+    };
+  }
+
+  /**
+   * Sort results by one or more sort keys (see utils/sortSpec)
+   * @param {Array} results - Scored results
+   * @param {Array} sortKeys - Sort keys as { field, direction }
+   */
+  sortResults(results, sortKeys) {
+    return results.sort(
+      createComparator(sortKeys, (result) => ({
+        product: result.item,
+        score: result.score,
+      }))
+    );
+  }
+
+  // ===============================
+  // FACETS
+  // ===============================
+
+  /**
+   * Compute facet counts for a set of matched products
+   * @param {Array} products - Matched products (before pagination)
+   * @returns {Object} Facets for brands, categories, price, availability, rating and specifications
+   */
+  computeFacets(products) {
+    const brands = new Map();
+    const categories = new Map();
+    // Only active products are indexed, and products leave that status when
+    // they run out of stock, so there is no out-of-stock count to report
+    const availability = { in_stock: 0 };
+    const price = PRICE_RANGES.map((range) => ({ ...range, count: 0 }));
+    const rating = RATING_BANDS.map((band) => ({ ...band, count: 0 }));
+    const specifications = {};
+
+    FACET_SPEC_KEYS.forEach(({ key, label }) => {
+      specifications[key] = { label, values: new Map() };
     });
+
+    products.forEach((product) => {
+      this.incrementFacet(brands, product.brand);
+      this.incrementFacet(categories, product.category);
+
+      if (product.stock_quantity > 0) availability.in_stock++;
+
+      // Ranges share boundaries, so a price belongs to the first range that holds it
+      const productPrice = parseFloat(product.price) || 0;
+      const priceBucket = price.find(
+        (range) => productPrice >= range.min && productPrice <= range.max
+      );
+      if (priceBucket) priceBucket.count++;
+
+      const productRating = parseFloat(product.average_rating) || 0;
+      rating.forEach((band) => {
+        if (productRating >= band.min) band.count++;
+      });
+
+      FACET_SPEC_KEYS.forEach(({ key, aliases }) => {
+        const value = this.getSpecificationValue(product, aliases);
+        if (value === null) return;
+
+        const values = specifications[key].values;
+        values.set(value, (values.get(value) || 0) + 1);
+      });
+    });
+
+    const byCount = (a, b) => b.count - a.count;
+
+    return {
+      brands: Array.from(brands.values()).sort(byCount),
+      categories: Array.from(categories.values()).sort(byCount),
+      price,
+      availability,
+      rating,
+      specifications: Object.fromEntries(
+        Object.entries(specifications)
+          .filter(([, facet]) => facet.values.size > 0)
+          .map(([key, facet]) => [
+            key,
+            {
+              label: facet.label,
+              values: Array.from(facet.values.entries())
+                .map(([value, count]) => ({ value, count }))
+                .sort(byCount)
+                .slice(0, MAX_SPEC_FACET_VALUES),
+            },
+          ])
+      ),
+    };
   }
 
+  /**
+   * Count a brand or category entity in a facet map keyed by slug
+   */
+  incrementFacet(facetMap, entity) {
+    if (!entity?.slug) return;
+
+    const facet = facetMap.get(entity.slug) || {
+      slug: entity.slug,
+      name: entity.name,
+      count: 0,
+    };
+    facet.count++;
+    facetMap.set(entity.slug, facet);
+  }
+
+  /**
+   * Read a specification value stored under any of the given keys
+   * Keys are compared case-insensitively with spaces treated as underscores
+   * @returns {String|null} Trimmed value or null if missing
+   */
+  getSpecificationValue(product, aliases) {
+    const specs = product.specifications;
+    if (!specs || typeof specs !== "object") return null;
+
+    for (const [rawKey, rawValue] of Object.entries(specs)) {
+      const key = rawKey.toLowerCase().trim().replace(/\s+/g, "_");
+      if (!aliases.includes(key)) continue;
+      if (rawValue === null || rawValue === undefined || rawValue === "") {
+        continue;
+      }
+      if (typeof rawValue === "object") continue;
+
+      return String(rawValue).trim();
+    }
+
+    return null;
+  }
+
+  /**
+   * Count a query towards this instance's popular searches
+   * Queries without results are skipped so they are never suggested;
+   * every search is persisted separately by SearchAnalyticsService
+   */
   logSearchAnalytics(query, resultCount) {
-    if (query) {
+    if (query && resultCount > 0) {
       const normalized = query.toLowerCase().trim();
       const count = this.popularSearches.get(normalized) || 0;
       this.popularSearches.set(normalized, count + 1);
@@ -359,6 +994,179 @@ class SearchAlgorithm {
       .slice(0, limit)
       .map(([query, count]) => ({ query, count }));
   }
+
+  // ===============================
+  // AUTOCOMPLETE
+  // ===============================
+
+  /**
+   * Normalize text for suggestion lookups
+   */
+  normalizeSuggestionText(text) {
+    return String(text || "")
+      .toLowerCase()
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  /**
+   * Insert a suggestion under its full text and every word-start suffix,
+   * so "pro" completes "iPhone 15 Pro"
+   */
+  insertSuggestion(trie, text, payload, rank) {
+    const normalized = this.normalizeSuggestionText(text);
+    if (!normalized) return;
+
+    const words = normalized.split(" ");
+    words.forEach((_, index) => {
+      trie.insert(words.slice(index).join(" "), payload, rank);
+    });
+  }
+
+  /**
+   * Build a prefix trie over product names, models, brands and categories
+   * @param {Array} products - Products to index
+   * @returns {PrefixTrie} Suggestion trie
+   */
+  buildSuggestionTrie(products) {
+    const trie = new PrefixTrie();
+    const brands = new Map();
+    const categories = new Map();
+
+    products.forEach((product) => {
+      const payload = {
+        type: "product",
+        text: product.name,
+        id: product.id,
+        slug: product.slug,
+        weight: this.getProductSuggestionWeight(product),
+      };
+
+      this.insertSuggestion(trie, product.name, payload);
+      if (product.model) this.insertSuggestion(trie, product.model, payload);
+
+      if (product.brand?.name) {
+        const brand = brands.get(product.brand.slug) || {
+          type: "brand",
+          text: product.brand.name,
+          slug: product.brand.slug,
+          count: 0,
+        };
+        brand.count++;
+        brands.set(product.brand.slug, brand);
+      }
+
+      if (product.category?.name) {
+        const category = categories.get(product.category.slug) || {
+          type: "category",
+          text: product.category.name,
+          slug: product.category.slug,
+          count: 0,
+        };
+        category.count++;
+        categories.set(product.category.slug, category);
+      }
+    });
+
+    // Brands and categories rank above individual products
+    [...brands.values(), ...categories.values()].forEach((payload) => {
+      payload.weight = 2 + Math.log1p(payload.count);
+      this.insertSuggestion(trie, payload.text, payload);
+    });
+
+    return trie;
+  }
+
+  /**
+   * Build a prefix trie over previously searched queries
+   * @param {Number} limit - Number of popular queries to include
+   * @returns {PrefixTrie} Query trie
+   */
+  buildQueryTrie(limit = 500) {
+    const trie = new PrefixTrie();
+
+    // Ranked like getSuggestions scores them, so the most searched queries
+    // are returned first
+    this.getPopularSearches(limit).forEach(({ query, count }) => {
+      this.insertSuggestion(
+        trie,
+        query,
+        { type: "query", text: query, count, weight: 1.5 },
+        1.5 + Math.log1p(count)
+      );
+    });
+
+    return trie;
+  }
+
+  /**
+   * Score a product for autocomplete ranking using its merchandising flags
+   */
+  getProductSuggestionWeight(product) {
+    let weight = 1;
+
+    if (product.is_featured) weight += 0.5;
+    if (product.is_bestseller) weight += 0.5;
+    weight += (parseFloat(product.average_rating) || 0) / 10;
+    if (product.stock_quantity <= 0) weight *= 0.5;
+
+    return weight;
+  }
+
+  /**
+   * Get typed autocomplete suggestions
+   * @param {String} query - Partial search query
+   * @param {Array} products - Products to suggest from
+   * @param {Object} options - Suggestion options
+   * @param {PrefixTrie} options.trie - Prebuilt catalog trie (built from products if omitted)
+   * @param {Number} options.limit - Maximum number of suggestions
+   * @returns {Array} Suggestions ({ type, text, ... }) ordered by score
+   */
+  getSuggestions(query, products = [], options = {}) {
+    const { limit = 10 } = options;
+    const prefix = this.normalizeSuggestionText(query);
+
+    if (prefix.length < 2) return [];
+
+    const tries = [
+      options.trie || this.buildSuggestionTrie(products),
+      this.buildQueryTrie(),
+    ];
+
+    let matches = tries.flatMap((trie) => trie.findByPrefix(prefix));
+
+    // Typo-tolerant fallback when nothing starts with the prefix
+    if (matches.length === 0) {
+      const maxDistance = prefix.length > 4 ? 2 : 1;
+      matches = tries.flatMap((trie) => trie.findFuzzy(prefix, maxDistance));
+    }
+
+    const suggestions = new Map();
+
+    matches.forEach(({ payload, distance }) => {
+      const text = this.normalizeSuggestionText(payload.text);
+      const popularity = this.popularSearches.get(text) || 0;
+
+      let score = payload.weight + Math.log1p(popularity);
+      if (text.startsWith(prefix)) score += 1;
+      score /= 1 + distance;
+
+      const key = `${payload.type}:${payload.id || text}`;
+      const existing = suggestions.get(key);
+      if (!existing || existing.score < score) {
+        const { weight, ...suggestion } = payload;
+        suggestions.set(key, { ...suggestion, score });
+      }
+    });
+
+    return Array.from(suggestions.values())
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map((suggestion) => ({
+        ...suggestion,
+        score: Math.round(suggestion.score * 1000) / 1000,
+      }));
+  }
 }
 
 module.exports = SearchAlgorithm;
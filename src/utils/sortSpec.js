@@ -0,0 +1,313 @@
+/**
+ * Sort Specification
+ * Shared sort contract for product listing and search
+ *
+ * Accepts either multi-key `sort=-rating,price` (a leading "-" means
+ * descending) or the legacy `sort_by` + `sort_order` pair, and turns it into
+ * an ordered list of { field, direction } keys that can be applied in memory
+ * or translated into database ordering.
+ */
+
+// Views count once, clicks from search results count this much (mirrors the
+// popularity_score generated column in supabase-schema.sql)
+const SEARCH_CLICK_WEIGHT = 5;
+
+/**
+ * Get a product's discount percentage, derived from prices when not stored
+ */
+function getDiscountPercentage(product) {
+  if (product.discount_percentage) {
+    return parseFloat(product.discount_percentage) || 0;
+  }
+
+  const price = parseFloat(product.price) || 0;
+  const originalPrice = parseFloat(product.original_price) || 0;
+  if (originalPrice <= 0 || price >= originalPrice) return 0;
+
+  return Math.round(((originalPrice - price) / originalPrice) * 100);
+}
+
+/**
+ * Get a product's popularity from recorded views and search clicks
+ */
+function getPopularityScore(product) {
+  return (
+    (product.view_count || 0) +
+    SEARCH_CLICK_WEIGHT * (product.search_click_count || 0)
+  );
+}
+
+/**
+ * Sortable fields
+ * column: database column used for ordering (absent when only sortable in memory)
+ * value: in-memory sort value for a product (and its search score)
+ */
+const SORT_FIELDS = {
+  relevance: { value: (product, score) => score || 0 },
+  price: { column: "price", value: (product) => parseFloat(product.price) || 0 },
+  name: {
+    column: "name",
+    value: (product) => (product.name || "").toLowerCase(),
+  },
+  rating: {
+    column: "average_rating",
+    value: (product) => parseFloat(product.average_rating) || 0,
+  },
+  date: {
+    column: "created_at",
+    value: (product) => new Date(product.created_at).getTime() || 0,
+  },
+  stock: {
+    column: "stock_quantity",
+    value: (product) => product.stock_quantity || 0,
+  },
+  discount: { column: "discount_percentage", value: getDiscountPercentage },
+  popularity: { column: "popularity_score", value: getPopularityScore },
+};
+
+// Column names accepted for backward compatibility with sort_by=<column>
+const SORT_FIELD_ALIASES = {
+  created_at: "date",
+  newest: "date",
+  average_rating: "rating",
+  stock_quantity: "stock",
+  discount_percentage: "discount",
+  popularity_score: "popularity",
+  popular: "popularity",
+};
+
+/**
+ * Resolve a field name or alias
+ * @param {String} name - Field name
+ * @returns {String|null} Sort field or null if unknown
+ */
+function resolveSortField(name) {
+  const normalized = String(name || "").toLowerCase().trim();
+  if (SORT_FIELDS[normalized]) return normalized;
+  return SORT_FIELD_ALIASES[normalized] || null;
+}
+
+/**
+ * Parse sort parameters into sort keys
+ * @param {Object} params - Query parameters (sort, sort_by/sortBy, sort_order/sortOrder)
+ * @param {Object} defaults - Default field and direction
+ * @returns {Array} Sort keys as { field, direction }
+ */
+function parseSort(params = {}, defaults = {}) {
+  const { defaultField = "relevance", defaultDirection = "desc" } = defaults;
+
+  if (params.sort) {
+    const keys = String(params.sort)
+      .split(",")
+      .map((token) => token.trim())
+      .filter(Boolean)
+      .map((token) => ({
+        field: resolveSortField(token.replace(/^[-+]/, "")),
+        direction: token.startsWith("-") ? "desc" : "asc",
+      }))
+      .filter((key) => key.field);
+
+    if (keys.length > 0) return keys;
+  }
+
+  const sortBy = params.sortBy || params.sort_by;
+  const sortOrder = params.sortOrder || params.sort_order || defaultDirection;
+
+  return [
+    {
+      field: resolveSortField(sortBy) || defaultField,
+      direction: sortOrder === "asc" ? "asc" : "desc",
+    },
+  ];
+}
+
+/**
+ * Find invalid tokens in a `sort` parameter
+ * @param {String} sort - Raw sort parameter
+ * @returns {Array<String>} Unknown field names
+ */
+function findInvalidSortFields(sort) {
+  return String(sort || "")
+    .split(",")
+    .map((token) => token.trim().replace(/^[-+]/, ""))
+    .filter((field) => !field || !resolveSortField(field));
+}
+
+/**
+ * Get a product's position in a sort order (used by pagination cursors)
+ * @param {Array} sortKeys - Sort keys
+ * @param {Object} product - Product
+ * @param {Number} score - Search score (for relevance)
+ * @returns {Object} { values, id }
+ */
+function getSortPosition(sortKeys, product, score) {
+  return {
+    values: sortKeys.map(({ field }) =>
+      SORT_FIELDS[field].value(product, score)
+    ),
+    id: product.id,
+  };
+}
+
+/**
+ * Compare two sort positions
+ * Ties fall back to product ID so the order is stable across requests
+ * @param {Array} sortKeys - Sort keys
+ * @param {Object} left - { values, id }
+ * @param {Object} right - { values, id }
+ * @returns {Number} Negative if left comes first
+ */
+function compareSortPositions(sortKeys, left, right) {
+  for (let i = 0; i < sortKeys.length; i++) {
+    const leftValue = left.values[i];
+    const rightValue = right.values[i];
+
+    let comparison = 0;
+    if (typeof leftValue === "string") {
+      comparison = leftValue.localeCompare(rightValue);
+    } else {
+      comparison = leftValue - rightValue;
+    }
+
+    if (comparison !== 0) {
+      return sortKeys[i].direction === "asc" ? comparison : -comparison;
+    }
+  }
+
+  return String(left.id).localeCompare(String(right.id));
+}
+
+/**
+ * Create a comparator for sort keys
+ * @param {Array} sortKeys - Sort keys
+ * @param {Function} accessor - Maps an entry to { product, score }
+ * @returns {Function} Comparator
+ */
+function createComparator(sortKeys, accessor = (product) => ({ product })) {
+  return (a, b) => {
+    const left = accessor(a);
+    const right = accessor(b);
+
+    return compareSortPositions(
+      sortKeys,
+      getSortPosition(sortKeys, left.product, left.score),
+      getSortPosition(sortKeys, right.product, right.score)
+    );
+  };
+}
+
+/**
+ * Find where the page after a cursor position starts in a sorted list
+ * @param {Array} entries - Entries sorted by sortKeys
+ * @param {Array} sortKeys - Sort keys
+ * @param {Object} position - Cursor position { values, id }
+ * @param {Function} accessor - Maps an entry to { product, score }
+ * @returns {Number} Index of the first entry after the position
+ */
+function findCursorIndex(
+  entries,
+  sortKeys,
+  position,
+  accessor = (product) => ({ product })
+) {
+  const index = entries.findIndex((entry) => {
+    const { product, score } = accessor(entry);
+    return (
+      compareSortPositions(
+        sortKeys,
+        getSortPosition(sortKeys, product, score),
+        position
+      ) > 0
+    );
+  });
+
+  return index === -1 ? entries.length : index;
+}
+
+/**
+ * Translate sort keys into database ordering
+ * Keys without a column (relevance) are skipped
+ * @param {Array} sortKeys - Sort keys
+ * @returns {Array} Ordering as { column, ascending }
+ */
+function toDatabaseOrder(sortKeys) {
+  const order = sortKeys
+    .filter(({ field }) => SORT_FIELDS[field].column)
+    .map(({ field, direction }) => ({
+      column: SORT_FIELDS[field].column,
+      ascending: direction === "asc",
+    }));
+
+  order.push({ column: "id", ascending: true });
+  return order;
+}
+
+/**
+ * Quote a value for a PostgREST filter expression
+ */
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/["\\]/g, "\\$&")}"`;
+}
+
+/**
+ * Build a PostgREST filter for the rows after a keyset position
+ * Rows come after the position when they match it on the first columns and
+ * sort after it on the next one. Nulls sort last in both directions.
+ * @param {Array} ordering - Ordering as { column, ascending }
+ * @param {Array} values - Position values, one per ordering column
+ * @returns {String} Filter for query.or()
+ */
+function buildKeysetFilter(ordering, values) {
+  const equal = (column, value) =>
+    value === null
+      ? `${column}.is.null`
+      : `${column}.eq.${quoteFilterValue(value)}`;
+  const after = (column, ascending, value) =>
+    `or(${column}.${ascending ? "gt" : "lt"}.${quoteFilterValue(
+      value
+    )},${column}.is.null)`;
+
+  return ordering
+    .map(({ column, ascending }, index) => {
+      // Nothing sorts after a null except the ties on later columns
+      if (values[index] === null) return null;
+
+      const conditions = ordering
+        .slice(0, index)
+        .map((previous, i) => equal(previous.column, values[i]));
+      conditions.push(after(column, ascending, values[index]));
+
+      return conditions.length === 1
+        ? conditions[0]
+        : `and(${conditions.join(",")})`;
+    })
+    .filter(Boolean)
+    .join(",");
+}
+
+/**
+ * Serialize sort keys (used for cache keys and metadata)
+ */
+function serializeSort(sortKeys) {
+  return sortKeys
+    .map(({ field, direction }) => `${direction === "desc" ? "-" : ""}${field}`)
+    .join(",");
+}
+
+module.exports = {
+  SORT_FIELDS,
+  SORT_FIELD_ALIASES,
+  SEARCH_CLICK_WEIGHT,
+  resolveSortField,
+  parseSort,
+  findInvalidSortFields,
+  getSortPosition,
+  compareSortPositions,
+  createComparator,
+  findCursorIndex,
+  toDatabaseOrder,
+  buildKeysetFilter,
+  serializeSort,
+  getDiscountPercentage,
+  getPopularityScore,
+};
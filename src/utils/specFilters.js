@@ -0,0 +1,247 @@
+const {
+  SPEC_FIELDS,
+  normalizeSpecKey,
+  resolveSpecField,
+  getCategorySpecFields,
+  parseSpecNumber,
+} = require("../config/specifications");
+
+/**
+ * Specification Filters
+ * Parses `spec.<key><op><value>` query parameters and matches products
+ * against them using the specification schema
+ *
+ * Supported forms:
+ *   spec.ram_gb>=8     spec.ram_gb<=12    spec.ram_gb>6    spec.ram_gb<16
+ *   spec.storage=256GB spec.network!=4G   spec.ram_gb=8..12
+ */
+
+const SPEC_PARAM_PATTERN = /^spec\.([a-z0-9_ -]+?)\s*(>=|<=|!=|>|<|=)\s*(.*)$/i;
+const RANGE_OPERATORS = [">=", "<=", ">", "<"];
+
+/**
+ * Rebuild "key=value" pairs from a parsed query string
+ * The query parser splits on the first "=", so "spec.ram_gb>=8" arrives
+ * as { "spec.ram_gb>": "8" } and "spec.ram_gb>8" as { "spec.ram_gb>8": "" }
+ * @param {Object} query - Parsed query (req.query)
+ * @returns {Array<String>} Raw filter expressions
+ */
+function collectSpecExpressions(query = {}) {
+  const expressions = [];
+
+  Object.entries(query).forEach(([key, value]) => {
+    if (!key.toLowerCase().startsWith("spec.")) return;
+
+    const values = Array.isArray(value) ? value : [value];
+    values.forEach((item) => {
+      const text = item === undefined || item === null ? "" : String(item);
+      const hasOperator = /[<>]/.test(key.slice("spec.".length));
+      expressions.push(hasOperator && text === "" ? key : `${key}=${text}`);
+    });
+  });
+
+  return expressions;
+}
+
+/**
+ * Parse specification filters from a query object
+ * @param {Object} query - Parsed query (req.query)
+ * @param {Object} options - Parse options
+ * @param {String} options.category - Category slug whose schema is enforced
+ * @returns {Object} { filters, errors } - errors use the validation error format
+ */
+function parseSpecFilters(query = {}, options = {}) {
+  const filters = [];
+  const errors = [];
+  const allowedFields = getCategorySpecFields(options.category);
+
+  collectSpecExpressions(query).forEach((expression) => {
+    const match = expression.match(SPEC_PARAM_PATTERN);
+    if (!match) {
+      errors.push({
+        field: expression.split(/[<>=!]/)[0],
+        message:
+          "Specification filter must look like spec.<key><operator><value>",
+        value: expression,
+      });
+      return;
+    }
+
+    const [, rawKey, operator, rawValue] = match;
+    const value = rawValue.trim();
+    const param = `spec.${normalizeSpecKey(rawKey)}`;
+    const fieldName = resolveSpecField(rawKey);
+
+    if (!fieldName) {
+      errors.push({
+        field: param,
+        message: `Unknown specification: ${rawKey}`,
+        value,
+      });
+      return;
+    }
+
+    if (!allowedFields.includes(fieldName)) {
+      errors.push({
+        field: param,
+        message: `Specification ${rawKey} is not available for category ${options.category}`,
+        value,
+      });
+      return;
+    }
+
+    if (value === "") {
+      errors.push({
+        field: param,
+        message: "Specification filter value is required",
+        value,
+      });
+      return;
+    }
+
+    const field = SPEC_FIELDS[fieldName];
+    const filter = { field: fieldName, operator, value };
+
+    if (field.type === "number") {
+      const range = value.match(/^(.+?)\.\.(.+)$/);
+
+      if (range && operator === "=") {
+        filter.operator = "between";
+        filter.min = parseSpecNumber(range[1], field);
+        filter.max = parseSpecNumber(range[2], field);
+
+        if (filter.min === null || filter.max === null) {
+          errors.push({
+            field: param,
+            message: `Specification ${rawKey} range must be numeric (e.g. 8..12)`,
+            value,
+          });
+          return;
+        }
+      } else {
+        filter.number = parseSpecNumber(value, field);
+
+        if (filter.number === null) {
+          errors.push({
+            field: param,
+            message: `Specification ${rawKey} must be numeric${
+              field.unit ? ` (in ${field.unit})` : ""
+            }`,
+            value,
+          });
+          return;
+        }
+      }
+    } else if (RANGE_OPERATORS.includes(operator)) {
+      errors.push({
+        field: param,
+        message: `Specification ${rawKey} only supports = and != operators`,
+        value,
+      });
+      return;
+    }
+
+    filters.push(filter);
+  });
+
+  return { filters, errors };
+}
+
+/**
+ * Read a product's specification value for a schema field
+ * @param {Object} product - Product with specifications
+ * @param {String} fieldName - Schema field name
+ * @returns {*} Raw value or null if missing
+ */
+function getSpecValue(product, fieldName) {
+  const specs = product.specifications;
+  if (!specs || typeof specs !== "object") return null;
+
+  const field = SPEC_FIELDS[fieldName];
+  const candidates = [fieldName, ...field.aliases];
+
+  for (const [key, value] of Object.entries(specs)) {
+    if (value === null || value === undefined || value === "") continue;
+    if (candidates.includes(normalizeSpecKey(key))) return value;
+  }
+
+  return null;
+}
+
+/**
+ * Split a string specification into comparable tokens ("4G/5G" -> ["4g", "5g"])
+ */
+function tokenizeSpecValue(value) {
+  const text = String(value).toLowerCase().trim();
+  return [text, ...text.split(/\s*[\/,|]\s*|\s+/)].filter(Boolean);
+}
+
+/**
+ * Check a single filter against a product
+ */
+function matchesSpecFilter(product, filter) {
+  const field = SPEC_FIELDS[filter.field];
+  const rawValue = getSpecValue(product, filter.field);
+
+  if (rawValue === null) {
+    return filter.operator === "!=";
+  }
+
+  if (field.type === "number") {
+    const number = parseSpecNumber(rawValue, field);
+    if (number === null) return filter.operator === "!=";
+
+    switch (filter.operator) {
+      case ">=":
+        return number >= filter.number;
+      case "<=":
+        return number <= filter.number;
+      case ">":
+        return number > filter.number;
+      case "<":
+        return number < filter.number;
+      case "!=":
+        return number !== filter.number;
+      case "between":
+        return number >= filter.min && number <= filter.max;
+      default:
+        return number === filter.number;
+    }
+  }
+
+  const matches = tokenizeSpecValue(rawValue).includes(
+    String(filter.value).toLowerCase().trim()
+  );
+  return filter.operator === "!=" ? !matches : matches;
+}
+
+/**
+ * Check whether a product satisfies every specification filter
+ * @param {Object} product - Product with specifications
+ * @param {Array} filters - Parsed filters
+ * @returns {Boolean} True if all filters match
+ */
+function matchesSpecFilters(product, filters = []) {
+  return filters.every((filter) => matchesSpecFilter(product, filter));
+}
+
+/**
+ * Serialize filters into a stable string (used for cache keys)
+ */
+function serializeSpecFilters(filters = []) {
+  return filters
+    .map((filter) =>
+      filter.operator === "between"
+        ? `${filter.field}=${filter.min}..${filter.max}`
+        : `${filter.field}${filter.operator}${filter.value}`
+    )
+    .sort()
+    .join("&");
+}
+
+module.exports = {
+  parseSpecFilters,
+  matchesSpecFilters,
+  getSpecValue,
+  serializeSpecFilters,
+};
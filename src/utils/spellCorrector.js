@@ -0,0 +1,146 @@
+const PrefixTrie = require("./prefixTrie");
+const { foldText, tokenize } = require("./textNormalizer");
+
+const MIN_WORD_LENGTH = 3;
+
+/**
+ * Levenshtein distance between two words
+ */
+function editDistance(left, right) {
+  const a = Array.from(left);
+  const b = Array.from(right);
+  let previousRow = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row.push(
+        Math.min(row[j - 1] + 1, previousRow[j] + 1, previousRow[j - 1] + cost)
+      );
+    }
+    previousRow = row;
+  }
+
+  return previousRow[b.length];
+}
+
+/**
+ * Spell Corrector
+ * "Did you mean" corrections for search queries, word by word, against a
+ * vocabulary of weighted words (catalog text and past successful queries)
+ *
+ *   corrector.addText("Samsung Galaxy S24 Ultra", 1);
+ *   corrector.correct("samsng galaxy"); // "samsung galaxy"
+ *
+ * Words are folded with the search text normalizer, so corrections work for
+ * transliterated Hindi too. Words with digits, stopwords and words shorter
+ * than three letters are never corrected.
+ */
+class SpellCorrector {
+  constructor() {
+    this.words = new Map(); // folded word -> weight
+    this.stems = new Set(); // stems of the words, so "phone" is known from "phones"
+    this.trie = null; // built lazily from the words
+  }
+
+  /**
+   * Add a word to the vocabulary
+   * @param {String} word - Folded word
+   * @param {Number} weight - How strongly to prefer the word as a correction
+   */
+  addWord(word, weight = 1) {
+    if (!word) return;
+
+    this.words.set(word, (this.words.get(word) || 0) + weight);
+    tokenize(word).forEach((stem) => this.stems.add(stem));
+    this.trie = null;
+  }
+
+  /**
+   * Add every word of a text to the vocabulary
+   * @param {String} text - Text in any script
+   * @param {Number} weight - Weight per occurrence
+   */
+  addText(text, weight = 1) {
+    foldText(text)
+      .split(" ")
+      .forEach((word) => this.addWord(word, weight));
+  }
+
+  /**
+   * Whether a word (or its stem) is in the vocabulary
+   */
+  isKnown(word) {
+    if (this.words.has(word)) return true;
+
+    // Stopwords have no stem
+    const [stem] = tokenize(word);
+    return !stem || this.stems.has(stem);
+  }
+
+  /**
+   * Find the closest vocabulary word
+   * Shorter words allow one edit, longer words two; the closest candidate
+   * wins, then the heaviest
+   * @param {String} word - Folded word
+   * @returns {String|null} Correction, or null if none is close enough
+   */
+  correctWord(word) {
+    if (!this.trie) {
+      this.trie = new PrefixTrie();
+      this.words.forEach((weight, term) =>
+        this.trie.insert(term, { term, weight })
+      );
+    }
+
+    const maxDistance = word.length > 4 ? 2 : 1;
+    let best = null;
+
+    this.trie.findFuzzy(word, maxDistance, 1000).forEach(({ payload }) => {
+      const distance = editDistance(word, payload.term);
+      if (distance > maxDistance) return;
+
+      if (
+        !best ||
+        distance < best.distance ||
+        (distance === best.distance && payload.weight > best.weight)
+      ) {
+        best = { ...payload, distance };
+      }
+    });
+
+    return best ? best.term : null;
+  }
+
+  /**
+   * Correct the misspelled words of a query
+   * @param {String} query - Search query
+   * @returns {String|null} Corrected query (folded), or null when every
+   *   word is known or no correction was found
+   */
+  correct(query) {
+    const words = foldText(query).split(" ").filter(Boolean);
+    let changed = false;
+
+    const corrected = words.map((word) => {
+      if (
+        word.length < MIN_WORD_LENGTH ||
+        /\d/.test(word) ||
+        this.isKnown(word)
+      ) {
+        return word;
+      }
+
+      const correction = this.correctWord(word);
+      if (!correction) return word;
+
+      changed = true;
+      return correction;
+    });
+
+    return changed ? corrected.join(" ") : null;
+  }
+}
+
+module.exports = SpellCorrector;
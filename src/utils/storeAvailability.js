@@ -0,0 +1,92 @@
+/**
+ * Store Availability
+ * Per-store stock of products for store-scoped search and listings
+ *
+ * Products carry their store_inventory rows as `inventory`
+ * ([{ store_id, stock_quantity }]); a store scope is the list of stores a
+ * request is for, as resolved by storeService.resolveScope.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {Number} Distance in km
+ */
+function distanceKm(from, to) {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) *
+      Math.cos(toRadians(to.latitude)) *
+      Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Stock of a product at one store
+ * @param {Object} product - Product with inventory
+ * @param {String} storeId - Store ID
+ * @returns {Number} Stock quantity (0 when the store does not carry it)
+ */
+function getStoreStock(product, storeId) {
+  const row = (product.inventory || []).find(
+    (item) => item.store_id === storeId
+  );
+  return row ? row.stock_quantity : 0;
+}
+
+/**
+ * Total stock of a product across the stores of a scope
+ * @param {Object} product - Product with inventory
+ * @param {Array} stores - Store scope
+ * @returns {Number} Stock quantity
+ */
+function getLocalStock(product, stores) {
+  return stores.reduce(
+    (total, store) => total + getStoreStock(product, store.id),
+    0
+  );
+}
+
+/**
+ * Stock fields of a product for a store scope: in_stock and stock_status
+ * describe the scope's stores together, store_availability each store
+ * @param {Object} product - Product with inventory
+ * @param {Array} stores - Store scope
+ * @param {Function} getStockStatus - Stock status text for a quantity
+ * @returns {Object} { in_stock, stock_status, store_availability }
+ */
+function describeStoreAvailability(product, stores, getStockStatus) {
+  const localStock = getLocalStock(product, stores);
+
+  return {
+    in_stock: localStock > 0,
+    stock_status: getStockStatus(localStock),
+    store_availability: stores.map((store) => {
+      const quantity = getStoreStock(product, store.id);
+      return {
+        store_id: store.id,
+        store_name: store.name,
+        store_slug: store.slug,
+        distance_km: store.distance_km ?? null,
+        stock_quantity: quantity,
+        in_stock: quantity > 0,
+        stock_status: getStockStatus(quantity),
+      };
+    }),
+  };
+}
+
+module.exports = {
+  distanceKm,
+  getStoreStock,
+  getLocalStock,
+  describeStoreAvailability,
+};
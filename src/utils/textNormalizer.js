@@ -0,0 +1,297 @@
+const {
+  STOPWORDS,
+  HINDI_SUFFIXES,
+  ENGLISH_STEM_EXCEPTIONS,
+} = require("../config/languages");
+
+/**
+ * Text Normalizer
+ * Language-aware normalization shared by the search index and queries:
+ * Devanagari is transliterated to Latin, then text is Unicode-folded
+ * (compatibility forms and diacritics removed) and lowercased.
+ *
+ *   foldText("सैमसंग गैलेक्सी")   -> "saimsang gaileksi"
+ *   foldText("Café ＰＲＯ")         -> "cafe pro"
+ *   tokenize("सस्ते फ़ोनों के लिए") -> ["saste", "fon"]
+ *   tokenize("best phones")        -> ["best", "phone"]
+ */
+
+const DEVANAGARI_PATTERN = /[\u0900-\u097F]/;
+// Devanagari letters and signs, without the dandas and digits
+const DEVANAGARI_WORD_PATTERN = /[\u0900-\u0963\u0970-\u097F]+/g;
+const DEVANAGARI_DIGIT_PATTERN = /[\u0966-\u096F]/g;
+const WORD_SEPARATOR_PATTERN = /[^\p{L}\p{N}\p{M}]+/u;
+
+const NUKTA = "\u093C";
+const VIRAMA = "\u094D";
+
+const CONSONANTS = {
+  क: "k", ख: "kh", ग: "g", घ: "gh", ङ: "n",
+  च: "ch", छ: "chh", ज: "j", झ: "jh", ञ: "n",
+  ट: "t", ठ: "th", ड: "d", ढ: "dh", ण: "n",
+  त: "t", थ: "th", द: "d", ध: "dh", न: "n",
+  प: "p", फ: "ph", ब: "b", भ: "bh", म: "m",
+  य: "y", र: "r", ल: "l", ळ: "l", व: "v",
+  श: "sh", ष: "sh", स: "s", ह: "h",
+};
+
+// Consonants whose sound changes with a nukta (क़ = q, फ़ = f, ...)
+const NUKTA_CONSONANTS = {
+  क: "q", ख: "kh", ग: "g", ज: "z", ड: "r", ढ: "rh", फ: "f", य: "y",
+};
+
+const VOWELS = {
+  अ: "a", आ: "a", इ: "i", ई: "i", उ: "u", ऊ: "u", ऋ: "ri",
+  ए: "e", ऐ: "ai", ओ: "o", औ: "au", ऍ: "e", ऑ: "o",
+};
+
+const VOWEL_SIGNS = {
+  "ा": "a", "ि": "i", "ी": "i", "ु": "u", "ू": "u",
+  "ृ": "ri", "े": "e", "ै": "ai", "ो": "o",
+  "ौ": "au", "ॅ": "e", "ॉ": "o",
+};
+
+// Anusvara, chandrabindu and visarga
+const MODIFIERS = { "ं": "n", "ँ": "n", "ः": "h" };
+
+const HINDI_STOPWORDS = new Set(STOPWORDS.hi);
+const ROMANIZED_HINDI_STOPWORDS = new Set(STOPWORDS["hi-Latn"]);
+const LATIN_STOPWORDS = new Set([
+  ...STOPWORDS.en,
+  ...STOPWORDS["hi-Latn"],
+]);
+const STEM_EXCEPTIONS = new Set(ENGLISH_STEM_EXCEPTIONS);
+
+/**
+ * Transliterate one Devanagari word
+ * Every consonant carries an inherent "a"; Hindi drops it at the end of a
+ * word and between two pronounced syllables (कमरा = kamra, not kamara).
+ * Deletion runs right to left so it never removes two schwas in a row.
+ * @param {String} word - Devanagari letters (NFD)
+ * @returns {String} Latin transliteration
+ */
+function transliterateWord(word) {
+  const chars = Array.from(word);
+  const syllables = [];
+
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
+
+    if (CONSONANTS[char]) {
+      const syllable = {
+        consonant: CONSONANTS[char],
+        vowel: "a",
+        inherent: true,
+        coda: "",
+      };
+
+      if (chars[i + 1] === NUKTA) {
+        syllable.consonant = NUKTA_CONSONANTS[char] || syllable.consonant;
+        i++;
+      }
+
+      if (chars[i + 1] === VIRAMA) {
+        syllable.vowel = "";
+        syllable.inherent = false;
+        i++;
+      } else if (VOWEL_SIGNS[chars[i + 1]]) {
+        syllable.vowel = VOWEL_SIGNS[chars[i + 1]];
+        syllable.inherent = false;
+        i++;
+      }
+
+      syllables.push(syllable);
+    } else if (VOWELS[char]) {
+      syllables.push({
+        consonant: "",
+        vowel: VOWELS[char],
+        inherent: false,
+        coda: "",
+      });
+    } else if (MODIFIERS[char] && syllables.length > 0) {
+      syllables[syllables.length - 1].coda += MODIFIERS[char];
+    }
+  }
+
+  const last = syllables[syllables.length - 1];
+  if (syllables.length > 1 && last.inherent && !last.coda) {
+    last.vowel = "";
+  }
+
+  for (let i = syllables.length - 2; i > 0; i--) {
+    const syllable = syllables[i];
+    const next = syllables[i + 1];
+
+    if (
+      syllable.inherent &&
+      !syllable.coda &&
+      syllables[i - 1].vowel &&
+      next.consonant &&
+      next.vowel
+    ) {
+      syllable.vowel = "";
+    }
+  }
+
+  return syllables
+    .map((syllable) => syllable.consonant + syllable.vowel + syllable.coda)
+    .join("");
+}
+
+/**
+ * Transliterate Devanagari in a text to Latin, leaving other text as is
+ * @param {String} text - Text in any script
+ * @returns {String} Text with Devanagari words transliterated
+ */
+function transliterate(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(DEVANAGARI_DIGIT_PATTERN, (digit) =>
+      String(digit.charCodeAt(0) - 0x0966)
+    )
+    .replace(DEVANAGARI_WORD_PATTERN, transliterateWord);
+}
+
+/**
+ * Transliterate, Unicode-fold and lowercase a text
+ * Punctuation becomes a single space
+ * @param {String} text - Text in any script
+ * @returns {String} Normalized text
+ */
+function foldText(text) {
+  return transliterate(text)
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+/**
+ * Strip a Hindi inflectional suffix, keeping at least two letters
+ * @param {String} word - Devanagari word (NFC)
+ */
+function stemHindi(word) {
+  const suffix = HINDI_SUFFIXES.find(
+    (candidate) =>
+      word.endsWith(candidate) &&
+      Array.from(word).length - Array.from(candidate).length >= 2
+  );
+
+  return suffix ? word.slice(0, -suffix.length) : word;
+}
+
+/**
+ * Reduce an English plural to its singular (phones -> phone)
+ * @param {String} token - Folded Latin token
+ */
+function stemEnglish(token) {
+  if (!/^[a-z]{4,}$/.test(token) || STEM_EXCEPTIONS.has(token)) return token;
+
+  if (token.endsWith("ies") && token.length > 4) {
+    return `${token.slice(0, -3)}y`;
+  }
+  if (/(ss|x|z|ch|sh)es$/.test(token)) return token.slice(0, -2);
+  if (/[^su]s$/.test(token)) return token.slice(0, -1);
+
+  return token;
+}
+
+/**
+ * Phonetic key of a Latin term, so transliterated Hindi meets English
+ * spellings: galaxy and gaileksi both become "glks", battery and baitri "btr"
+ * Spellings of the same sound are unified, aspiration and doubled letters
+ * dropped, a leading vowel becomes "a" and the other vowels are removed
+ * @param {String} term - Folded term
+ * @returns {String} Phonetic key ("" for terms with digits)
+ */
+function phoneticKey(term) {
+  if (!/^[a-z]+$/.test(term)) return "";
+
+  return term
+    .replace(/ph/g, "f")
+    .replace(/x/g, "ks")
+    .replace(/q/g, "k")
+    .replace(/ch+/g, "C") // kept apart from the hard c below
+    .replace(/c(?=[eiy])/g, "s")
+    .replace(/c/g, "k")
+    .replace(/g(?=[ei])/g, "j")
+    .replace(/([kgtdbjs])h/g, "$1")
+    .replace(/w/g, "v")
+    .replace(/z/g, "j")
+    .replace(/([a-z])\1+/g, "$1")
+    .replace(/^[aeiouy]+/, "a")
+    .replace(/(?!^)[aeiouy]/g, "")
+    .toLowerCase();
+}
+
+/**
+ * Split a text into normalized search terms
+ * Stopwords and stemming follow each word's script: Devanagari words use
+ * the Hindi rules before transliteration, Latin words the English and
+ * Romanized Hindi stopwords and English stemming.
+ * @param {String} text - Text in any script
+ * @param {Object} options - { stem } (default true)
+ * @returns {Array<String>} Terms
+ */
+function tokenize(text, { stem = true } = {}) {
+  return String(text || "")
+    .normalize("NFC")
+    .split(WORD_SEPARATOR_PATTERN)
+    .flatMap((word) => {
+      if (!word) return [];
+
+      if (DEVANAGARI_PATTERN.test(word)) {
+        if (HINDI_STOPWORDS.has(word)) return [];
+        return foldText(stem ? stemHindi(word) : word).split(" ");
+      }
+
+      return foldText(word)
+        .split(" ")
+        .filter((token) => !LATIN_STOPWORDS.has(token))
+        .map((token) => (stem ? stemEnglish(token) : token));
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Detect the language of a query
+ * @param {String} text - Query text
+ * @returns {String} "hi" (Devanagari), "hi-Latn" (Romanized Hindi) or "en"
+ */
+function detectLanguage(text) {
+  if (DEVANAGARI_PATTERN.test(text)) return "hi";
+
+  const words = foldText(text).split(" ");
+  return words.some((word) => ROMANIZED_HINDI_STOPWORDS.has(word))
+    ? "hi-Latn"
+    : "en";
+}
+
+/**
+ * Normalize a search query
+ * A query made only of stopwords is kept rather than emptied
+ * @param {String} query - Raw query
+ * @returns {Object} { text, terms, language }: text is the folded query
+ *   without stopwords, terms are its stemmed words
+ */
+function analyzeQuery(query) {
+  const words = tokenize(query, { stem: false });
+  const terms = tokenize(query);
+  const folded = foldText(query);
+
+  return {
+    text: words.length > 0 ? words.join(" ") : folded,
+    terms: terms.length > 0 ? terms : folded.split(" ").filter(Boolean),
+    language: detectLanguage(query),
+  };
+}
+
+module.exports = {
+  transliterate,
+  foldText,
+  phoneticKey,
+  tokenize,
+  detectLanguage,
+  analyzeQuery,
+};
@@ -0,0 +1,158 @@
+const crypto = require("crypto");
+
+/**
+ * TOTP (RFC 6238)
+ * Time-based one-time passwords as generated by authenticator apps:
+ * HMAC-SHA1 over 30-second time steps, 6 digits, base32-encoded secrets
+ */
+
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Encode bytes as base32 (RFC 4648, without padding)
+ * @param {Buffer} buffer - Bytes
+ * @returns {String} Base32 text
+ */
+function encodeBase32(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode base32 text (case, spaces and padding are ignored)
+ * @param {String} text - Base32 text
+ * @returns {Buffer} Bytes
+ * @throws {Error} On characters outside the base32 alphabet
+ */
+function decodeBase32(text) {
+  const clean = text.toUpperCase().replace(/[\s=]/g, "");
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 secret");
+
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a random secret
+ * @param {Number} bytes - Secret length (20 bytes = 160 bits, as RFC 4226
+ *   recommends)
+ * @returns {String} Base32 secret
+ */
+function generateSecret(bytes = 20) {
+  return encodeBase32(crypto.randomBytes(bytes));
+}
+
+/**
+ * Time step of a moment
+ * @param {Number} now - Milliseconds since the epoch
+ * @returns {Number} Time step
+ */
+function getTimeStep(now = Date.now()) {
+  return Math.floor(now / 1000 / PERIOD_SECONDS);
+}
+
+/**
+ * Generate the code of a time step (HOTP with the step as counter)
+ * @param {String} secret - Base32 secret
+ * @param {Number} step - Time step
+ * @returns {String} Zero-padded code
+ */
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", decodeBase32(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+/**
+ * Verify a code, allowing for clock drift
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code entered by the user
+ * @param {Object} options - window: steps accepted before and after the
+ *   current one; now: current time in ms
+ * @returns {Number|null} Matched time step, or null when the code is wrong
+ */
+function verifyCode(secret, code, { window = 1, now = Date.now() } = {}) {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+  const current = getTimeStep(now);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = generateCode(secret, step);
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))
+    ) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI authenticator apps import (usually as a QR code)
+ * @param {Object} params - { secret, accountName, issuer }
+ * @returns {String} Provisioning URI
+ */
+function buildProvisioningUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  // Spaces as %20 rather than "+", which some authenticator apps show as is
+  const query = Object.entries({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: DIGITS,
+    period: PERIOD_SECONDS,
+  })
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join("&");
+
+  return `otpauth://totp/${label}?${query}`;
+}
+
+module.exports = {
+  encodeBase32,
+  decodeBase32,
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildProvisioningUri,
+};
@@ -63,6 +63,10 @@ CREATE TABLE IF NOT EXISTS products (
     -- Product specifications (JSON field)
     specifications JSONB DEFAULT '{}',
 
+    -- Translated names and descriptions by language code, indexed by search
+    -- e.g. {"hi": {"name": "सैमसंग गैलेक्सी A15", "description": "..."}}
+    localized JSONB DEFAULT '{}',
+
     -- Images (array of image URLs)
     images TEXT[] DEFAULT ARRAY[]::TEXT[],
     featured_image TEXT,
@@ -82,6 +86,11 @@ CREATE TABLE IF NOT EXISTS products (
     average_rating DECIMAL(3,2) DEFAULT 0,
     total_reviews INTEGER DEFAULT 0,
 
+    -- Popularity (search clicks weigh 5x a view, see src/utils/sortSpec.js)
+    view_count INTEGER DEFAULT 0,
+    search_click_count INTEGER DEFAULT 0,
+    popularity_score INTEGER GENERATED ALWAYS AS (view_count + 5 * search_click_count) STORED,
+
     -- Timestamps
     published_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
@@ -119,6 +128,13 @@ CREATE TABLE IF NOT EXISTS admins (
     login_attempts INTEGER DEFAULT 0,
     locked_until TIMESTAMP WITH TIME ZONE,
 
+    -- Two-factor authentication (TOTP secret encrypted by the API; the last
+    -- used time step stops a code from being used twice)
+    totp_secret TEXT,
+    totp_enabled BOOLEAN DEFAULT false,
+    totp_enabled_at TIMESTAMP WITH TIME ZONE,
+    totp_last_used_step BIGINT,
+
     -- Permissions (JSON field for flexible role management)
     permissions JSONB DEFAULT '{}',
 
@@ -127,16 +143,175 @@ CREATE TABLE IF NOT EXISTS admins (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
--- Product search optimization table
+-- Admin sessions, one per login. A session ends when it expires (its latest
+-- refresh token expires) or is revoked; access tokens carry the session ID and
+-- are rejected once it is revoked.
+CREATE TABLE IF NOT EXISTS admin_sessions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    admin_id UUID NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+    device VARCHAR(100),
+    ip_address INET,
+    user_agent TEXT,
+    last_active_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_reason VARCHAR(50),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Refresh tokens, stored hashed. Each refresh marks the presented token used
+-- and issues its replacement in the same session, so a used token presented
+-- again means it leaked and revokes the session.
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    admin_id UUID NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+    session_id UUID NOT NULL REFERENCES admin_sessions(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    replaced_by UUID REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Two-factor recovery codes, stored hashed; each can be used once
+CREATE TABLE IF NOT EXISTS admin_recovery_codes (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    admin_id UUID NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (admin_id, code_hash)
+);
+
+-- Emailed account tokens (password reset, email verification), stored hashed;
+-- each can be used once before it expires
+CREATE TABLE IF NOT EXISTS admin_account_tokens (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    admin_id UUID NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+    purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    email VARCHAR(255) NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Application settings managed by super admins (e.g. two_factor_policy)
+CREATE TABLE IF NOT EXISTS app_settings (
+    key VARCHAR(100) PRIMARY KEY,
+    value JSONB NOT NULL,
+    updated_by UUID REFERENCES admins(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Product search optimization table (one row per product, maintained by
+-- triggers and queried by search_products_fts)
 CREATE TABLE IF NOT EXISTS product_search_data (
     id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
-    product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL UNIQUE REFERENCES products(id) ON DELETE CASCADE,
     search_vector TSVECTOR,
     keywords TEXT[],
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Search synonym dictionary (managed through /api/admin/search/synonyms)
+CREATE TABLE IF NOT EXISTS search_synonyms (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    term VARCHAR(100) NOT NULL,
+    synonyms TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[],
+    -- two_way: interchangeable, one_way: term also searches synonyms, alias: term is rewritten
+    type VARCHAR(20) NOT NULL DEFAULT 'two_way' CHECK (type IN ('two_way', 'one_way', 'alias')),
+    is_active BOOLEAN DEFAULT true,
+    created_by UUID REFERENCES admins(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Search analytics (one row per search request)
+CREATE TABLE IF NOT EXISTS search_analytics (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    query TEXT NOT NULL DEFAULT '',
+    normalized_query TEXT NOT NULL DEFAULT '',
+    filters JSONB DEFAULT '{}',
+    result_count INTEGER NOT NULL DEFAULT 0,
+    latency_ms INTEGER,
+    -- Salted hash of the client, never the raw IP or user agent
+    session_hash VARCHAR(64),
+    -- Returned to clients as metadata.searchId and echoed back with click events
+    search_id UUID,
+    -- Products returned on the page; result events for other products are rejected
+    result_ids UUID[] NOT NULL DEFAULT '{}',
+    from_cache BOOLEAN DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Clicks and add-to-carts per normalized query and product (click-through ranking)
+CREATE TABLE IF NOT EXISTS search_click_stats (
+    normalized_query TEXT NOT NULL,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    clicks INTEGER NOT NULL DEFAULT 0,
+    add_to_carts INTEGER NOT NULL DEFAULT 0,
+    last_event_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (normalized_query, product_id)
+);
+
+-- Result events already counted, so each search counts a click or
+-- add-to-cart on a product once
+CREATE TABLE IF NOT EXISTS search_interactions (
+    search_id UUID NOT NULL,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    event VARCHAR(20) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (search_id, product_id, event)
+);
+
+-- Product page views per anonymized session ("customers also viewed")
+CREATE TABLE IF NOT EXISTS product_views (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    -- Salted daily hash of the client, as in search_analytics
+    session_hash VARCHAR(64) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Physical stores (managed through /api/stores)
+CREATE TABLE IF NOT EXISTS stores (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    name VARCHAR(150) NOT NULL,
+    slug VARCHAR(150) NOT NULL UNIQUE,
+    address TEXT,
+    city VARCHAR(100),
+    phone VARCHAR(30),
+    latitude DECIMAL(9,6) NOT NULL CHECK (latitude BETWEEN -90 AND 90),
+    longitude DECIMAL(9,6) NOT NULL CHECK (longitude BETWEEN -180 AND 180),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Stock per store; products.stock_quantity remains the online stock
+CREATE TABLE IF NOT EXISTS store_inventory (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    store_id UUID NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    stock_quantity INTEGER NOT NULL DEFAULT 0 CHECK (stock_quantity >= 0),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (store_id, product_id)
+);
+
+-- Versioned search relevance profiles (managed through /api/admin/search/config)
+CREATE TABLE IF NOT EXISTS search_relevance_profiles (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    version INTEGER NOT NULL UNIQUE,
+    settings JSONB NOT NULL,
+    notes TEXT,
+    is_active BOOLEAN DEFAULT false,
+    created_by UUID REFERENCES admins(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    activated_at TIMESTAMP WITH TIME ZONE
+);
+
 -- Activity logs table for admin actions
 CREATE TABLE IF NOT EXISTS activity_logs (
     id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
@@ -165,6 +340,8 @@ CREATE INDEX IF NOT EXISTS idx_products_stock ON products(stock_quantity);
 CREATE INDEX IF NOT EXISTS idx_products_price ON products(price);
 CREATE INDEX IF NOT EXISTS idx_products_is_featured ON products(is_featured);
 CREATE INDEX IF NOT EXISTS idx_products_created_at ON products(created_at);
+CREATE INDEX IF NOT EXISTS idx_products_discount ON products(discount_percentage);
+CREATE INDEX IF NOT EXISTS idx_products_popularity ON products(popularity_score);
 CREATE INDEX IF NOT EXISTS idx_products_name ON products USING gin(to_tsvector('english', name));
 CREATE INDEX IF NOT EXISTS idx_products_description ON products USING gin(to_tsvector('english', description));
 
@@ -177,9 +354,34 @@ CREATE INDEX IF NOT EXISTS idx_brands_sort_order ON brands(sort_order);
 CREATE INDEX IF NOT EXISTS idx_admins_email ON admins(email);
 CREATE INDEX IF NOT EXISTS idx_admins_is_active ON admins(is_active);
 
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_admin_id ON admin_sessions(admin_id, last_active_at);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_admin_id ON refresh_tokens(admin_id);
+CREATE INDEX IF NOT EXISTS idx_admin_account_tokens_admin_id ON admin_account_tokens(admin_id, purpose);
+
 CREATE INDEX IF NOT EXISTS idx_product_search_vector ON product_search_data USING gin(search_vector);
 CREATE INDEX IF NOT EXISTS idx_product_search_keywords ON product_search_data USING gin(keywords);
 
+CREATE INDEX IF NOT EXISTS idx_search_synonyms_term ON search_synonyms(term);
+
+CREATE INDEX IF NOT EXISTS idx_search_analytics_created_at ON search_analytics(created_at);
+CREATE INDEX IF NOT EXISTS idx_search_analytics_normalized_query ON search_analytics(normalized_query, created_at);
+CREATE INDEX IF NOT EXISTS idx_search_analytics_zero_results ON search_analytics(created_at) WHERE result_count = 0;
+CREATE INDEX IF NOT EXISTS idx_search_analytics_search_id ON search_analytics(search_id);
+
+CREATE INDEX IF NOT EXISTS idx_search_interactions_created_at ON search_interactions(created_at);
+
+CREATE INDEX IF NOT EXISTS idx_product_views_product_id ON product_views(product_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_product_views_session ON product_views(session_hash, created_at);
+-- Session hashes change daily, so this counts a product once per session per day
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_views_unique_session ON product_views(product_id, session_hash);
+
+CREATE INDEX IF NOT EXISTS idx_stores_is_active ON stores(is_active);
+CREATE INDEX IF NOT EXISTS idx_store_inventory_product_id ON store_inventory(product_id);
+
+-- At most one active relevance profile
+CREATE UNIQUE INDEX IF NOT EXISTS idx_search_relevance_profiles_active ON search_relevance_profiles(is_active) WHERE is_active;
+
 CREATE INDEX IF NOT EXISTS idx_activity_logs_admin_id ON activity_logs(admin_id);
 CREATE INDEX IF NOT EXISTS idx_activity_logs_created_at ON activity_logs(created_at);
 
@@ -198,43 +400,121 @@ CREATE TRIGGER update_brands_updated_at BEFORE UPDATE ON brands FOR EACH ROW EXE
 CREATE TRIGGER update_products_updated_at BEFORE UPDATE ON products FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_admins_updated_at BEFORE UPDATE ON admins FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_product_search_data_updated_at BEFORE UPDATE ON product_search_data FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-
--- Function to update product search data
-CREATE OR REPLACE FUNCTION update_product_search_data()
-RETURNS TRIGGER AS $$
+CREATE TRIGGER update_search_synonyms_updated_at BEFORE UPDATE ON search_synonyms FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_stores_updated_at BEFORE UPDATE ON stores FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_store_inventory_updated_at BEFORE UPDATE ON store_inventory FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_app_settings_updated_at BEFORE UPDATE ON app_settings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Rebuild the search vector of one product
+-- Weights: A name and model, B brand, category and localized names,
+-- C short and localized descriptions, D description and specification values.
+-- Text is indexed with both the english (stemmed) and simple configurations
+-- so model numbers and brand names match as typed.
+CREATE OR REPLACE FUNCTION refresh_product_search_data(p_product_id UUID)
+RETURNS VOID AS $$
 BEGIN
-    -- Update or insert search data for the product
     INSERT INTO product_search_data (product_id, search_vector, keywords)
-    VALUES (
-        NEW.id,
-        to_tsvector('english', 
-            COALESCE(NEW.name, '') || ' ' || 
-            COALESCE(NEW.description, '') || ' ' ||
-            COALESCE(NEW.short_description, '') || ' ' ||
-            COALESCE(NEW.model, '')
-        ),
+    SELECT
+        p.id,
+        setweight(to_tsvector('english', COALESCE(p.name, '')), 'A') ||
+        setweight(to_tsvector('simple', COALESCE(p.name, '') || ' ' || COALESCE(p.model, '')), 'A') ||
+        setweight(to_tsvector('simple', COALESCE(b.name, '') || ' ' || COALESCE(c.name, '') || ' ' || COALESCE(loc.names, '')), 'B') ||
+        setweight(to_tsvector('english', COALESCE(p.short_description, '') || ' ' || COALESCE(loc.descriptions, '')), 'C') ||
+        setweight(to_tsvector('english', COALESCE(p.description, '')), 'D') ||
+        setweight(to_tsvector('simple', COALESCE(spec.text, '')), 'D'),
         ARRAY[
-            LOWER(NEW.name),
-            LOWER(COALESCE(NEW.model, '')),
-            LOWER(COALESCE(NEW.short_description, ''))
+            LOWER(p.name),
+            LOWER(COALESCE(p.model, '')),
+            LOWER(COALESCE(b.name, '')),
+            LOWER(COALESCE(c.name, ''))
         ]
-    )
-    ON CONFLICT (product_id) 
-    DO UPDATE SET 
+    FROM products p
+    LEFT JOIN brands b ON b.id = p.brand_id
+    LEFT JOIN categories c ON c.id = p.category_id
+    LEFT JOIN LATERAL (
+        SELECT string_agg(value->>'name', ' ') AS names,
+               string_agg(value->>'description', ' ') AS descriptions
+        FROM jsonb_each(CASE WHEN jsonb_typeof(p.localized) = 'object' THEN p.localized ELSE '{}'::jsonb END)
+    ) loc ON true
+    LEFT JOIN LATERAL (
+        SELECT string_agg(value, ' ') AS text
+        FROM jsonb_each_text(CASE WHEN jsonb_typeof(p.specifications) = 'object' THEN p.specifications ELSE '{}'::jsonb END)
+    ) spec ON true
+    WHERE p.id = p_product_id
+    ON CONFLICT (product_id)
+    DO UPDATE SET
         search_vector = EXCLUDED.search_vector,
         keywords = EXCLUDED.keywords,
         updated_at = NOW();
+END;
+$$ LANGUAGE plpgsql;
 
+-- Function to update product search data
+CREATE OR REPLACE FUNCTION update_product_search_data()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM refresh_product_search_data(NEW.id);
     RETURN NEW;
 END;
 $$ LANGUAGE plpgsql;
 
--- Apply search update trigger
-CREATE TRIGGER update_product_search_trigger 
-    AFTER INSERT OR UPDATE ON products 
-    FOR EACH ROW 
+-- Apply search update trigger (only for columns that feed the search vector,
+-- so view and click counters do not rebuild it)
+CREATE TRIGGER update_product_search_trigger
+    AFTER INSERT OR UPDATE OF name, model, description, short_description, brand_id, category_id, specifications, localized
+    ON products
+    FOR EACH ROW
     EXECUTE FUNCTION update_product_search_data();
 
+-- Function to update the search data of a renamed brand's or category's products
+CREATE OR REPLACE FUNCTION update_taxonomy_search_data()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_TABLE_NAME = 'brands' THEN
+        PERFORM refresh_product_search_data(id) FROM products WHERE brand_id = NEW.id;
+    ELSE
+        PERFORM refresh_product_search_data(id) FROM products WHERE category_id = NEW.id;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_brand_search_trigger
+    AFTER UPDATE OF name ON brands
+    FOR EACH ROW
+    EXECUTE FUNCTION update_taxonomy_search_data();
+
+CREATE TRIGGER update_category_search_trigger
+    AFTER UPDATE OF name ON categories
+    FOR EACH ROW
+    EXECUTE FUNCTION update_taxonomy_search_data();
+
+-- Full-text search over active products, ranked with ts_rank_cd normalized
+-- to 0..1; a product matching any of the queries (the query and its
+-- synonym variants) is returned with its best rank
+-- p_product_ids restricts ranking to the candidates left after the API's
+-- filters, so p_limit applies to filtered matches (NULL ranks every product)
+DROP FUNCTION IF EXISTS search_products_fts(TEXT[], INTEGER);
+CREATE OR REPLACE FUNCTION search_products_fts(
+    p_queries TEXT[],
+    p_limit INTEGER DEFAULT 1000,
+    p_product_ids UUID[] DEFAULT NULL
+)
+RETURNS TABLE (product_id UUID, rank REAL) AS $$
+    SELECT d.product_id, MAX(ts_rank_cd(d.search_vector, q.query, 32))::REAL
+    FROM product_search_data d
+    JOIN products p ON p.id = d.product_id AND p.status = 'active'
+    CROSS JOIN (
+        SELECT websearch_to_tsquery('english', t) || websearch_to_tsquery('simple', t) AS query
+        FROM unnest(p_queries) AS t
+    ) q
+    WHERE d.search_vector @@ q.query
+      AND (p_product_ids IS NULL OR d.product_id = ANY(p_product_ids))
+    GROUP BY d.product_id
+    ORDER BY 2 DESC, d.product_id
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
 -- Function to calculate discount percentage
 CREATE OR REPLACE FUNCTION calculate_discount_percentage()
 RETURNS TRIGGER AS $$
@@ -254,31 +534,230 @@ CREATE TRIGGER calculate_discount_trigger
     FOR EACH ROW 
     EXECUTE FUNCTION calculate_discount_percentage();
 
+-- Search analytics: most frequent queries in a date range
+CREATE OR REPLACE FUNCTION get_top_search_queries(p_from TIMESTAMPTZ, p_to TIMESTAMPTZ, p_limit INTEGER DEFAULT 20)
+RETURNS TABLE (query TEXT, searches BIGINT, sessions BIGINT, avg_results NUMERIC, zero_result_searches BIGINT, last_searched_at TIMESTAMPTZ) AS $$
+    SELECT normalized_query,
+           COUNT(*),
+           COUNT(DISTINCT session_hash),
+           ROUND(AVG(result_count), 1),
+           COUNT(*) FILTER (WHERE result_count = 0),
+           MAX(created_at)
+    FROM search_analytics
+    WHERE created_at >= p_from AND created_at < p_to AND normalized_query <> ''
+    GROUP BY normalized_query
+    ORDER BY COUNT(*) DESC, normalized_query
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+-- Search analytics: queries that returned nothing in a date range
+CREATE OR REPLACE FUNCTION get_zero_result_queries(p_from TIMESTAMPTZ, p_to TIMESTAMPTZ, p_limit INTEGER DEFAULT 20)
+RETURNS TABLE (query TEXT, searches BIGINT, sessions BIGINT, first_searched_at TIMESTAMPTZ, last_searched_at TIMESTAMPTZ) AS $$
+    SELECT normalized_query,
+           COUNT(*),
+           COUNT(DISTINCT session_hash),
+           MIN(created_at),
+           MAX(created_at)
+    FROM search_analytics
+    WHERE created_at >= p_from AND created_at < p_to
+      AND result_count = 0 AND normalized_query <> ''
+    GROUP BY normalized_query
+    ORDER BY COUNT(*) DESC, normalized_query
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+-- Search analytics: search volume per time bucket, optionally for one query
+CREATE OR REPLACE FUNCTION get_search_trends(p_from TIMESTAMPTZ, p_to TIMESTAMPTZ, p_interval TEXT DEFAULT 'day', p_query TEXT DEFAULT NULL)
+RETURNS TABLE (bucket TIMESTAMPTZ, searches BIGINT, sessions BIGINT, zero_result_searches BIGINT, avg_latency_ms NUMERIC) AS $$
+    SELECT date_trunc(p_interval, created_at),
+           COUNT(*),
+           COUNT(DISTINCT session_hash),
+           COUNT(*) FILTER (WHERE result_count = 0),
+           ROUND(AVG(latency_ms), 1)
+    FROM search_analytics
+    WHERE created_at >= p_from AND created_at < p_to
+      AND (p_query IS NULL OR normalized_query = p_query)
+    GROUP BY 1
+    ORDER BY 1;
+$$ LANGUAGE sql STABLE;
+
+-- Record a click or add-to-cart on a search result, once per search, product
+-- and event. Clicks also count towards the product's popularity. Returns
+-- false when the event was already recorded.
+DROP FUNCTION IF EXISTS record_search_interaction(TEXT, UUID, TEXT);
+CREATE OR REPLACE FUNCTION record_search_interaction(p_search_id UUID, p_query TEXT, p_product_id UUID, p_event TEXT)
+RETURNS BOOLEAN AS $$
+BEGIN
+    IF p_event NOT IN ('search_click', 'add_to_cart') THEN
+        RAISE EXCEPTION 'Unknown search interaction: %', p_event;
+    END IF;
+
+    INSERT INTO search_interactions (search_id, product_id, event)
+    VALUES (p_search_id, p_product_id, p_event)
+    ON CONFLICT DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN false;
+    END IF;
+
+    IF p_event = 'search_click' THEN
+        UPDATE products SET search_click_count = search_click_count + 1 WHERE id = p_product_id;
+    END IF;
+
+    IF p_query = '' THEN
+        RETURN true;
+    END IF;
+
+    INSERT INTO search_click_stats (normalized_query, product_id, clicks, add_to_carts)
+    VALUES (
+        p_query,
+        p_product_id,
+        CASE WHEN p_event = 'search_click' THEN 1 ELSE 0 END,
+        CASE WHEN p_event = 'add_to_cart' THEN 1 ELSE 0 END
+    )
+    ON CONFLICT (normalized_query, product_id) DO UPDATE SET
+        clicks = search_click_stats.clicks + EXCLUDED.clicks,
+        add_to_carts = search_click_stats.add_to_carts + EXCLUDED.add_to_carts,
+        last_event_at = NOW();
+
+    RETURN true;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Record a product page view, once per product and session, and count it
+-- towards the product's popularity. Returns false when the session had
+-- already viewed the product.
+CREATE OR REPLACE FUNCTION record_product_view(p_product_id UUID, p_session_hash TEXT)
+RETURNS BOOLEAN AS $$
+BEGIN
+    INSERT INTO product_views (product_id, session_hash)
+    VALUES (p_product_id, p_session_hash)
+    ON CONFLICT DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN false;
+    END IF;
+
+    UPDATE products SET view_count = view_count + 1 WHERE id = p_product_id;
+    RETURN true;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Products viewed in the same sessions as a product since a given time,
+-- by number of sessions that viewed both
+CREATE OR REPLACE FUNCTION get_also_viewed_products(p_product_id UUID, p_since TIMESTAMPTZ, p_limit INTEGER DEFAULT 20)
+RETURNS TABLE (product_id UUID, sessions BIGINT) AS $$
+    SELECT other.product_id, COUNT(DISTINCT other.session_hash)
+    FROM product_views viewed
+    JOIN product_views other
+      ON other.session_hash = viewed.session_hash
+     AND other.product_id <> viewed.product_id
+     AND other.created_at >= p_since
+    WHERE viewed.product_id = p_product_id AND viewed.created_at >= p_since
+    GROUP BY other.product_id
+    ORDER BY COUNT(DISTINCT other.session_hash) DESC, other.product_id
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+-- Save a relevance profile as the next version and activate it
+CREATE OR REPLACE FUNCTION create_relevance_profile(p_settings JSONB, p_notes TEXT, p_created_by UUID)
+RETURNS search_relevance_profiles AS $$
+DECLARE
+    new_profile search_relevance_profiles;
+BEGIN
+    -- Serialize writers so version numbers stay sequential
+    LOCK TABLE search_relevance_profiles IN SHARE ROW EXCLUSIVE MODE;
+
+    UPDATE search_relevance_profiles SET is_active = false WHERE is_active;
+
+    INSERT INTO search_relevance_profiles (version, settings, notes, is_active, created_by, activated_at)
+    SELECT COALESCE(MAX(version), 0) + 1, p_settings, p_notes, true, p_created_by, NOW()
+    FROM search_relevance_profiles
+    RETURNING * INTO new_profile;
+
+    RETURN new_profile;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Re-activate an earlier relevance profile version (rollback)
+CREATE OR REPLACE FUNCTION activate_relevance_profile(p_version INTEGER)
+RETURNS search_relevance_profiles AS $$
+DECLARE
+    activated search_relevance_profiles;
+BEGIN
+    LOCK TABLE search_relevance_profiles IN SHARE ROW EXCLUSIVE MODE;
+
+    IF NOT EXISTS (SELECT 1 FROM search_relevance_profiles WHERE version = p_version) THEN
+        RAISE EXCEPTION 'Relevance profile version % not found', p_version;
+    END IF;
+
+    UPDATE search_relevance_profiles SET is_active = false WHERE is_active;
+
+    UPDATE search_relevance_profiles
+    SET is_active = true, activated_at = NOW()
+    WHERE version = p_version
+    RETURNING * INTO activated;
+
+    RETURN activated;
+END;
+$$ LANGUAGE plpgsql;
+
 -- Insert initial health check record
 INSERT INTO health_check (status) VALUES ('ok') ON CONFLICT DO NOTHING;
 
+-- Backfill search data for products created before the search triggers
+SELECT refresh_product_search_data(id) FROM products;
+
 -- Row Level Security (RLS) Policies
 ALTER TABLE categories ENABLE ROW LEVEL SECURITY;
 ALTER TABLE brands ENABLE ROW LEVEL SECURITY;
 ALTER TABLE products ENABLE ROW LEVEL SECURITY;
 ALTER TABLE admins ENABLE ROW LEVEL SECURITY;
+ALTER TABLE admin_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE refresh_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE admin_recovery_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE admin_account_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE app_settings ENABLE ROW LEVEL SECURITY;
 ALTER TABLE activity_logs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE search_synonyms ENABLE ROW LEVEL SECURITY;
+ALTER TABLE search_analytics ENABLE ROW LEVEL SECURITY;
+ALTER TABLE search_click_stats ENABLE ROW LEVEL SECURITY;
+ALTER TABLE search_interactions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE search_relevance_profiles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE product_views ENABLE ROW LEVEL SECURITY;
+ALTER TABLE stores ENABLE ROW LEVEL SECURITY;
+ALTER TABLE store_inventory ENABLE ROW LEVEL SECURITY;
 
 -- Public read access for categories, brands, and active products
 CREATE POLICY "Public read access for active categories" ON categories FOR SELECT USING (is_active = true);
 CREATE POLICY "Public read access for active brands" ON brands FOR SELECT USING (is_active = true);
 CREATE POLICY "Public read access for active products" ON products FOR SELECT USING (status = 'active');
+CREATE POLICY "Public read access for active stores" ON stores FOR SELECT USING (is_active = true);
+CREATE POLICY "Public read access for store inventory" ON store_inventory FOR SELECT USING (true);
 
 -- Admin access policies (requires service role key)
 CREATE POLICY "Admin full access to categories" ON categories FOR ALL USING (auth.role() = 'service_role');
 CREATE POLICY "Admin full access to brands" ON brands FOR ALL USING (auth.role() = 'service_role');
 CREATE POLICY "Admin full access to products" ON products FOR ALL USING (auth.role() = 'service_role');
 CREATE POLICY "Admin full access to admins" ON admins FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Admin full access to admin_sessions" ON admin_sessions FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Admin full access to refresh_tokens" ON refresh_tokens FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Admin full access to admin_recovery_codes" ON admin_recovery_codes FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Admin full access to admin_account_tokens" ON admin_account_tokens FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Admin full access to app_settings" ON app_settings FOR ALL USING (auth.role() = 'service_role');
 CREATE POLICY "Admin full access to activity_logs" ON activity_logs FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Admin full access to search_synonyms" ON search_synonyms FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Admin full access to search_analytics" ON search_analytics FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Admin full access to search_click_stats" ON search_click_stats FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Admin full access to search_interactions" ON search_interactions FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Admin full access to search_relevance_profiles" ON search_relevance_profiles FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Admin full access to product_views" ON product_views FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Admin full access to stores" ON stores FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Admin full access to store_inventory" ON store_inventory FOR ALL USING (auth.role() = 'service_role');
 
 -- Grant necessary permissions
 GRANT USAGE ON SCHEMA public TO anon, authenticated;
-GRANT SELECT ON categories, brands, products TO anon, authenticated;
+GRANT SELECT ON categories, brands, products, stores, store_inventory TO anon, authenticated;
 GRANT ALL ON ALL TABLES IN SCHEMA public TO service_role;
 GRANT ALL ON ALL SEQUENCES IN SCHEMA public TO service_role;
 
@@ -286,5 +765,18 @@ COMMENT ON TABLE categories IS 'Product categories for organization and filterin
 COMMENT ON TABLE brands IS 'Brand information for products';
 COMMENT ON TABLE products IS 'Main products table with comprehensive product data';
 COMMENT ON TABLE admins IS 'Admin users for backend management';
+COMMENT ON TABLE admin_sessions IS 'Admin login sessions with device and activity, revocable per session';
+COMMENT ON TABLE refresh_tokens IS 'Hashed admin refresh tokens, rotated on every refresh';
+COMMENT ON TABLE admin_recovery_codes IS 'Hashed single-use two-factor recovery codes';
+COMMENT ON TABLE admin_account_tokens IS 'Hashed single-use password reset and email verification tokens';
+COMMENT ON TABLE app_settings IS 'Application settings managed by super admins';
 COMMENT ON TABLE product_search_data IS 'Optimized search data for products';
 COMMENT ON TABLE activity_logs IS 'Audit trail for admin actions';
+COMMENT ON TABLE search_synonyms IS 'Synonym dictionary used to expand search queries';
+COMMENT ON TABLE search_analytics IS 'Per-request search log used for query and zero-result reporting';
+COMMENT ON TABLE search_click_stats IS 'Search result clicks and add-to-carts per query, used as ranking boosts';
+COMMENT ON TABLE search_interactions IS 'Search result events already counted, one per search, product and event';
+COMMENT ON TABLE product_views IS 'Product page views per anonymized session, used for also-viewed recommendations';
+COMMENT ON TABLE stores IS 'Physical stores with their location, used for store-availability search';
+COMMENT ON TABLE store_inventory IS 'Stock of each product per store';
+COMMENT ON TABLE search_relevance_profiles IS 'Versioned search relevance settings; exactly one version is active';
@@ -0,0 +1,113 @@
+const crypto = require("crypto");
+
+/**
+ * In-memory stand-in for the supabaseService methods used by the session
+ * and token services, following the same { success, data } contract and
+ * the conditional updates the real queries rely on
+ */
+function createFakeSupabaseService() {
+  const admins = new Map();
+  const sessions = new Map();
+  const refreshTokens = new Map();
+  const ok = (data) => ({ success: true, data });
+
+  return {
+    admins,
+    sessions,
+    refreshTokens,
+
+    async getAdminById(id) {
+      return ok(admins.get(id) || null);
+    },
+
+    async createAdminSession(sessionData) {
+      const now = new Date().toISOString();
+      const session = {
+        id: crypto.randomUUID(),
+        ...sessionData,
+        expires_at: null,
+        revoked_at: null,
+        revoked_reason: null,
+        last_active_at: now,
+        created_at: now,
+      };
+      sessions.set(session.id, session);
+      return ok(session);
+    },
+
+    async getAdminSessionById(id) {
+      return ok(sessions.get(id) || null);
+    },
+
+    async getActiveAdminSessions(adminId) {
+      const now = new Date();
+      return ok(
+        [...sessions.values()]
+          .filter(
+            (session) =>
+              session.admin_id === adminId &&
+              !session.revoked_at &&
+              new Date(session.expires_at) > now
+          )
+          .sort((a, b) => b.last_active_at.localeCompare(a.last_active_at))
+      );
+    },
+
+    async updateAdminSession(id, updateData) {
+      Object.assign(sessions.get(id), updateData);
+      return ok(null);
+    },
+
+    async revokeAdminSessions({ id, adminId, exceptId }, reason) {
+      const revoked = [...sessions.values()].filter(
+        (session) =>
+          !session.revoked_at &&
+          (!id || session.id === id) &&
+          (!adminId || session.admin_id === adminId) &&
+          (!exceptId || session.id !== exceptId)
+      );
+
+      revoked.forEach((session) => {
+        session.revoked_at = new Date().toISOString();
+        session.revoked_reason = reason;
+      });
+      return ok(revoked.map(({ id: sessionId }) => ({ id: sessionId })));
+    },
+
+    async createRefreshToken(tokenData) {
+      const record = {
+        id: crypto.randomUUID(),
+        ...tokenData,
+        used_at: null,
+        replaced_by: null,
+        created_at: new Date().toISOString(),
+      };
+      refreshTokens.set(record.id, record);
+      return ok(record);
+    },
+
+    async getRefreshTokenByHash(tokenHash) {
+      const record = [...refreshTokens.values()].find(
+        (token) => token.token_hash === tokenHash
+      );
+      if (!record) return ok(null);
+
+      return ok({ ...record, session: sessions.get(record.session_id) || null });
+    },
+
+    async markRefreshTokenUsed(id) {
+      const record = refreshTokens.get(id);
+      if (!record || record.used_at) return ok(null);
+
+      record.used_at = new Date().toISOString();
+      return ok(record);
+    },
+
+    async setRefreshTokenReplacement(id, replacedBy) {
+      refreshTokens.get(id).replaced_by = replacedBy;
+      return ok(null);
+    },
+  };
+}
+
+module.exports = { createFakeSupabaseService };
@@ -0,0 +1,118 @@
+jest.mock("../../src/services/supabaseService", () =>
+  require("../helpers/fakeSupabaseService").createFakeSupabaseService()
+);
+jest.mock("../../src/utils/logger", () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const supabaseService = require("../../src/services/supabaseService");
+const sessionService = require("../../src/services/sessionService");
+
+const admin = { id: "admin-1" };
+const CHROME_ON_WINDOWS =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 " +
+  "(KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36";
+
+async function startSession(userAgent = CHROME_ON_WINDOWS, adminId = admin.id) {
+  const session = await sessionService.createSession(
+    { id: adminId },
+    { ip: "203.0.113.7", userAgent }
+  );
+  await sessionService.extendSession(
+    session.id,
+    new Date(Date.now() + 60 * 60 * 1000)
+  );
+  return session;
+}
+
+describe("sessionService", () => {
+  beforeEach(() => {
+    supabaseService.sessions.clear();
+  });
+
+  it.each([
+    [CHROME_ON_WINDOWS, "Chrome on Windows"],
+    [
+      "Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) " +
+        "AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1",
+      "Safari on iOS",
+    ],
+    ["curl/8.5.0", "curl"],
+    [null, null],
+  ])("describes the device of %s", async (userAgent, device) => {
+    const session = await sessionService.createSession(admin, { userAgent });
+
+    expect(session.device).toBe(device);
+  });
+
+  it("returns active sessions of their admin only", async () => {
+    const session = await startSession();
+
+    expect(await sessionService.getActiveSession(session.id, admin.id)).toEqual(
+      expect.objectContaining({ id: session.id })
+    );
+    expect(await sessionService.getActiveSession(session.id, "admin-2")).toBeNull();
+    expect(await sessionService.getActiveSession("unknown", admin.id)).toBeNull();
+  });
+
+  it("treats expired sessions as inactive", async () => {
+    const session = await startSession();
+    await sessionService.extendSession(session.id, new Date(Date.now() - 1000));
+
+    expect(await sessionService.getActiveSession(session.id, admin.id)).toBeNull();
+  });
+
+  it("revokes one session with a reason", async () => {
+    const session = await startSession();
+    const other = await startSession();
+
+    expect(
+      await sessionService.revokeSession(admin.id, session.id, "logout")
+    ).toBe(true);
+    expect(supabaseService.sessions.get(session.id).revoked_reason).toBe(
+      "logout"
+    );
+    expect(await sessionService.getActiveSession(session.id, admin.id)).toBeNull();
+    expect(await sessionService.getActiveSession(other.id, admin.id)).not.toBeNull();
+  });
+
+  it("does not revoke another admin's or an already revoked session", async () => {
+    const session = await startSession();
+
+    expect(
+      await sessionService.revokeSession("admin-2", session.id, "logout")
+    ).toBe(false);
+    await sessionService.revokeSession(admin.id, session.id, "logout");
+    expect(
+      await sessionService.revokeSession(admin.id, session.id, "again")
+    ).toBe(false);
+    expect(supabaseService.sessions.get(session.id).revoked_reason).toBe(
+      "logout"
+    );
+  });
+
+  it("revokes every session but the current one", async () => {
+    const current = await startSession();
+    await startSession();
+    await startSession();
+    const otherAdmin = await startSession(CHROME_ON_WINDOWS, "admin-2");
+
+    const revoked = await sessionService.revokeAllSessions(
+      admin.id,
+      "logout_all",
+      { exceptSessionId: current.id }
+    );
+    const listed = await sessionService.listSessions(admin.id, current.id);
+
+    expect(revoked).toBe(2);
+    expect(listed).toEqual([
+      expect.objectContaining({ id: current.id, current: true }),
+    ]);
+    expect(
+      await sessionService.getActiveSession(otherAdmin.id, "admin-2")
+    ).not.toBeNull();
+  });
+});
@@ -0,0 +1,170 @@
+jest.mock("../../src/services/supabaseService", () =>
+  require("../helpers/fakeSupabaseService").createFakeSupabaseService()
+);
+jest.mock("../../src/utils/logger", () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const authConfig = require("../../src/config/auth");
+const supabaseService = require("../../src/services/supabaseService");
+const sessionService = require("../../src/services/sessionService");
+const tokenService = require("../../src/services/tokenService");
+
+const admin = {
+  id: "admin-1",
+  email: "admin@example.com",
+  role: "admin",
+  is_active: true,
+  password_changed_at: null,
+};
+
+async function login() {
+  return await tokenService.startSession(admin, {
+    ip: "203.0.113.7",
+    userAgent: "curl/8.5.0",
+  });
+}
+
+describe("tokenService", () => {
+  beforeEach(() => {
+    supabaseService.admins.clear();
+    supabaseService.sessions.clear();
+    supabaseService.refreshTokens.clear();
+    supabaseService.admins.set(admin.id, { ...admin });
+  });
+
+  it("issues tokens carrying the session and stores only a hash", async () => {
+    const { tokens, session } = await login();
+    const [record] = supabaseService.refreshTokens.values();
+
+    expect(authConfig.verifyAccessToken(tokens.accessToken).sid).toBe(session.id);
+    expect(authConfig.verifyRefreshToken(tokens.refreshToken).sid).toBe(
+      session.id
+    );
+    expect(record.token_hash).toBe(authConfig.hashToken(tokens.refreshToken));
+    expect(JSON.stringify(record)).not.toContain(tokens.refreshToken);
+    expect(supabaseService.sessions.get(session.id).expires_at).toBe(
+      record.expires_at
+    );
+  });
+
+  it("rotates a refresh token within its session", async () => {
+    const { tokens, session } = await login();
+
+    const result = await tokenService.rotateRefreshToken(tokens.refreshToken);
+    const records = [...supabaseService.refreshTokens.values()];
+
+    expect(result.success).toBe(true);
+    expect(result.data.tokens.refreshToken).not.toBe(tokens.refreshToken);
+    expect(
+      authConfig.verifyRefreshToken(result.data.tokens.refreshToken).sid
+    ).toBe(session.id);
+    expect(records).toHaveLength(2);
+    expect(records[0].used_at).not.toBeNull();
+    expect(records[0].replaced_by).toBe(records[1].id);
+    expect(records[1].used_at).toBeNull();
+  });
+
+  it("keeps rotating with each replacement", async () => {
+    const { tokens } = await login();
+
+    const first = await tokenService.rotateRefreshToken(tokens.refreshToken);
+    const second = await tokenService.rotateRefreshToken(
+      first.data.tokens.refreshToken
+    );
+
+    expect(second.success).toBe(true);
+  });
+
+  it("revokes the session when a used token is presented again", async () => {
+    const { tokens, session } = await login();
+    const rotated = await tokenService.rotateRefreshToken(tokens.refreshToken);
+
+    const reused = await tokenService.rotateRefreshToken(tokens.refreshToken);
+
+    expect(reused).toEqual({ success: false, message: "Invalid refresh token" });
+    expect(supabaseService.sessions.get(session.id).revoked_reason).toBe(
+      "reuse_detected"
+    );
+    // The legitimate holder's replacement stops working too
+    expect(
+      await tokenService.rotateRefreshToken(rotated.data.tokens.refreshToken)
+    ).toEqual({ success: false, message: "Invalid refresh token" });
+  });
+
+  it("treats losing a concurrent refresh as reuse", async () => {
+    const { tokens, session } = await login();
+    const [record] = supabaseService.refreshTokens.values();
+    const markUsed = supabaseService.markRefreshTokenUsed;
+
+    // The other refresh claims the token between our read and our claim
+    supabaseService.markRefreshTokenUsed = async (id) => {
+      await markUsed(id);
+      return markUsed(id);
+    };
+
+    try {
+      const result = await tokenService.rotateRefreshToken(tokens.refreshToken);
+
+      expect(result.success).toBe(false);
+      expect(record.used_at).not.toBeNull();
+      expect(supabaseService.sessions.get(session.id).revoked_reason).toBe(
+        "reuse_detected"
+      );
+    } finally {
+      supabaseService.markRefreshTokenUsed = markUsed;
+    }
+  });
+
+  it("rejects tokens of a revoked session", async () => {
+    const { tokens, session } = await login();
+    await sessionService.revokeSession(admin.id, session.id, "logout");
+
+    expect(
+      await tokenService.rotateRefreshToken(tokens.refreshToken)
+    ).toEqual({ success: false, message: "Invalid refresh token" });
+  });
+
+  it("rejects unknown tokens", async () => {
+    const tokens = authConfig.generateTokenPair(admin, { sessionId: "s-1" });
+
+    expect(
+      await tokenService.rotateRefreshToken(tokens.refreshToken)
+    ).toEqual({ success: false, message: "Invalid refresh token" });
+  });
+
+  it("rejects tokens issued before a password change", async () => {
+    const { tokens } = await login();
+    supabaseService.admins.get(admin.id).password_changed_at =
+      new Date().toISOString();
+
+    const result = await tokenService.rotateRefreshToken(tokens.refreshToken);
+
+    expect(result).toEqual({ success: false, message: "Invalid refresh token" });
+    expect([...supabaseService.refreshTokens.values()][0].used_at).toBeNull();
+  });
+
+  it("revokes the session of a deactivated account", async () => {
+    const { tokens, session } = await login();
+    supabaseService.admins.get(admin.id).is_active = false;
+
+    const result = await tokenService.rotateRefreshToken(tokens.refreshToken);
+
+    expect(result).toEqual({
+      success: false,
+      message: "Account has been deactivated",
+    });
+    expect(supabaseService.sessions.get(session.id).revoked_reason).toBe(
+      "account_deactivated"
+    );
+  });
+
+  it("throws for tokens that fail verification", async () => {
+    await expect(
+      tokenService.rotateRefreshToken("not-a-jwt")
+    ).rejects.toThrow("Invalid refresh token");
+  });
+});
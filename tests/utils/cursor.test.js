@@ -0,0 +1,47 @@
+const {
+  encodeCursor,
+  decodeCursor,
+  cursorMatchesScope,
+} = require("../../src/utils/cursor");
+
+const scope = { query: "iphone", filters: { brand: "apple" }, sort: "-price" };
+const encode = (payload) =>
+  Buffer.from(JSON.stringify(payload)).toString("base64url");
+
+describe("cursor", () => {
+  it("round-trips a position", () => {
+    const token = encodeCursor(scope, { values: [999.5, null], id: "p1" });
+    const cursor = decodeCursor(token);
+
+    expect(cursor).toMatchObject({ values: [999.5, null], id: "p1" });
+    expect(typeof cursor.fingerprint).toBe("string");
+  });
+
+  it("produces URL-safe tokens", () => {
+    const token = encodeCursor(scope, { values: ["a/b+c?"], id: "p1" });
+
+    expect(token).toMatch(/^[A-Za-z0-9_-]+$/);
+  });
+
+  it("matches only the scope it was issued for", () => {
+    const cursor = decodeCursor(encodeCursor(scope, { values: [1], id: "p1" }));
+
+    expect(cursorMatchesScope(cursor, { ...scope })).toBe(true);
+    expect(cursorMatchesScope(cursor, { ...scope, sort: "price" })).toBe(false);
+    expect(
+      cursorMatchesScope(cursor, { ...scope, filters: { brand: "samsung" } })
+    ).toBe(false);
+  });
+
+  it.each([
+    ["garbage", "not a cursor"],
+    ["non-JSON base64", Buffer.from("{oops").toString("base64url")],
+    ["another version", encode({ v: 2, f: "abc", s: [], id: "p1" })],
+    ["missing id", encode({ v: 1, f: "abc", s: [] })],
+    ["null id", encode({ v: 1, f: "abc", s: [], id: null })],
+    ["non-array values", encode({ v: 1, f: "abc", s: 1, id: "p1" })],
+    ["missing fingerprint", encode({ v: 1, s: [], id: "p1" })],
+  ])("rejects %s", (_, token) => {
+    expect(decodeCursor(token)).toBeNull();
+  });
+});
@@ -0,0 +1,58 @@
+const PrefixTrie = require("../../src/utils/prefixTrie");
+
+describe("PrefixTrie", () => {
+  const buildTrie = () => {
+    const trie = new PrefixTrie();
+    trie.insert("galaxy s24", { text: "Galaxy S24", weight: 2 });
+    trie.insert("galaxy a15", { text: "Galaxy A15", weight: 1 });
+    trie.insert("pixel 8", { text: "Pixel 8", weight: 3 });
+    return trie;
+  };
+
+  it("finds payloads under a prefix, heaviest first", () => {
+    const matches = buildTrie().findByPrefix("gal");
+
+    expect(matches.map(({ payload }) => payload.text)).toEqual([
+      "Galaxy S24",
+      "Galaxy A15",
+    ]);
+    expect(matches.every(({ distance }) => distance === 0)).toBe(true);
+  });
+
+  it("returns nothing for an unknown prefix", () => {
+    expect(buildTrie().findByPrefix("iph")).toEqual([]);
+  });
+
+  it("keeps the heaviest completions when truncating", () => {
+    const trie = new PrefixTrie();
+    for (let i = 0; i < 500; i++) {
+      trie.insert(`phone ${String(i).padStart(3, "0")}`, { id: i, weight: 1 });
+    }
+    trie.insert("phone 999", { id: "heavy", weight: 5 });
+    trie.insert("phone 250x", { id: "heavier", weight: 9 });
+
+    const matches = trie.findByPrefix("ph", 3);
+
+    expect(matches.map(({ payload }) => payload.id).slice(0, 2)).toEqual([
+      "heavier",
+      "heavy",
+    ]);
+    expect(matches).toHaveLength(3);
+  });
+
+  it("ranks by an explicit rank over the payload weight", () => {
+    const trie = new PrefixTrie();
+    trie.insert("case", { text: "case", weight: 5 }, 1);
+    trie.insert("cable", { text: "cable", weight: 1 }, 4);
+
+    expect(trie.findByPrefix("ca", 1)[0].payload.text).toBe("cable");
+  });
+
+  it("matches prefixes within the edit distance", () => {
+    const matches = buildTrie().findFuzzy("pixle", 2);
+
+    expect(matches.map(({ payload }) => payload.text)).toEqual(["Pixel 8"]);
+    expect(matches[0].distance).toBeLessThanOrEqual(2);
+    expect(buildTrie().findFuzzy("zzzz", 1)).toEqual([]);
+  });
+});
@@ -0,0 +1,53 @@
+const { buildKeysetFilter, toDatabaseOrder } = require("../../src/utils/sortSpec");
+
+describe("buildKeysetFilter", () => {
+  it("filters on a single column, with nulls sorting last", () => {
+    expect(buildKeysetFilter([{ column: "id", ascending: true }], ["a1"])).toBe(
+      'or(id.gt."a1",id.is.null)'
+    );
+  });
+
+  it("breaks ties on the next column", () => {
+    const ordering = [
+      { column: "price", ascending: false },
+      { column: "id", ascending: true },
+    ];
+
+    expect(buildKeysetFilter(ordering, [10, "x"])).toBe(
+      'or(price.lt."10",price.is.null),' +
+        'and(price.eq."10",or(id.gt."x",id.is.null))'
+    );
+  });
+
+  it("only follows a null position with its ties", () => {
+    const ordering = [
+      { column: "a", ascending: true },
+      { column: "b", ascending: false },
+      { column: "id", ascending: true },
+    ];
+
+    expect(buildKeysetFilter(ordering, [1, null, "x"])).toBe(
+      'or(a.gt."1",a.is.null),' +
+        'and(a.eq."1",b.is.null,or(id.gt."x",id.is.null))'
+    );
+  });
+
+  it("quotes values containing filter syntax", () => {
+    expect(
+      buildKeysetFilter([{ column: "name", ascending: true }], ['a "b", c\\'])
+    ).toBe('or(name.gt."a \\"b\\", c\\\\",name.is.null)');
+  });
+
+  it("accepts the ordering produced by toDatabaseOrder", () => {
+    const ordering = toDatabaseOrder([{ field: "date", direction: "desc" }]);
+
+    expect(ordering).toEqual([
+      { column: "created_at", ascending: false },
+      { column: "id", ascending: true },
+    ]);
+    expect(buildKeysetFilter(ordering, ["2026-01-01T00:00:00Z", "p1"])).toBe(
+      'or(created_at.lt."2026-01-01T00:00:00Z",created_at.is.null),' +
+        'and(created_at.eq."2026-01-01T00:00:00Z",or(id.gt."p1",id.is.null))'
+    );
+  });
+});
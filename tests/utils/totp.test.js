@@ -0,0 +1,95 @@
+const {
+  encodeBase32,
+  decodeBase32,
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildProvisioningUri,
+} = require("../../src/utils/totp");
+
+// RFC 6238 appendix B secret ("12345678901234567890") in base32
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+describe("base32", () => {
+  it("encodes the RFC 4648 test vectors without padding", () => {
+    expect(encodeBase32(Buffer.from(""))).toBe("");
+    expect(encodeBase32(Buffer.from("f"))).toBe("MY");
+    expect(encodeBase32(Buffer.from("foob"))).toBe("MZXW6YQ");
+    expect(encodeBase32(Buffer.from("foobar"))).toBe("MZXW6YTBOI");
+  });
+
+  it("decodes regardless of case, spaces and padding", () => {
+    expect(decodeBase32("mzxw 6ytb oi======").toString()).toBe("foobar");
+  });
+
+  it("round-trips random secrets", () => {
+    const secret = generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(encodeBase32(decodeBase32(secret))).toBe(secret);
+  });
+
+  it("rejects characters outside the alphabet", () => {
+    expect(() => decodeBase32("MZXW1")).toThrow("Invalid base32 secret");
+  });
+});
+
+describe("generateCode", () => {
+  it.each([
+    [59, "287082"],
+    [1111111109, "081804"],
+    [1111111111, "050471"],
+    [1234567890, "005924"],
+    [2000000000, "279037"],
+  ])("matches the RFC 6238 SHA-1 vector at %i seconds", (seconds, code) => {
+    expect(generateCode(RFC_SECRET, getTimeStep(seconds * 1000))).toBe(code);
+  });
+});
+
+describe("verifyCode", () => {
+  const now = 1111111111 * 1000;
+  const step = getTimeStep(now);
+
+  it("returns the step of a current code", () => {
+    expect(verifyCode(RFC_SECRET, "050471", { now })).toBe(step);
+  });
+
+  it("accepts codes within the drift window", () => {
+    const previous = generateCode(RFC_SECRET, step - 1);
+    const next = generateCode(RFC_SECRET, step + 1);
+
+    expect(verifyCode(RFC_SECRET, previous, { now })).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, next, { now })).toBe(step + 1);
+  });
+
+  it("rejects codes outside the window", () => {
+    const old = generateCode(RFC_SECRET, step - 2);
+
+    expect(verifyCode(RFC_SECRET, old, { now })).toBeNull();
+    expect(verifyCode(RFC_SECRET, old, { now, window: 2 })).toBe(step - 2);
+  });
+
+  it("ignores spaces and rejects malformed codes", () => {
+    expect(verifyCode(RFC_SECRET, "050 471", { now })).toBe(step);
+    expect(verifyCode(RFC_SECRET, "05047", { now })).toBeNull();
+    expect(verifyCode(RFC_SECRET, "abcdef", { now })).toBeNull();
+    expect(verifyCode(RFC_SECRET, undefined, { now })).toBeNull();
+  });
+});
+
+describe("buildProvisioningUri", () => {
+  it("builds an otpauth URI with an encoded label and %20 spaces", () => {
+    const uri = buildProvisioningUri({
+      secret: "JBSWY3DPEHPK3PXP",
+      accountName: "admin@example.com",
+      issuer: "Smart Mobile Admin",
+    });
+
+    expect(uri).toBe(
+      "otpauth://totp/Smart%20Mobile%20Admin%3Aadmin%40example.com" +
+        "?secret=JBSWY3DPEHPK3PXP&issuer=Smart%20Mobile%20Admin" +
+        "&algorithm=SHA1&digits=6&period=30"
+    );
+  });
+});